@@ -1,8 +1,34 @@
 /**
  * gamecore.js - Copyright 2012 Playcraft Labs, Inc. (see licence.txt)
+ * intro.js
+ * Start of the module wrapper used by the packed build (see outro.js). Loaded using AMD (define) or CommonJS
+ * (require, including bundlers and ES module imports of CommonJS) gamecore is returned as the module, and
+ * nothing is added to the global scope; otherwise it's available as a global (window.gamecore in a browser,
+ * self.gamecore in a web worker).
  */
 
-window.gamecore =
+(function (root, factory)
+{
+    if (typeof define == 'function' && define.amd)
+        define([], function ()
+        {
+            return factory(root, true);
+        });
+    else if (typeof module == 'object' && module.exports)
+        module.exports = factory(root, true);
+    else
+        factory(root, false);
+
+})(typeof globalThis != 'undefined' ? globalThis :
+    typeof self != 'undefined' ? self :
+    typeof window != 'undefined' ? window :
+    typeof global != 'undefined' ? global : this, function (window, noGlobal)
+{
+/**
+ * gamecore.js - Copyright 2012 Playcraft Labs, Inc. (see licence.txt)
+ */
+
+var gamecore =
 {
     hasOwn:Object.prototype.hasOwnProperty,
 
@@ -106,20 +132,20 @@ window.gamecore =
                     }
 
                     // Recurse if we're merging plain objects or arrays
-                    if (deep && copy && ( this.isPlainObject(copy) || (copyIsArray = this.isArray(copy)) ))
+                    if (deep && copy && ( gamecore.isPlainObject(copy) || (copyIsArray = gamecore.isArray(copy)) ))
                     {
                         if (copyIsArray)
                         {
                             copyIsArray = false;
-                            clone = src && this.isArray(src) ? src : [];
+                            clone = src && gamecore.isArray(src) ? src : [];
 
                         } else
                         {
-                            clone = src && this.isPlainObject(src) ? src : {};
+                            clone = src && gamecore.isPlainObject(src) ? src : {};
                         }
 
                         // Never move original objects, clone them
-                        target[ name ] = this.extend(deep, clone, copy);
+                        target[ name ] = gamecore.extend(deep, clone, copy);
 
                         // Don't bring in undefined values
                     } else if (copy !== undefined)
@@ -136,6 +162,18 @@ window.gamecore =
 
 };
 
+/**
+ * The global object: window in a browser, self in a web worker and global in node.
+ */
+gamecore.global = typeof globalThis != 'undefined' ? globalThis :
+    typeof self != 'undefined' ? self :
+    typeof window != 'undefined' ? window :
+    typeof global != 'undefined' ? global : this;
+
+// when loaded as a module (see intro.js) gamecore is kept out of the global scope
+if (typeof noGlobal == 'undefined' || !noGlobal)
+    gamecore.global.gamecore = gamecore;
+
 
 gamecore.push = Array.prototype.push;
 
@@ -734,7 +772,7 @@ gamecore.extend({
         {
             var parts = objectName ? objectName.split(regs.dot) : [],
                 length = parts.length,
-                currents = gc.isArray(roots) ? roots : [roots || window],
+                currents = gc.isArray(roots) ? roots : [roots || gc.global],
                 current,
                 ret,
                 i,
@@ -888,263 +926,2138 @@ gamecore.extend({
 
     // if we are initializing a new class
     var initializing = false,
+        // native (ES) classes being adopted or wrapped by extend (see gamecore.Class.adopt and wrap)
+        adopting = null,
+        wrapping = null,
+        // type ids and type bits handed out so far (see gamecore.Class.isA and the typeBit option)
+        typeIds = 0,
+        typeBits = 0,
         makeArray = gc.makeArray,
         isFunction = gc.isFunction,
         isArray = gc.isArray,
         extend = gc.extend,
 
-        cloneObject = function (object)
+        hasArrayBuffer = typeof ArrayBuffer != 'undefined',
+        hasMap = typeof Map != 'undefined',
+
+        // what cloneObject has copied so far (originals and their copies): a Map where there is one, otherwise a
+        // pair of arrays, which are slower to search
+        newSeen = function ()
+        {
+            return hasMap ? new Map() : { originals:[], copies:[] };
+        },
+
+        findSeen = function (seen, object)
+        {
+            if (hasMap)
+                return seen.get(object);
+            for (var s = 0; s < seen.originals.length; s++)
+                if (seen.originals[s] === object)
+                    return seen.copies[s];
+        },
+
+        addSeen = function (seen, object, clone)
+        {
+            if (hasMap)
+                seen.set(object, clone);
+            else
+            {
+                seen.originals.push(object);
+                seen.copies.push(clone);
+            }
+            return clone;
+        },
+
+        // Deep copies an object. Dates, regular expressions and typed arrays are copied as what they are, objects
+        // with a clone method (like gamecore.Hashtable) are asked to copy themselves and other objects keep their
+        // prototype. seen (optional) tracks what's been copied so far, so cycles and objects referenced more than
+        // once come out the same way in the copy.
+        cloneObject = function (object, seen)
         {
             if (!object || typeof(object) != 'object')
                 return object;
 
-            // special case handling of array (deep copy them)
-            if (object instanceof Array)
-            {
-                var clone = [];
-                for (var c = 0; c < object.length; c++)
-                    clone[c] = cloneObject(object[c]);
+            seen = seen || newSeen();
+            var clone = findSeen(seen, object), proto, prop, c;
+            if (clone)
                 return clone;
+
+            proto = Object.getPrototypeOf(object);
+
+            if (object instanceof Date)
+                clone = new Date(object.getTime());
+            else if (object instanceof RegExp)
+            {
+                clone = new RegExp(object.source, object.flags !== undefined ? object.flags :
+                    (object.global ? 'g' : '') + (object.ignoreCase ? 'i' : '') + (object.multiline ? 'm' : ''));
+                clone.lastIndex = object.lastIndex;
             }
-            else // otherwise, it's a normal object, clone it's properties
+            else if (hasArrayBuffer && object instanceof ArrayBuffer)
+                clone = object.slice(0);
+            else if (hasArrayBuffer && ArrayBuffer.isView && ArrayBuffer.isView(object))
+                clone = object instanceof DataView ?
+                    new DataView(object.buffer.slice(object.byteOffset, object.byteOffset + object.byteLength)) :
+                    new object.constructor(object);
+            else if (proto && proto !== Object.prototype && !isArray(object) && isFunction(object.clone))
+                clone = object.clone();
+
+            if (clone)
+                return addSeen(seen, object, clone);
+
+            // arrays and everything else get their contents deep copied
+            clone = addSeen(seen, object, isArray(object) ? [] : Object.create(proto));
+
+            if (isArray(object))
             {
-                var cloneObj = {};
-                for (var prop in object)
-                    cloneObj[prop] = cloneObject(object[prop]);
-                return cloneObj;
+                for (c = 0; c < object.length; c++)
+                    clone[c] = cloneObject(object[c], seen);
             }
+            else // otherwise, it's a normal object (or an instance of something), clone it's properties
+            {
+                for (prop in object)
+                    if (object.hasOwnProperty(prop) || proto === Object.prototype)
+                        clone[prop] = cloneObject(object[prop], seen);
+            }
+            return clone;
         },
 
-        concatArgs = function (arr, args)
+        // Creates a function that gives an instance its own (deep) copies of the prototype's array and object
+        // fields, so instances don't end up sharing them. Functions and primitives don't need copying, and
+        // neither do fields the class has marked as shared (see the static shared option). Fields with a
+        // default in the schema (see gamecore.Class.schema) are set to (a copy of) it.
+        compileInitializer = function (prototype, shared, schema)
         {
-            return arr.concat(makeArray(args));
-        },
+            var fields = [], defaults = [], direct = {}, name, value, desc;
+            for (name in schema)
+            {
+                if (!schema[name] || !('default' in schema[name])) continue;
+                defaults.push(name);
 
-        // tests if we can get super in .toString()
-        fnTest = /xyz/.test(function ()
-        {
-            xyz;
-        }) ? /\b_super\b/ : /.*/,
+                // observable and tracked fields get their defaults put straight into their values, so making an
+                // object doesn't count as changing them
+                desc = getDescriptor(prototype, name);
+                direct[name] = !!(desc && desc.get && desc.get._field);
+            }
 
-        inheritProps = function (newProps, oldProps, addTo)
-        {
-            // overwrites an object with methods, sets up _super
-            // newProps - new properties
-            // oldProps - where the old properties might be
-            // addTo - what we are adding to
-            addTo = addTo || newProps
-            for (var name in newProps)
+            for (name in prototype)
             {
-                // Check if we're overwriting an existing function
-                addTo[name] = isFunction(newProps[name]) &&
-                    isFunction(oldProps[name]) &&
-                    fnTest.test(newProps[name]) ? (function (name, fn)
+                value = peek(prototype, name); // (accessors are left alone)
+                if (value && typeof value == 'object' && !(shared && shared[name]) &&
+                    !(schema && schema[name] && 'default' in schema[name]))
+                    fields.push(name);
+            }
+
+            if (!fields.length && !defaults.length)
+                return noop;
+
+            return function (inst)
+            {
+                var seen = newSeen(), i, value;
+                for (i = 0; i < fields.length; i++)
+                    inst[fields[i]] = cloneObject(inst[fields[i]], seen);
+                for (i = 0; i < defaults.length; i++)
                 {
-                    return function ()
-                    {
-                        var tmp = this._super, ret;
+                    value = schema[defaults[i]]['default'];
+                    value = shared && shared[defaults[i]] ? value : cloneObject(value, seen);
+                    if (direct[defaults[i]])
+                        (inst._values || (inst._values = {}))[defaults[i]] = value;
+                    else
+                        inst[defaults[i]] = value;
+                }
+            };
+        },
 
-                        // Add a new ._super() method that is the same method but on the super-class
-                        this._super = oldProps[name];
+        // Records the shape of a prototype chain (how many fields each prototype in it has, and the last one added,
+        // and which fields aren't objects), so a class can tell when its defaults have changed since its
+        // initializer was made. This is checked for every new object, so which fields aren't objects is checked
+        // by a function made for the class where it can be (reading fixed names is much quicker than a loop).
+        recordShape = function (prototype)
+        {
+            var shape = { prototype:prototype, levels:[], counts:[], last:[], plain:[] }, p, keys, name, desc, code, i;
+            for (p = prototype; p && p !== Object.prototype; p = Object.getPrototypeOf(p))
+            {
+                keys = Object.keys(p);
+                shape.levels.push(p);
+                shape.counts.push(keys.length);
+                shape.last.push(keys[keys.length - 1]);
+            }
+            for (name in prototype)
+            {
+                desc = getDescriptor(prototype, name);
+                if (desc && 'value' in desc && !(desc.value && typeof desc.value == 'object'))
+                    shape.plain.push(name);
+            }
 
-                        // The method only need to be bound temporarily, so we remove it when we're done executing
-                        ret = fn.apply(this, arguments);
-                        this._super = tmp;
-                        return ret;
-                    };
-                })(name, newProps[name]) : newProps[name];
+            try
+            {
+                code = [];
+                for (i = 0; i < shape.plain.length; i++)
+                    code.push('(v = p[' + JSON.stringify(shape.plain[i]) + ']) && typeof v == "object"');
+                shape.hasObjects = new Function('p', 'var v; return ' + (code.join(' ||\n') || 'false') + ';');
             }
+            catch (e)
+            {
+                shape.hasObjects = null; // (where code can't be compiled at runtime)
+            }
+            return shape;
         },
 
-        clss = gc.Class = function ()
+        // true if a field has been added to (or removed from) a prototype in the chain since its shape was recorded,
+        // or one that wasn't an object now is
+        shapeChanged = function (shape)
         {
-            if (arguments.length)
+            var i, keys, value;
+            for (i = 0; i < shape.levels.length; i++)
             {
-                return clss.extend.apply(clss, arguments);
+                keys = Object.keys(shape.levels[i]);
+                if (keys.length != shape.counts[i] || keys[keys.length - 1] !== shape.last[i])
+                    return true;
             }
-        };
 
-    /* @Static*/
-    extend(clss, {
-        callback:function (funcs)
+            if (shape.hasObjects)
+                return shape.hasObjects(shape.prototype);
+            for (i = 0; i < shape.plain.length; i++)
+            {
+                value = shape.prototype[shape.plain[i]];
+                if (value && typeof value == 'object')
+                    return true;
+            }
+            return false;
+        },
+
+        // key field values are compared, and hashed, with their own equals and hashCode if they have them
+        sameKey = function (a, b)
         {
-            //args that should be curried
-            var args = makeArray(arguments),
-                self;
+            return a === b || (a != null && typeof a.equals == 'function' && a.equals(b));
+        },
 
-            funcs = args.shift();
+        hashKey = function (value)
+        {
+            return value != null && typeof value.hashCode == 'function' ? value.hashCode() : value;
+        },
 
-            if (!isArray(funcs))
-            {
-                funcs = [funcs];
-            }
+        // Creates equals and hashCode methods that compare and hash objects by their key fields (see
+        // gamecore.Class.keys). The methods are marked with the keys they were made for.
+        compileKeyMethods = function (keys)
+        {
+            var count = keys.length, first = keys[0];
 
-            self = this;
+            var equals = function (other)
+            {
+                if (other === this)
+                    return true;
+                if (!other || other.Class !== this.Class)
+                    return false;
+                for (var i = 0; i < count; i++)
+                    if (!sameKey(this[keys[i]], other[keys[i]]))
+                        return false;
+                return true;
+            };
 
-            return function class_cb()
+            var hashCode = function ()
             {
-                var cur = concatArgs(args, arguments),
-                    isString,
-                    length = funcs.length,
-                    f = 0,
-                    func;
+                var hash = '' + hashKey(this[first]);
+                for (var i = 1; i < count; i++)
+                    hash += '|' + hashKey(this[keys[i]]);
+                return hash;
+            };
 
-                for (; f < length; f++)
-                {
-                    func = funcs[f];
-                    if (!func)
-                        continue;
+            equals._keys = hashCode._keys = keys;
+            return { equals:equals, hashCode:hashCode };
+        },
 
-                    isString = typeof func == "string";
-                    if (isString && self._set_called)
-                        self.called = func;
+        // the integer types a schema can use (see gamecore.Class.schema), and the values they can hold
+        intRanges = {
+            'int':[-9007199254740991, 9007199254740991],
+            int8:[-128, 127],
+            uint8:[0, 255],
+            int16:[-32768, 32767],
+            uint16:[0, 65535],
+            int32:[-2147483648, 2147483647],
+            uint32:[0, 4294967295]
+        },
 
-                    cur = (isString ? self[func] : func).apply(self, cur || []);
-                    if (f < length - 1)
-                        cur = !isArray(cur) || cur._use_call ? [cur] : cur
-                }
-                return cur;
+        // checks a value against the schema of a property; gives back what's wrong with it, or null if it's fine
+        checkValue = function (klass, name, value)
+        {
+            var def = klass.schema && klass.schema[name],
+                type = def && def.type,
+                range = intRanges[type],
+                problem = null;
+
+            if (!def)
+                return null;
+
+            if (value === undefined || value === null)
+                problem = def.required ? 'is required' : null;
+            else if (isFunction(type))
+                problem = value instanceof type ? null : 'must be a ' + (type.fullName || type.name);
+            else if (type == 'array')
+                problem = isArray(value) ? null : 'must be an array';
+            else if (range || type == 'number' || type == 'float32' || type == 'float64')
+            {
+                if (typeof value != 'number' || isNaN(value))
+                    problem = 'must be a number';
+                else if (range && (value % 1 !== 0 || value < range[0] || value > range[1]))
+                    problem = 'must be a whole number from ' + range[0] + ' to ' + range[1];
+            }
+            else if (type == 'bool')
+                problem = typeof value == 'boolean' ? null : 'must be a boolean';
+            else if (type && typeof value != type)
+                problem = 'must be a ' + type;
+
+            if (!problem && value !== undefined && value !== null)
+            {
+                if (def.min !== undefined && value < def.min)
+                    problem = 'must be at least ' + def.min;
+                else if (def.max !== undefined && value > def.max)
+                    problem = 'must be at most ' + def.max;
+                else if (def['enum'] && def['enum'].indexOf(value) == -1)
+                    problem = 'must be one of ' + def['enum'].join(', ');
             }
+
+            return problem && (klass.fullName || 'Class') + '.' + name + ' ' + problem +
+                (value === undefined || value === null ? '' : ' (got ' + value + ')');
         },
 
-        getObject:gc.String.getObject,
+        // checks all the properties of an object against its class's schema
+        schemaErrors = function (klass, object)
+        {
+            var errors = [], problem;
+            for (var name in klass.schema)
+                if (problem = checkValue(klass, name, object[name]))
+                    errors.push(problem);
+            return errors;
+        },
 
-        newInstance:function ()
+        // runs setup, copies the default fields and runs init on a freshly made instance (init is left out for a
+        // blank one; see gamecore.Class.blankInstance)
+        setupInstance = function (klass, inst, args, blank)
         {
-            var inst = this.rawInstance();
-            var args;
+            var setupArgs;
 
             if (inst.setup)
-                args = inst.setup.apply(inst, arguments);
+                setupArgs = inst.setup.apply(inst, args);
 
             // Added by martin@playcraftlabs.com -- fix for deep cloning of properties
-           for (var prop in inst.__proto__)
-               inst[prop] = cloneObject(inst[prop]);
+            // (only the array/object fields need it, so which ones they are is worked out once per class, and again
+            // if the prototype's fields change)
+            if (!klass._initializer || shapeChanged(klass._shape))
+            {
+                klass._initializer = compileInitializer(klass.prototype, klass._shared, klass.schema);
+                klass._shape = recordShape(klass.prototype);
+            }
+            klass._initializer(inst);
 
-            if (inst.init)
-                inst.init.apply(inst, isArray(args) ? args : arguments);
+            if (inst.init && !blank)
+                inst.init.apply(inst, isArray(setupArgs) ? setupArgs : args);
 
             return inst;
         },
 
-        setup:function (baseClass, fullName)
+        // sets up an instance wrapped so that, once it's initialized, adding a property it doesn't have (or inherit)
+        // throws, which catches misspelled fields (this.HP = 0 when the field is hp); used in development mode (see
+        // gamecore.Class.setDevMode). The wrapper is made first, so setup and init see the same object the caller
+        // gets back. (values given to properties in the schema are checked as well)
+        sealInstance = function (klass, inst, args, blank)
         {
-            this.defaults = extend(true, {}, baseClass.defaults, this.defaults);
-            if (this._types == undefined) this._types = [];
-            this._types.push(this.fullName);
-            if (this._fullTypeName == undefined) this._fullTypeName = '|';
-            this._fullTypeName += this.fullName + '|';
-            return arguments;
+            var hasSchema = false, sealed = false, errors, problem;
+            for (problem in klass.schema)
+            {
+                hasSchema = true;
+                break;
+            }
+
+            if (typeof Proxy != 'undefined' && (klass.sealed || hasSchema))
+                inst = new Proxy(inst, {
+                    defineProperty:function (target, name, desc)
+                    {
+                        if (!sealed || typeof name != 'string' || name == '_super')
+                            return Reflect.defineProperty(target, name, desc);
+
+                        if (klass.sealed && !(name in target) && !(hasSchema && klass.schema.hasOwnProperty(name)))
+                            throw (klass.fullName || 'Class') + ' has no property named ' + name + ' (declare it ' +
+                                'in the class, or use sealed:false to allow adding properties)';
+                        if ('value' in desc && (problem = checkValue(klass, name, desc.value)))
+                            throw problem;
+                        return Reflect.defineProperty(target, name, desc);
+                    }
+                });
+
+            // (blank instances get their fields set afterwards, so they're only checked as that happens)
+            setupInstance(klass, inst, args, blank);
+            errors = blank ? [] : schemaErrors(klass, inst);
+            if (errors.length)
+                throw errors.join(', ');
+
+            sealed = true;
+            return inst;
         },
-        rawInstance:function ()
+
+        // sets up new instances; swapped for one that seals them as well in development mode, so production
+        // mode doesn't pay anything for it
+        initInstance = setupInstance,
+
+        // while changes are being batched (see gamecore.Class.batchChanges), the objects with changes waiting
+        batching = false,
+        pending = [],
+
+        // tells the listeners of an object, then those of its class and the classes it extends, about a change
+        fireChange = function (object, name, value, oldValue)
         {
-            initializing = true;
-            var inst = new this();
-            initializing = false;
-            return inst;
+            var args = [name, value, oldValue],
+                fire = function (target)
+                {
+                    var observers = target.hasOwnProperty('_observers') && target._observers;
+                    if (!observers) return;
+                    if (observers[name])
+                        observers[name].fireWith(object, args);
+                    if (observers['*'])
+                        observers['*'].fireWith(object, args);
+                };
+
+            fire(object);
+            for (var k = object.Class; k; k = k._superClass)
+                fire(k);
         },
 
-        extend:function (fullName, klass, proto)
+        // a property has changed: let its listeners know now, or when the changes are flushed
+        notifyChange = function (object, name, value, oldValue)
         {
-            // figure out what was passed
-            if (typeof fullName != 'string')
-            {
-                proto = klass;
-                klass = fullName;
-                fullName = null;
-            }
-            if (!proto)
+            if (!batching)
+                return fireChange(object, name, value, oldValue);
+
+            if (!object._changes)
             {
-                proto = klass;
-                klass = null;
+                object._changes = {};
+                pending.push(object);
             }
+            if (!object._changes.hasOwnProperty(name))
+                object._changes[name] = oldValue;
+        },
 
-            proto = proto || {};
-            var _super_class = this,
-                _super = this.prototype,
-                name, shortName, namespace, prototype;
-
-            // append the isA function
-            this.isA = function (typeName)
+        // turns a property into one that's observable (see gamecore.Class.observable) and/or sets a bit in the
+        // dirty mask when it changes (see gamecore.Class.tracked), with value as its default
+        defineField = function (prototype, name, value, observed, bit)
+        {
+            var get = function ()
             {
-                return this._fullTypeName.indexOf('|' + typeName + '|') != -1;
+                var values = this._values;
+                if (values && values.hasOwnProperty(name))
+                    return values[name];
+
+                // each object gets its own copy of an array or object default (the first time it's needed)
+                if (value && typeof value == 'object')
+                    return (values || (this._values = {}))[name] = cloneObject(value);
+                return value;
             };
+            get._field = { value:value, observed:observed, bit:bit };
 
-            // Instantiate a base class (but only create the instance,
-            // don't run the init constructor)
-            initializing = true;
-            prototype = new this();
-            initializing = false;
-            // Copy the properties over onto the new prototype
-            inheritProps(proto, _super, prototype);
+            Object.defineProperty(prototype, name, {
+                get:get,
+                set:function (newValue)
+                {
+                    var oldValue = this[name], problem;
+                    if (clss.devMode && (problem = checkValue(this.Class, name, newValue)))
+                        throw problem;
+
+                    (this._values || (this._values = {}))[name] = newValue;
+                    if (newValue !== oldValue)
+                    {
+                        this._dirty |= bit;
+                        if (observed)
+                            notifyChange(this, name, newValue, oldValue);
+                    }
+                },
+                enumerable:true,
+                configurable:true
+            });
+        },
 
-            // The dummy class constructor
+        // names of a list of mixins, to compare them (the mixins themselves are new objects if a script is reloaded)
+        mixinNames = function (mixins)
+        {
+            var names = [];
+            for (var i = 0; i < mixins.length; i++)
+                names.push(mixins[i].fullName);
+            return names.join('|');
+        },
 
-            function Class()
-            {
-                // All construction is actually done in the init method
-                if (initializing) return;
+        // adds the names in more (a name or array of them) that aren't in names already to a copy of names
+        mergeNames = function (names, more)
+        {
+            var merged = names ? names.slice() : [];
+            more = more ? makeArray(more) : [];
+            for (var i = 0; i < more.length; i++)
+                if (merged.indexOf(more[i]) == -1)
+                    merged.push(more[i]);
+            return merged;
+        },
 
-                if (this.constructor !== Class && arguments.length)
-                { //we are being called w/o new
-                    return arguments.callee.extend.apply(arguments.callee, arguments)
-                } else
-                { //we are being called w/ new
-                    // copy objects
+        concatArgs = function (arr, args)
+        {
+            return arr.concat(makeArray(args));
+        },
 
-                    return this.Class.newInstance.apply(this.Class, arguments)
-                }
-            }
+        // tests if we can get super in .toString()
+        fnTest = /xyz/.test(function ()
+        {
+            xyz;
+        }) ? /\b_super\b/ : /.*/,
 
-            // Copy old stuff onto class
-            for (name in this)
-                if (this.hasOwnProperty(name))
-                    Class[name] = cloneObject(this[name]);
+        noop = function ()
+        {
+        },
 
-            // copy new props on class
-            inheritProps(klass, this, Class);
+        // every named class, by fullName
+        registry = {},
+
+        // statics that belong to a single class, and are never copied down to subclasses
+        classOnly = {
+            registry:true,
+            onDuplicate:true,
+            _initializer:true,
+            _shape:true,
+            abstractMethod:true,
+            withSuper:true,
+            adopt:true,
+            advise:true,
+            onExtend:true,
+            setDevMode:true,
+            devMode:true,
+            batchChanges:true,
+            flushChanges:true,
+            setHotReload:true,
+            hotReload:true,
+            reloaded:true,
+            _observers:true,
+            root:true,
+            namespace:true,
+            _root:true,
+            _superClass:true,
+            _subclasses:true,
+            _mixins:true,
+            _interfaces:true,
+            _abstract:true,
+            _shared:true,
+            _staticModes:true,
+            _staticDefaults:true,
+            _native:true,
+            _adopted:true
+        },
 
-            // do namespace stuff
-            if (fullName)
+        // makes a static on a subclass read and write through to the parent's (see the staticInheritance option)
+        shareStatic = function (klass, parent, name)
+        {
+            var get = function ()
             {
-                var parts = fullName.split(/\./);
-                var shortName = parts.pop();
+                return parent[name];
+            };
+            get._sharedStatic = true;
 
-                // Martin Wells (playcraft): bug fix. Don't add a namespace object if the class name
-                // has no namespace elements (i.e. it's just "MyClass", not "MyProject.MyClass")
-                if (parts.length > 0)
+            Object.defineProperty(klass, name, {
+                get:get,
+                set:function (value)
                 {
-                    current = clss.getObject(parts.join('.'), window, true),
-                        namespace = current;
-                }
+                    parent[name] = value;
+                },
+                enumerable:true,
+                configurable:true
+            });
+        },
 
-                current[shortName] = Class;
+        // takes a class out of its parent's list of subclasses
+        detach = function (klass)
+        {
+            var siblings = klass._superClass ? klass._superClass._subclasses : [];
+            for (var i = 0; i < siblings.length; i++)
+            {
+                if (siblings[i] === klass)
+                {
+                    siblings.splice(i, 1);
+                    break;
+                }
             }
+        },
 
-            // set things that can't be overwritten
-            extend(Class, {
-                prototype:prototype,
-                namespace:namespace,
-                shortName:shortName,
-                constructor:Class,
-                fullName:fullName
-            });
+        // names of the static and instance methods still marked with gamecore.Class.abstractMethod
+        findAbstract = function (klass, prototype)
+        {
+            var found = { statics:[], proto:[] }, name;
+            for (name in klass)
+                if (klass.hasOwnProperty(name) && peek(klass, name) === clss.abstractMethod)
+                    found.statics.push(name);
+            for (name in prototype)
+                if (peek(prototype, name) === clss.abstractMethod)
+                    found.proto.push(name);
+            return found;
+        },
 
-            //make sure our prototype looks nice
-            Class.prototype.Class = Class.prototype.constructor = Class;
+        // accepts either a class or a class name
+        toClass = function (klass)
+        {
+            return typeof klass == 'string' ? registry[klass] || null : klass;
+        },
 
-            var args = Class.setup.apply(Class, concatArgs([_super_class], arguments));
+        // static properties that configure the class being extended, rather than being copied onto it
+        classOptions = {
+            mixins:true,
+            replace:true,
+            shared:true,
+            staticInheritance:true,
+            'abstract':true,
+            root:true,
+            'implements':true,
+            typeBit:true,
+            decorators:true
+        },
 
-            if (Class.init)
-                Class.init.apply(Class, args || []);
+        // gets the descriptor of a property, looking up the prototype chain
+        getDescriptor = function (object, name)
+        {
+            var desc;
+            for (; object; object = Object.getPrototypeOf(object))
+                if (desc = Object.getOwnPropertyDescriptor(object, name))
+                    return desc;
+        },
 
-            /* @Prototype*/
+        // gets the value of a property without running it if it's an accessor (which come back as undefined)
+        peek = function (object, name)
+        {
+            var desc = getDescriptor(object, name);
+            return desc && desc.value;
+        },
+
+        // adds a getter/setter to an object; if they use this._super it will be the getter/setter they override,
+        // and if only one of them is given the other one is inherited
+        inheritAccessor = function (name, desc, oldProps, addTo)
+        {
+            var old = getDescriptor(oldProps, name) || {},
+                wrap = function (fn, part)
+                {
+                    if (!fn || !isFunction(old[part]) || !fnTest.test(fn))
+                        return fn || old[part];
+
+                    return function ()
+                    {
+                        var tmp = this._super, ret;
+                        this._super = (getDescriptor(oldProps, name) || {})[part];
+                        ret = fn.apply(this, arguments);
+                        this._super = tmp;
+                        return ret;
+                    };
+                };
+
+            Object.defineProperty(addTo, name, {
+                get:wrap(desc.get, 'get'),
+                set:wrap(desc.set, 'set'),
+                enumerable:true,
+                configurable:true
+            });
+        },
+
+        inheritProps = function (newProps, oldProps, addTo, skip)
+        {
+            // overwrites an object with methods, sets up _super
+            // newProps - new properties
+            // oldProps - where the old properties might be
+            // addTo - what we are adding to
+            // skip - (optional) map of property names to leave out
+            addTo = addTo || newProps
+            var desc;
+            for (var name in newProps)
+            {
+                if (skip && skip[name]) continue;
+
+                // getters and setters are copied as they are (rather than their current value)
+                desc = Object.getOwnPropertyDescriptor(newProps, name);
+                if (desc && !('value' in desc))
+                {
+                    inheritAccessor(name, desc, oldProps, addTo);
+                    continue;
+                }
+
+                // replacing an accessor with a plain value has to be done by redefining it (setting would call it)
+                desc = getDescriptor(addTo, name);
+                if (desc && !('value' in desc))
+                    Object.defineProperty(addTo, name, { value:undefined, writable:true, enumerable:true,
+                        configurable:true });
+
+                // super factories (see gamecore.Class.withSuper) are handed the overridden method once, right now,
+                // so the method they return doesn't need wrapping
+                if (isFunction(newProps[name]) && newProps[name]._superFactory)
+                {
+                    addTo[name] = newProps[name](isFunction(peek(oldProps, name)) ? oldProps[name] : noop);
+                    addTo[name]._factory = newProps[name]; // (so it can be made again if the class is reloaded)
+                    continue;
+                }
+
+                // Check if we're overwriting an existing function
+                addTo[name] = isFunction(newProps[name]) &&
+                    isFunction(peek(oldProps, name)) &&
+                    fnTest.test(newProps[name]) ? (function (name, fn)
+                {
+                    var wrapper = function ()
+                    {
+                        var tmp = this._super, ret;
+
+                        // Add a new ._super() method that is the same method but on the super-class
+                        this._super = oldProps[name];
+
+                        // The method only need to be bound temporarily, so we remove it when we're done executing
+                        ret = fn.apply(this, arguments);
+                        this._super = tmp;
+                        return ret;
+                    };
+                    // keep the original around so its declared arguments can still be checked (see gamecore.Interface)
+                    wrapper._method = fn;
+                    return wrapper;
+                })(name, newProps[name]) : newProps[name];
+            }
+        },
+
+        // copies the current versions of the properties named in props (getters and setters included), so a later
+        // inheritProps onto the same object still has the previous versions to call as _super
+        snapshot = function (object, props)
+        {
+            var old = {}, desc;
+            for (var name in props)
+                if (desc = getDescriptor(object, name))
+                    Object.defineProperty(old, name, desc);
+            return old;
+        },
+
+        // throws if two mixins both bring in a method of the same name which the class itself doesn't override
+        checkMixinConflicts = function (fullName, mixins, part, own)
+        {
+            var seen = {}, conflicts = [], props, name, m;
+            for (m = 0; m < mixins.length; m++)
+            {
+                props = mixins[m][part];
+                for (name in props)
+                {
+                    if (!isFunction(peek(props, name))) continue;
+                    if (seen[name] && !(own && own.hasOwnProperty(name)))
+                        conflicts.push(name + ' (' + seen[name] + ', ' + mixins[m].fullName + ')');
+                    seen[name] = mixins[m].fullName;
+                }
+            }
+            if (conflicts.length)
+                throw 'Mixin conflict in ' + (fullName || 'class') + ': ' + conflicts.join(', ') +
+                    ' -- override the method in the class to resolve it';
+        },
+
+        // replaces a static of klass with value, in its subclasses too where they still have the same function
+        replaceStatic = function (klass, name, old, value)
+        {
+            clss.walkHierarchy(klass, function (k)
+            {
+                if (!k.hasOwnProperty(name) || k[name] !== old) return false;
+                k[name] = value;
+            });
+        },
+
+        // creates a method that runs the before, around and after advice (see gamecore.Class.before) of a method.
+        // Around advice is wrapped like an override, so this._super is the next one in (and the method last).
+        adviseMethod = function (method)
+        {
+            var advised = function ()
+            {
+                var advice = advised._advice, args = arguments, i, ret;
+                for (i = 0; i < advice.before.length; i++)
+                    advice.before[i].apply(this, args);
+
+                ret = (function next(self, a, args)
+                {
+                    if (a < 0)
+                        return advised._original.apply(self, args);
+
+                    var tmp = self._super, ret;
+                    self._super = function ()
+                    {
+                        return next(this, a - 1, arguments);
+                    };
+                    ret = advice.around[a].apply(self, args);
+                    self._super = tmp;
+                    return ret;
+                })(this, advice.around.length - 1, args);
+
+                for (i = 0; i < advice.after.length; i++)
+                    advice.after[i].apply(this, concatArgs([ret], args));
+                return ret;
+            };
+            advised._advice = { before:[], around:[], after:[] };
+            advised._original = method;
+            advised._method = method._method || method;
+            return advised;
+        },
+
+        // puts a new version of a method or accessor onto an object (a class's prototype, or a class) in place of
+        // the current one, keeping any advice on it and the observable/tracked set up of fields
+        patchMember = function (target, name, desc, klass)
+        {
+            var current = Object.getOwnPropertyDescriptor(target, name),
+                field = current && current.get && current.get._field;
+
+            if (current && isFunction(current.value) && current.value._advice && isFunction(desc.value))
+                current.value._original = desc.value;
+            else if (field && 'value' in desc)
+            {
+                if (!isFunction(desc.value))
+                    defineField(target, name, desc.value, field.observed, field.bit);
+            }
+            else if (target === klass && current && 'value' in current && 'value' in desc)
+                replaceStatic(klass, name, current.value, desc.value); // (subclasses have copies)
+            else
+            {
+                desc.configurable = desc.enumerable = true;
+                Object.defineProperty(target, name, desc);
+            }
+        },
+
+        // redefines a class in place (see gamecore.Class.setHotReload): methods (static and instance) and
+        // default field values are updated, so all its objects (and its subclasses) get them straight away
+        reloadClass = function (Class, klass, proto)
+        {
+            var prototype = Class.prototype,
+                patch = {},
+                added = {},
+                name, desc, value;
+
+            // instance methods that aren't there any more are removed (but not the ones extend puts there itself:
+            // the constructor, and equals and hashCode made from the class's keys)
+            for (name in prototype)
+            {
+                if (!prototype.hasOwnProperty(name) || name == 'Class' || name == 'constructor' ||
+                    proto.hasOwnProperty(name)) continue;
+                value = peek(prototype, name);
+                if (isFunction(value) && !value._advice && !value._keys)
+                    delete prototype[name];
+            }
+
+            // new versions are made the same way extend makes them (so _super works), then put in place
+            inheritProps(proto, Object.getPrototypeOf(prototype), patch);
+            for (name in patch)
+            {
+                value = peek(patch, name);
+                if (value && typeof value == 'object' && !(name in prototype))
+                    added[name] = value;
+                patchMember(prototype, name, Object.getOwnPropertyDescriptor(patch, name));
+            }
+
+            // static methods are updated, but values (which may have changed while running) are only added
+            patch = {};
+            inheritProps(klass, Class._superClass, patch, classOptions);
+            for (name in patch)
+            {
+                desc = Object.getOwnPropertyDescriptor(patch, name);
+                if (!(name in Class))
+                {
+                    // new ones go to the subclasses as well (where they don't have their own)
+                    clss.walkHierarchy(Class, function (k)
+                    {
+                        if (k.hasOwnProperty(name)) return false;
+                        Object.defineProperty(k, name, extend({}, desc, { configurable:true, enumerable:true }));
+                    });
+                }
+                else if (!('value' in desc) || isFunction(desc.value))
+                    patchMember(Class, name, desc, Class);
+            }
+
+            // subclasses' methods made with withSuper factories have to be made again, with the new super method
+            clss.walkHierarchy(Class, function (k, depth)
+            {
+                if (depth == 0) return;
+                for (name in k.prototype)
+                    if (k.prototype.hasOwnProperty(name) && isFunction(value = peek(k.prototype, name)) && value._factory)
+                        (k.prototype[name] = value._factory(k._superClass.prototype[name]))._factory = value._factory;
+                for (name in k)
+                    if (k.hasOwnProperty(name) && isFunction(value = peek(k, name)) && value._factory)
+                        (k[name] = value._factory(k._superClass[name]))._factory = value._factory;
+            });
+
+            // (new objects are only set up as this class while it's their constructor; see the Class function)
+            prototype.Class = prototype.constructor = Class;
+
+            clss.invalidate(Class);
+            clss.reloaded.fireWith(clss, [Class, compileInitializer(added)]);
+            return Class;
+        },
+
+        clss = gc.Class = function ()
+        {
+            if (arguments.length)
+            {
+                return clss.extend.apply(clss, arguments);
+            }
+        };
+
+    /* @Static*/
+    extend(clss, {
+        callback:function (funcs)
+        {
+            //args that should be curried
+            var args = makeArray(arguments),
+                self;
+
+            funcs = args.shift();
+
+            if (!isArray(funcs))
+            {
+                funcs = [funcs];
+            }
+
+            self = this;
+
+            return function class_cb()
+            {
+                var cur = concatArgs(args, arguments),
+                    isString,
+                    length = funcs.length,
+                    f = 0,
+                    func;
+
+                for (; f < length; f++)
+                {
+                    func = funcs[f];
+                    if (!func)
+                        continue;
+
+                    isString = typeof func == "string";
+                    if (isString && self._set_called)
+                        self.called = func;
+
+                    cur = (isString ? self[func] : func).apply(self, cur || []);
+                    if (f < length - 1)
+                        cur = !isArray(cur) || cur._use_call ? [cur] : cur
+                }
+                return cur;
+            }
+        },
+
+        getObject:gc.String.getObject,
+
+        /**
+         * All named classes, keyed by fullName. Don't modify this directly.
+         */
+        registry:registry,
+
+        /**
+         * The object namespaced classes are added to, i.e. 'Fighter.Gunship' ends up as root.Fighter.Gunship.
+         * Normally this is the global object (window), but when gamecore is loaded as a module (CommonJS or AMD)
+         * it's a private object (holding just gamecore), so nothing leaks into the global scope. Set it to null to
+         * only keep classes in the registry (use getClass to find them). You can also give a class its own root
+         * using the static root option.
+         */
+        root:typeof noGlobal != 'undefined' && noGlobal ? { gamecore:gc } : gc.global,
+
+        /**
+         * What to do when a class is defined using the fullName of a class that already exists (and the new
+         * class doesn't have the static replace option set to true): 'warn' (the default) logs a warning and
+         * replaces the old class, 'throw' throws an error, and 'ignore' silently replaces it.
+         */
+        onDuplicate:'warn',
+
+        /**
+         * Use this as the body of a method that subclasses must implement (the class itself must then be declared
+         * with the static abstract option). Calling it throws.
+         * <code>
+         *   var Weapon = gamecore.Base.extend('Weapon', { 'abstract': true },
+         *   {
+         *       fire: gamecore.Class.abstractMethod
+         *   });
+         * </code>
+         */
+        abstractMethod:function ()
+        {
+            throw 'Abstract method called on ' + (this.Class || this).fullName;
+        },
+
+        /**
+         * A faster alternative to this._super() for methods that are called a lot (like per-frame updates).
+         * Rather than a method, give a factory that's handed the method being overridden and returns the new
+         * method. The factory runs once, when the class is defined, so calls to the method go straight to your
+         * code (this._super() needs a wrapper that swaps this._super around every call).
+         * <code>
+         *   update: gamecore.Class.withSuper(function (_super)
+         *   {
+         *       return function (delta)
+         *       {
+         *           _super.call(this, delta);
+         *           // ...
+         *       };
+         *   })
+         * </code>
+         * Since the overridden method is looked up when the class is defined, changes made to the parent's method
+         * after that aren't picked up. If there's nothing to override, _super is a function that does nothing.
+         * @param {Function} factory Function taking the overridden method and returning the new one
+         * @return {Function} The factory, marked so extend knows what to do with it
+         */
+        withSuper:function (factory)
+        {
+            factory._superFactory = true;
+            return factory;
+        },
+
+        /**
+         * Checks if this class is a given type: the type can be this class or one it extends, or a mixin or
+         * interface it (or a class it extends) uses. Instances have an isA as well, so you can skip the .Class.
+         * <code>
+         *   Fighter.isA('Damageable');  // by name
+         *   fighter.isA(Enemy);         // or by reference
+         * </code>
+         * For checks in hot loops, give the classes you test against a type bit (typeBit:true in the statics), and
+         * test the type mask directly: (other.Class.typeMask & Enemy.typeBit) != 0. Up to 32 classes can have one.
+         * @param {String|Function|gamecore.Mixin|gamecore.Interface} type Type name, class, mixin or interface
+         * @return {Boolean} true if this class is of the given type
+         */
+        isA:function (type)
+        {
+            if (typeof type == 'string')
+                return this._typeNames.hasOwnProperty(type);
+            if (!type)
+                return false;
+            if (type.typeBit)
+                return (this.typeMask & type.typeBit) != 0;
+            if (isFunction(type))
+                return type === this || type.prototype.isPrototypeOf(this.prototype);
+            return this._typeNames.hasOwnProperty(type.fullName);
+        },
+
+        /**
+         * @param {Function|String} [klass] Class (or class name) to look at; defaults to this class
+         * @return {Boolean} true if the class was declared abstract (and so can't be instantiated)
+         */
+        isAbstract:function (klass)
+        {
+            klass = toClass(klass || this);
+            return !!(klass && klass._abstract);
+        },
+
+        /**
+         * Gets the methods of a class that are still abstract (including any inherited ones).
+         * @param {Function|String} [klass] Class (or class name) to look at; defaults to this class
+         * @return {Object} Names of the abstract methods, as { statics: [...], proto: [...] }
+         */
+        getAbstractMembers:function (klass)
+        {
+            klass = toClass(klass || this);
+            return findAbstract(klass, klass.prototype);
+        },
+
+        /**
+         * Describes the properties of the class's instances. Each property can have a type (a typeof name like
+         * 'number' or 'string' ('bool' works too), 'array', an integer type -- 'int', 'int8', 'uint8', 'int16',
+         * 'uint16', 'int32' or 'uint32' -- or a class), a default (set on each new instance, and also put in defaults), a min and max,
+         * an enum (array of the values allowed) and whether it's required. Subclasses inherit the schema, and can
+         * add properties or change parts of the ones they inherit.
+         * <code>
+         *   var Fighter = gamecore.Base.extend('Fighter',
+         *   {
+         *       schema:
+         *       {
+         *           hp: { type:'uint16', 'default':100, max:1000 },
+         *           state: { type:'string', 'default':'idle', 'enum':['idle', 'attacking'] },
+         *           owner: { type:Player, required:true }
+         *       }
+         *   }, {...});
+         * </code>
+         * Once the class is created this is the full schema (inherited properties included), so tools can look
+         * at it. Instances are checked after init, and whenever one of the properties is set, in development mode
+         * (see setDevMode); otherwise use validate.
+         */
+        schema:null,
+
+        /**
+         * Checks a value against the schema for a property.
+         * @param {String} name Name of the property
+         * @param {*} value The value
+         * @return {String} What's wrong with the value, or null if it's fine (or the property isn't in the schema)
+         */
+        checkProperty:function (name, value)
+        {
+            return checkValue(this, name, value);
+        },
+
+        /**
+         * Checks the properties of an object against the schema of this class.
+         * @param {Object} object Object to check (usually an instance of this class)
+         * @return {Array} What's wrong with it (empty if nothing)
+         */
+        validate:function (object)
+        {
+            return schemaErrors(this, object);
+        },
+
+        /**
+         * Names of instance properties that tell listeners when they change (see observe). Subclasses inherit
+         * them, and can add more.
+         * <code>
+         *   var Fighter = gamecore.Base.extend('Fighter', { observable: ['hp', 'state'] }, { hp: 100, ... });
+         *
+         *   fighter.observe('hp', function (name, value, oldValue) { bar.setWidth(value); });
+         * </code>
+         */
+        observable:null,
+
+        /**
+         * Names of instance fields to track changes to. Changing one sets its bit in the object's dirty mask, so
+         * renderers and network code can cheaply find out what changed (see getDirtyFields and clearDirty on
+         * objects). Subclasses inherit them, and can add more (up to 32 in all).
+         * <code>
+         *   var Fighter = gamecore.Pooled.extend('Fighter', { tracked: ['x', 'y', 'hp'] }, { x: 0, y: 0, hp: 100 });
+         *
+         *   if (fighter.isDirty())
+         *   {
+         *       send(fighter, fighter.getDirtyFields());
+         *       fighter.clearDirty();
+         *   }
+         * </code>
+         * New objects, and pooled ones when they're acquired, start with all their tracked fields dirty.
+         */
+        tracked:null,
+
+        /**
+         * Names of the instance fields that make up an object's value. Objects of a class with keys get equals and
+         * hashCode methods made from them, so two objects of the same class with the same key values are equal,
+         * and are the same key in a gamecore.Hashtable. Subclasses inherit them, and can add more.
+         * <code>
+         *   var Cell = gamecore.Base.extend('Cell', { keys: ['x', 'y'] }, { x: 0, y: 0, init: function (x, y) {...} });
+         *
+         *   new Cell(1, 2).equals(new Cell(1, 2)); // true
+         *   cells.put(new Cell(1, 2), tile);
+         *   cells.get(new Cell(1, 2));             // tile
+         * </code>
+         * Key values are compared with their own equals (and hashed with their own hashCode) if they have them.
+         * A class's own equals or hashCode is kept, and so is one inherited from a class with keys. Don't change
+         * the key fields of an object while it's being used as a key.
+         */
+        keys:null,
+
+        /**
+         * Index of each tracked field (its bit in the dirty mask is 1 << index), i.e. { x: 0, y: 1, hp: 2 }.
+         * Indices of inherited fields are the same in subclasses.
+         */
+        fieldIndices:null,
+
+        /**
+         * Dirty mask with all the tracked fields of the class set.
+         */
+        dirtyMask:0,
+
+        /**
+         * Adds a listener that's called when an observable property changes, with the name of the property, its
+         * new value and its old value (and this set to the object that changed). This can be called on an object
+         * to listen to it, or on a class to listen to all its objects (including those of its subclasses).
+         * @param {String} [name] Name of the property to listen to; all of them if left out
+         * @param {Function} listener Function to call
+         * @return {Object} this
+         */
+        observe:function (name, listener)
+        {
+            if (isFunction(name))
+            {
+                listener = name;
+                name = '*';
+            }
+
+            var observers = this.hasOwnProperty('_observers') && this._observers || (this._observers = {});
+            (observers[name] || (observers[name] = gc.Callbacks())).add(listener);
+            return this;
+        },
+
+        /**
+         * Removes a listener added with observe.
+         * @param {String} [name] Name of the property it was listening to (if it was given)
+         * @param {Function} listener The listener to remove
+         * @return {Object} this
+         */
+        unobserve:function (name, listener)
+        {
+            if (isFunction(name))
+            {
+                listener = name;
+                name = '*';
+            }
+
+            var observers = this.hasOwnProperty('_observers') && this._observers;
+            if (observers && observers[name])
+                observers[name].remove(listener);
+            return this;
+        },
+
+        /**
+         * Turns batching of changes on or off. While it's on, changes to observable properties are held on to
+         * until flushChanges is called; then listeners hear about each property that changed once, with the value
+         * it had before the first change (and not at all if it's back where it started). Turning it off flushes.
+         * @param {Boolean} enabled true to batch changes
+         */
+        batchChanges:function (enabled)
+        {
+            if (!enabled)
+                clss.flushChanges();
+            batching = !!enabled;
+        },
+
+        /**
+         * Tells listeners about the changes that have been batched up (see batchChanges).
+         */
+        flushChanges:function ()
+        {
+            var objects = pending, changes, name, value;
+            pending = [];
+            for (var i = 0; i < objects.length; i++)
+            {
+                changes = objects[i]._changes;
+                objects[i]._changes = null;
+                for (name in changes)
+                {
+                    value = objects[i][name];
+                    if (value !== changes[name])
+                        fireChange(objects[i], name, value, changes[name]);
+                }
+            }
+        },
+
+        /**
+         * Turns hot reload mode on or off. In hot reload mode, extending the same class again with the name of
+         * an existing class (i.e. re-running the script that defines it) updates the existing class in place
+         * rather than making a new one, so objects that already exist, including pooled ones, pick up the
+         * changes. Static and instance methods are replaced (or removed), _super calls in subclasses go to the new
+         * versions, any advice on them is kept, and default field values are updated. Static values that already
+         * exist are left alone, as are the mixins, interfaces, schema and other options of the class. If the class
+         * extends a different class, or has different mixins, a new class is made instead.
+         * @param {Boolean} enabled true to turn hot reload mode on
+         */
+        setHotReload:function (enabled)
+        {
+            clss.hotReload = !!enabled;
+        },
+
+        /**
+         * Callbacks (see gamecore.Callbacks) fired when a class is updated in hot reload mode, with the class and
+         * a function that gives an existing object of it its own copies of any new array or object fields.
+         */
+        reloaded:gc.Callbacks(),
+
+        /**
+         * Instances of classes with sealed set (the default) are sealed in development mode, i.e. adding a property
+         * that isn't declared in the class (or set by setup or init) throws. Set sealed to false in the statics of
+         * a class (and its subclasses) that needs to add properties later on.
+         */
+        sealed:true,
+
+        /**
+         * Turns development mode on or off. In development mode new instances are sealed once they're initialized
+         * (see sealed), so a typo like this.HP = 0 (when the field is hp) throws, naming the class and property.
+         * Their properties are checked against the schema then, and again whenever they're set.
+         * Turning it off (the default) costs nothing at all when creating objects. Instances created while it was
+         * on stay sealed; native subclasses (see adopt) aren't sealed.
+         * @param {Boolean} enabled true to turn development mode on
+         */
+        setDevMode:function (enabled)
+        {
+            clss.devMode = !!enabled;
+            initInstance = enabled ? sealInstance : setupInstance;
+        },
+
+        /**
+         * Adds advice that runs before a method, with the same arguments (and this). The method can be an
+         * instance method or (with isStatic) a static one, defined on the class or one it extends. Subclasses
+         * that don't override the method get the advice too, and ones that do get it when they call this._super.
+         * <code>
+         *   var logFire = Fighter.before('fire', function (target) { console.log(this.uniqueId + ' fires'); });
+         *   ...
+         *   Fighter.removeAdvice('fire', logFire);
+         * </code>
+         * @param {String} name Name of the method
+         * @param {Function} advice Function to run
+         * @param {Boolean} [isStatic] true if the method is a static one
+         * @return {Function} The advice (so it can be given to removeAdvice)
+         */
+        before:function (name, advice, isStatic)
+        {
+            return clss.advise(this, name, 'before', advice, isStatic);
+        },
+
+        /**
+         * Adds advice that runs after a method, with the value it returned followed by its arguments. See before.
+         * @param {String} name Name of the method
+         * @param {Function} advice Function to run
+         * @param {Boolean} [isStatic] true if the method is a static one
+         * @return {Function} The advice (so it can be given to removeAdvice)
+         */
+        after:function (name, advice, isStatic)
+        {
+            return clss.advise(this, name, 'after', advice, isStatic);
+        },
+
+        /**
+         * Adds advice that runs in place of a method: call this._super to run the method (or the next around advice
+         * in), and return what it should return. See before.
+         * <code>
+         *   Fighter.around('update', function (delta)
+         *   {
+         *       var start = Date.now(), ret = this._super(delta);
+         *       updateTime += Date.now() - start;
+         *       return ret;
+         *   });
+         * </code>
+         * @param {String} name Name of the method
+         * @param {Function} advice Function to run
+         * @param {Boolean} [isStatic] true if the method is a static one
+         * @return {Function} The advice (so it can be given to removeAdvice)
+         */
+        around:function (name, advice, isStatic)
+        {
+            return clss.advise(this, name, 'around', advice, isStatic);
+        },
+
+        /**
+         * Adds advice to a method of a class; used by before, after and around.
+         * @param {Function|String} klass Class (or class name) the method is on
+         * @param {String} name Name of the method
+         * @param {String} kind 'before', 'after' or 'around'
+         * @param {Function} advice Function to run
+         * @param {Boolean} [isStatic] true if the method is a static one
+         * @return {Function} The advice
+         */
+        advise:function (klass, name, kind, advice, isStatic)
+        {
+            klass = toClass(klass);
+            var target = isStatic ? klass : klass.prototype,
+                method = peek(target, name),
+                advised;
+
+            if (!isFunction(method))
+                throw (klass.fullName || 'Class') + ' has no ' + (isStatic ? 'static ' : '') + 'method named ' + name;
+
+            if (method._advice && target.hasOwnProperty(name))
+                advised = method;
+            else
+            {
+                // an inherited method is looked up each call, so changes to it (or its advice) still come through
+                advised = adviseMethod(target.hasOwnProperty(name) ? method : function ()
+                {
+                    return Object.getPrototypeOf(target)[name].apply(this, arguments);
+                });
+                advised._inherited = !target.hasOwnProperty(name);
+                advised._klass = klass;
+                if (isStatic)
+                    replaceStatic(klass, name, method, advised);
+                else
+                    target[name] = advised;
+            }
+
+            advised._advice[kind].push(advice);
+            return advice;
+        },
+
+        /**
+         * Removes advice added with before, after or around. Once a method has no advice left it's put back the
+         * way it was.
+         * @param {String} name Name of the method
+         * @param {Function} advice The advice to remove
+         * @param {Boolean} [isStatic] true if the method is a static one
+         * @return {Boolean} true if the advice was found (and removed)
+         */
+        removeAdvice:function (name, advice, isStatic)
+        {
+            var advised = peek(isStatic ? this : this.prototype, name),
+                klass, target, lists, kind, i, found = false, left = 0;
+
+            if (!isFunction(advised) || !advised._advice)
+                return false;
+
+            // the advice belongs to the class it was added to (which may be one this class extends)
+            klass = advised._klass;
+            target = isStatic ? klass : klass.prototype;
+
+            lists = advised._advice;
+            for (kind in lists)
+            {
+                for (i = lists[kind].length - 1; i >= 0 && !found; i--)
+                {
+                    if (lists[kind][i] !== advice) continue;
+                    lists[kind].splice(i, 1);
+                    found = true;
+                }
+                left += lists[kind].length;
+            }
+
+            if (found && !left)
+            {
+                if (isStatic)
+                    replaceStatic(klass, name, advised, advised._inherited ?
+                        Object.getPrototypeOf(klass)[name] : advised._original);
+                else if (advised._inherited)
+                    delete target[name];
+                else
+                    target[name] = advised._original;
+            }
+            return found;
+        },
+
+        /**
+         * Classes work out which of their default fields need copying for each new instance (arrays and objects)
+         * the first time they're instantiated, and again when fields are added to (or removed from) their
+         * prototypes, or one that wasn't an object becomes one. Call this to have them worked out again when
+         * anything else changes (like the schema).
+         * @param {Function|String} [klass] Class (or class name) that changed; its subclasses are included
+         */
+        invalidate:function (klass)
+        {
+            clss.walkHierarchy(klass || this, function (k)
+            {
+                k._initializer = null;
+            });
+        },
+
+        /**
+         * Gets a class by name.
+         * @param {String} fullName Full name of the class, i.e. 'Fighter.Gunship'
+         * @return {Function} The class, or null if there's no class by that name
+         */
+        getClass:function (fullName)
+        {
+            return registry[fullName] || null;
+        },
+
+        /**
+         * @return {Array} The names of all the classes in the registry
+         */
+        getClassNames:function ()
+        {
+            var names = [];
+            for (var name in registry)
+                names.push(name);
+            return names;
+        },
+
+        /**
+         * Gets the class this one extends.
+         * @param {Function|String} [klass] Class (or class name) to look at; defaults to this class
+         * @return {Function} The super class, or null for gamecore.Class itself
+         */
+        getSuperclass:function (klass)
+        {
+            klass = toClass(klass || this);
+            return klass && klass._superClass || null;
+        },
+
+        /**
+         * Gets the classes that extend this one.
+         * @param {Function|String} [klass] Class (or class name) to look at; defaults to this class
+         * @param {Boolean} [deep] true to also include subclasses of subclasses (and so on)
+         * @return {Array} Array of classes, in the order they were defined (depth-first if deep)
+         */
+        getSubclasses:function (klass, deep)
+        {
+            var result = [];
+            clss.walkHierarchy(klass || this, function (sub, depth)
+            {
+                if (depth == 0) return true;
+                result.push(sub);
+                return !!deep;
+            });
+            return result;
+        },
+
+        /**
+         * Gets the chain of classes from the top of the hierarchy (gamecore.Base, typically) down to this one.
+         * @param {Function|String} [klass] Class (or class name) to look at; defaults to this class
+         * @return {Array} Array of classes, this class last
+         */
+        getHierarchy:function (klass)
+        {
+            var result = [];
+            klass = toClass(klass || this);
+            while (klass && klass._superClass)
+            {
+                result.unshift(klass);
+                klass = klass._superClass;
+            }
+            return result;
+        },
+
+        /**
+         * Removes a class (and all its subclasses) from the registry, and from its namespace object (i.e. root
+         * for 'Fighter', root.Fighter for 'Fighter.Gunship'). Handy for cleaning up classes defined in tests.
+         * @param {Function|String} klass Class (or class name) to remove
+         * @return {Boolean} true if the class was removed, false if it wasn't registered
+         */
+        unregister:function (klass)
+        {
+            klass = toClass(klass);
+            if (!klass || !klass.fullName || registry[klass.fullName] !== klass)
+                return false;
+
+            while (klass._subclasses.length)
+            {
+                if (!clss.unregister(klass._subclasses[0]))
+                    detach(klass._subclasses[0]); // an unnamed class
+            }
+
+            detach(klass);
+            delete registry[klass.fullName];
+            if (klass._root && clss.getObject(klass.fullName, klass._root) === klass)
+                clss.getObject(klass.fullName, klass._root, false);
+            return true;
+        },
+
+        /**
+         * Walks down the class hierarchy (depth first), starting with the given class.
+         * <code>
+         *   gamecore.Class.walkHierarchy(gamecore.Base, function(klass, depth)
+         *   {
+         *       console.log(new Array(depth + 1).join('  ') + klass.fullName);
+         *   });
+         * </code>
+         * @param {Function|String} klass Class (or class name) to start at
+         * @param {Function} callback Called with each class and its depth below the starting class.
+         * Return false to skip the subclasses of that class.
+         */
+        walkHierarchy:function (klass, callback)
+        {
+            var walk = function (k, depth)
+            {
+                if (callback(k, depth) === false) return;
+                for (var i = 0; i < k._subclasses.length; i++)
+                    walk(k._subclasses[i], depth + 1);
+            };
+
+            klass = toClass(klass);
+            if (klass) walk(klass, 0);
+        },
+
+        newInstance:function ()
+        {
+            if (this._abstract)
+                throw this.fullName + ' is abstract, so it can\'t be instantiated (use a subclass)';
+
+            // native subclasses set themselves up when their constructor calls super()
+            if (this.hasOwnProperty('_adopted'))
+                return Reflect.construct(this, arguments);
+
+            // classes wrapping a native class have its constructor run as well
+            var inst = this._native ? Reflect.construct(this._native, arguments, this) : this.rawInstance();
+            return initInstance(this, inst, arguments);
+        },
+
+        /**
+         * Creates an instance that's set up (it has its ids and its own copies of the default fields) but not
+         * initialized, i.e. init isn't called. For when its fields are about to be set from saved data (see
+         * gamecore.Base.fromJSON), so init doesn't need to be given arguments it can't have.
+         * @return {Object} The instance
+         */
+        blankInstance:function ()
+        {
+            if (this._abstract)
+                throw this.fullName + ' is abstract, so it can\'t be instantiated (use a subclass)';
+
+            // (native classes can't be made without running their constructors)
+            if (this.hasOwnProperty('_adopted'))
+                return Reflect.construct(this, []);
+
+            var inst = this._native ? Reflect.construct(this._native, [], this) : this.rawInstance();
+            return initInstance(this, inst, [], true);
+        },
+
+        setup:function (baseClass, fullName)
+        {
+            this.defaults = extend(true, {}, baseClass.defaults, this.defaults);
+
+            // the schema is merged property by property, so a subclass can change just the range (say) of one
+            var schema = {}, name;
+            for (name in baseClass.schema)
+                schema[name] = extend({}, baseClass.schema[name]);
+            for (name in this.schema)
+                schema[name] = extend(schema[name] || {}, this.schema[name]);
+            this.schema = schema;
+            for (name in schema)
+                if ('default' in schema[name])
+                    this.defaults[name] = schema[name]['default'];
+
+            // observable and tracked fields are inherited too (tracked ones keep their index, so new ones go on
+            // the end); ones that are new, or have a new default, get set up here
+            var observable = mergeNames(baseClass.observable, this.observable),
+                tracked = mergeNames(baseClass.tracked, this.tracked),
+                fields = mergeNames(observable, tracked),
+                desc, field, bit, observed;
+            if (tracked.length > 32)
+                throw (this.fullName || 'Class') + ' has ' + tracked.length + ' tracked fields (32 at most)';
+
+            this.observable = observable;
+            this.tracked = tracked;
+            this.fieldIndices = {};
+            this.dirtyMask = 0;
+            for (var f = 0; f < tracked.length; f++)
+            {
+                this.fieldIndices[tracked[f]] = f;
+                this.dirtyMask |= 1 << f;
+            }
+
+            for (f = 0; f < fields.length; f++)
+            {
+                name = fields[f];
+                desc = getDescriptor(this.prototype, name);
+                field = desc && desc.get && desc.get._field;
+                bit = this.fieldIndices.hasOwnProperty(name) ? 1 << this.fieldIndices[name] : 0;
+                observed = observable.indexOf(name) != -1;
+                if (field && field.bit == bit && field.observed == observed && !this.prototype.hasOwnProperty(name))
+                    continue;
+                if (!desc || 'value' in desc || field)
+                    defineField(this.prototype, name, field ? field.value : desc && desc.value, observed, bit);
+            }
+
+            // new objects start out with all their tracked fields dirty
+            if (tracked.length)
+                this.prototype._dirty = this.dirtyMask;
+
+            // key fields are inherited as well; classes with new ones get equals and hashCode made for them, unless
+            // they (or a keyed base class) have their own
+            var keys = mergeNames(baseClass.keys, this.keys), inherited = baseClass.keys ? baseClass.keys.length : 0;
+            this.keys = keys;
+            if (keys.length > inherited)
+            {
+                var methods = compileKeyMethods(keys);
+                for (name in methods)
+                    if (!this.prototype.hasOwnProperty(name) && (!inherited || this.prototype[name]._keys))
+                        this.prototype[name] = methods[name];
+            }
+
+            if (this._types == undefined) this._types = [];
+            if (this._fullTypeName == undefined) this._fullTypeName = '|';
+            if (this._typeNames == undefined) this._typeNames = {};
+
+            // mixins and interfaces count as types as well, so isA('Damageable') works
+            var extra = this._mixins.concat(this._interfaces);
+            for (var m = 0; m < extra.length; m++)
+            {
+                var typeName = extra[m].fullName;
+                if (this._typeNames.hasOwnProperty(typeName)) continue;
+                this._types.push(typeName);
+                this._fullTypeName += typeName + '|';
+                this._typeNames[typeName] = true;
+            }
+
+            this._types.push(this.fullName);
+            this._fullTypeName += this.fullName + '|';
+            if (this.fullName)
+                this._typeNames[this.fullName] = true;
+            return arguments;
+        },
+        rawInstance:function ()
+        {
+            initializing = true;
+            var inst = new this();
+            initializing = false;
+            return inst;
+        },
+
+        /**
+         * Sets up a native (ES) class that extends a gamecore class, so it works like one: it gets a fullName,
+         * its own statics (following staticInheritance), setup and init are run when it's constructed (from within
+         * the super() call), it's in the registry and isA works.
+         * <code>
+         *   class Gunship extends Fighter
+         *   {
+         *       init(hp) { super.init(hp); this.shields = 10; }
+         *   }
+         *   gamecore.Class.adopt(Gunship, 'Fighter.Gunship');
+         * </code>
+         * Native subclasses are adopted automatically the first time they're constructed (or used with a pool),
+         * using the class's name, so you only need this to choose the name or give options.
+         * @param {Function} Native The native class (it must extend a gamecore class)
+         * @param {String} [fullName] Name for the class; defaults to Native.name
+         * @param {Object} [options] Static options, as for extend (i.e. implements, staticInheritance or shared)
+         * @return {Function} Native
+         */
+        adopt:function (Native, fullName, options)
+        {
+            if (Native.hasOwnProperty('_superClass'))
+                return Native; // already a gamecore class
+
+            var parent = Object.getPrototypeOf(Native);
+            if (!parent || !parent.hasOwnProperty('_superClass'))
+                throw (Native.name || 'Class') + ' does not extend a gamecore class';
+
+            adopting = Native;
+            try
+            {
+                return parent.extend(fullName || Native.name, options || {}, {});
+            } finally
+            {
+                adopting = null;
+            }
+        },
+
+        /**
+         * Creates a gamecore class from a native (ES) class that isn't one, so you can extend it like any other.
+         * The new class inherits from the native class (with the members of the class wrap is called on copied
+         * in), and the native constructor is run (with the same arguments) before setup and init.
+         * <code>
+         *   class Vector { constructor(x, y) { this.x = x; this.y = y; } length() { ... } }
+         *
+         *   var Vec = gamecore.Base.wrap(Vector, 'Vec');
+         *   var Vec3 = Vec.extend('Vec3', {}, { length: function() { return this._super() + ...; } });
+         * </code>
+         * @param {Function} Native The native class
+         * @param {String} [fullName] Name for the new class; defaults to Native.name
+         * @param {Object} [klass] Static members, as for extend
+         * @param {Object} [proto] Instance members, as for extend
+         * @return {Function} The new class
+         */
+        wrap:function (Native, fullName, klass, proto)
+        {
+            wrapping = Native;
+            try
+            {
+                return this.extend(fullName || Native.name, klass || {}, proto || {});
+            } finally
+            {
+                wrapping = null;
+            }
+        },
+
+        extend:function (fullName, klass, proto)
+        {
+            // figure out what was passed
+            if (typeof fullName != 'string')
+            {
+                proto = klass;
+                klass = fullName;
+                fullName = null;
+            }
+            if (!proto)
+            {
+                proto = klass;
+                klass = null;
+            }
+
+            // in hot reload mode, a class that's defined again is updated in place
+            if (clss.hotReload && fullName && registry[fullName] && registry[fullName]._superClass === this &&
+                mixinNames(registry[fullName]._mixins) == mixinNames(klass && klass.mixins ? makeArray(klass.mixins) : []))
+                return reloadClass(registry[fullName], klass || {}, proto || {});
+
+            // check for an existing class with the same name
+            if (fullName && registry[fullName] && !(klass && klass.replace))
+            {
+                var msg = 'A class named ' + fullName + ' already exists. Use the static replace option (replace:true) ' +
+                    'if you meant to redefine it.';
+                if (clss.onDuplicate == 'throw')
+                    throw msg;
+                if (clss.onDuplicate == 'warn' && typeof console != 'undefined')
+                    console.warn(msg);
+            }
+
+            proto = proto || {};
+            var _super_class = this,
+                _super = this.prototype,
+                mixins = klass && klass.mixins ? makeArray(klass.mixins) : [],
+                interfaces = klass && klass['implements'] ? makeArray(klass['implements']) : [],
+                root = klass && klass.root !== undefined ? klass.root : clss.root,
+                adopted = adopting,
+                Class = adopting,
+                native = wrapping,
+                name, shortName, namespace, prototype, layer, m, missing, desc;
+            adopting = wrapping = null;
+
+            if (Class)
+            {
+                // a native subclass already has its prototype
+                prototype = Class.prototype;
+            }
+            else
+            {
+                if (native)
+                {
+                    // inherit from the native class, with our members copied over the top
+                    prototype = Object.create(native.prototype);
+                    for (name in _super)
+                        Object.defineProperty(prototype, name, getDescriptor(_super, name));
+                    _super = prototype;
+                    prototype = Object.create(_super);
+                }
+                else
+                {
+                    // Instantiate a base class (but only create the instance,
+                    // don't run the init constructor)
+                    initializing = true;
+                    prototype = new this();
+                    initializing = false;
+                }
+
+                // Each mixin gets its own layer in the prototype chain (between the parent and the new class), so
+                // _super calls chain through the mixins in the order they were listed
+                checkMixinConflicts(fullName, mixins, 'proto', proto);
+                layer = _super;
+                for (m = 0; m < mixins.length; m++)
+                {
+                    inheritProps(mixins[m].proto, layer, prototype);
+                    layer = prototype;
+                    prototype = Object.create(layer);
+                }
+
+                // Copy the properties over onto the new prototype
+                inheritProps(proto, layer, prototype);
+
+                // The dummy class constructor
+                Class = function Class()
+                {
+                    // All construction is actually done in the init method
+                    if (initializing) return;
+
+                    if (!(this instanceof Class) && arguments.length)
+                    { //we are being called w/o new
+                        return Class.extend.apply(Class, arguments)
+                    } else if (this instanceof Class && this.constructor !== Class)
+                    { //we are being called by the super() of a native subclass, so set up the instance in place
+                        var Native = clss.adopt(this.constructor);
+                        if (Native._abstract)
+                            throw Native.fullName + ' is abstract, so it can\'t be instantiated (use a subclass)';
+                        if (Native._native)
+                            extend(this, Reflect.construct(Native._native, arguments, Native));
+                        setupInstance(Native, this, arguments);
+                    } else
+                    { //we are being called w/ new
+                        // copy objects
+
+                        return this.Class.newInstance.apply(this.Class, arguments)
+                    }
+                };
+                Class._native = native || this._native;
+            }
+
+            // Copy old stuff onto class: by default statics are copied, but they can also be shared with the
+            // parent, or reset to the value they were first declared with (see the staticInheritance option)
+            var seen = newSeen(),
+                staticModes = extend({}, this._staticModes, klass && klass.staticInheritance),
+                staticDefaults = extend({}, this._staticDefaults);
+            for (name in this)
+            {
+                if (!this.hasOwnProperty(name) || classOnly[name]) continue;
+                if (adopted && Class.hasOwnProperty(name)) continue; // a native class's own statics
+
+                desc = Object.getOwnPropertyDescriptor(this, name);
+                if (staticModes[name] == 'shared' && !(klass && klass.hasOwnProperty(name)))
+                    shareStatic(Class, this, name);
+                else if (staticModes[name] == 'reset' && staticDefaults.hasOwnProperty(name))
+                    Class[name] = cloneObject(staticDefaults[name], seen);
+                else if (!('value' in desc) && !(desc.get && desc.get._sharedStatic))
+                    Object.defineProperty(Class, name, desc); // a getter/setter
+                else
+                    Class[name] = cloneObject(this[name], seen);
+            }
+
+            // mix in statics (in order), then copy new props on class
+            checkMixinConflicts(fullName, mixins, 'statics', klass);
+            for (m = 0; m < mixins.length; m++)
+                inheritProps(mixins[m].statics, snapshot(Class, mixins[m].statics), Class);
+            inheritProps(klass, mixins.length ? snapshot(Class, klass) : this, Class, classOptions);
+
+            // keep the values of new reset statics as they are now, before anything changes them
+            for (name in staticModes)
+            {
+                if (staticModes[name] != 'reset' || !(name in Class)) continue;
+                if (!staticDefaults.hasOwnProperty(name) || (klass && klass.hasOwnProperty(name)))
+                    staticDefaults[name] = cloneObject(Class[name]);
+            }
+            Class._staticModes = staticModes;
+            Class._staticDefaults = staticDefaults;
+
+            Class._mixins = mixins;
+            Class._interfaces = interfaces;
+            Class._abstract = !!(klass && klass['abstract']);
+
+            // instance fields that aren't copied for each instance (inherited)
+            Class._shared = extend({}, _super_class._shared);
+            if (klass && klass.shared)
+                for (m = 0; m < klass.shared.length; m++)
+                    Class._shared[klass.shared[m]] = true;
+            Class._superClass = _super_class;
+
+            // every class gets a type id; ones that ask for it also get a type bit, which goes into the type mask
+            // of the class and its subclasses (a replaced class keeps the bit it had)
+            Class.typeId = ++typeIds;
+            Class.typeBit = 0;
+            if (klass && klass.typeBit)
+            {
+                if (fullName && registry[fullName] && registry[fullName].typeBit)
+                    Class.typeBit = registry[fullName].typeBit;
+                else if (typeBits == 32)
+                    throw 'No type bits left for ' + (fullName || 'Class') + ' (only 32 classes can have one)';
+                else
+                    Class.typeBit = 1 << typeBits++;
+            }
+            Class.typeMask = _super_class.typeMask | Class.typeBit;
+            if (adopted)
+                Class._adopted = true;
+
+            // Abstract classes can leave things for subclasses to implement. Concrete ones must have everything,
+            // including methods of interfaces (abstract) parents said they implement, and all abstract methods.
+            if (!Class._abstract)
+            {
+                missing = [];
+                for (var k = Class; k; k = k._superClass)
+                    for (m = 0; k._interfaces && m < k._interfaces.length; m++)
+                        missing = missing.concat(k._interfaces[m].validate(Class, prototype));
+                if (missing.length)
+                    throw (fullName || 'Class') + ' does not implement ' + missing.join(', ');
+
+                missing = findAbstract(Class, prototype);
+                if (missing.statics.length || missing.proto.length)
+                    throw (fullName || 'Class') + ' must implement abstract method(s): ' +
+                        missing.statics.concat(missing.proto).join(', ') + ' (or be declared abstract)';
+            }
+
+            // hook up the hierarchy
+            Class._subclasses = [];
+            _super_class._subclasses.push(Class);
+            if (fullName)
+            {
+                if (registry[fullName])
+                {
+                    detach(registry[fullName]);
+                    clss.invalidate(registry[fullName]);
+                }
+                registry[fullName] = Class;
+            }
+
+            // do namespace stuff
+            if (fullName)
+            {
+                var parts = fullName.split(/\./),
+                    current = root;
+                shortName = parts.pop();
+
+                // Martin Wells (playcraft): bug fix. Don't add a namespace object if the class name
+                // has no namespace elements (i.e. it's just "MyClass", not "MyProject.MyClass")
+                if (root && parts.length > 0)
+                {
+                    current = clss.getObject(parts.join('.'), root, true);
+                    namespace = current;
+                }
+
+                if (current)
+                    current[shortName] = Class;
+            }
+            Class._root = root;
+
+            // set things that can't be overwritten
+            extend(Class, {
+                prototype:prototype,
+                namespace:namespace,
+                shortName:shortName,
+                constructor:Class,
+                fullName:fullName
+            });
+
+            //make sure our prototype looks nice
+            Class.prototype.Class = Class.prototype.constructor = Class;
+
+            var args = Class.setup.apply(Class, concatArgs([_super_class], arguments));
+
+            if (Class.init)
+                Class.init.apply(Class, args || []);
+
+            // run the decorators over the new class, then let the classes it extends know about it (from the top
+            // down). If one of them throws, the class is taken back out of the hierarchy.
+            var decorators = klass && klass.decorators ? makeArray(klass.decorators) : [],
+                ancestors = [];
+            for (k = _super_class; k; k = k._superClass)
+                if (k.hasOwnProperty('onExtend') && isFunction(k.onExtend))
+                    ancestors.unshift(k);
+            try
+            {
+                for (m = 0; m < decorators.length; m++)
+                    decorators[m](Class);
+                for (m = 0; m < ancestors.length; m++)
+                    ancestors[m].onExtend(Class);
+            } catch (e)
+            {
+                if (!clss.unregister(Class))
+                    detach(Class);
+                throw e;
+            }
+
+            /* @Prototype*/
 
             return Class;
         }
     });
 
     clss.prototype.callback = clss.callback;
+    clss.prototype.isA = function (type)
+    {
+        return this.Class.isA(type);
+    };
+    clss.prototype.observe = clss.observe;
+    clss.prototype.unobserve = clss.unobserve;
+    clss.prototype._values = clss.prototype._observers = clss.prototype._changes = null;
+    clss.prototype._dirty = 0;
+
+    /* @Prototype*/
+    extend(clss.prototype, {
+        /**
+         * @param {String} [name] Name of a tracked field (see gamecore.Class.tracked)
+         * @return {Boolean} true if the field has changed since clearDirty was last called; if no name is
+         * given, true if any of them have
+         */
+        isDirty:function (name)
+        {
+            return name === undefined ? this._dirty != 0 : (this._dirty & (1 << this.Class.fieldIndices[name])) != 0;
+        },
+
+        /**
+         * @return {Array} Names of the tracked fields that have changed since clearDirty was last called
+         */
+        getDirtyFields:function ()
+        {
+            var dirty = [], tracked = this.Class.tracked;
+            for (var i = 0; this._dirty && i < tracked.length; i++)
+                if (this._dirty & (1 << i))
+                    dirty.push(tracked[i]);
+            return dirty;
+        },
+
+        /**
+         * Marks a tracked field (or all of them) as changed.
+         * @param {String} [name] Name of the field; all of them if left out
+         */
+        markDirty:function (name)
+        {
+            this._dirty |= name === undefined ? this.Class.dirtyMask : 1 << this.Class.fieldIndices[name];
+        },
+
+        /**
+         * Marks all the tracked fields as unchanged (usually once they've been rendered or sent).
+         */
+        clearDirty:function ()
+        {
+            this._dirty = 0;
+        }
+    });
+    clss._superClass = null;
+    clss._subclasses = [];
+    clss._typeNames = {};
+    clss.devMode = clss.hotReload = false;
+    clss.typeId = clss.typeBit = clss.typeMask = 0;
+
+    /**
+     * @class gamecore.Mixin
+     * A reusable set of static and instance members that can be mixed into a class, rather than inherited.
+     * <code>
+     *   var Damageable = gamecore.Mixin('Damageable',
+     *   {
+     *       // static
+     *       maxHp: 100
+     *   },
+     *   {
+     *       // instance
+     *       hp: 100,
+     *
+     *       damage: function(amount)
+     *       {
+     *           this.hp -= amount;
+     *       }
+     *   });
+     *
+     *   var Fighter = gamecore.Base.extend('Fighter', { mixins: [Damageable] }, {...});
+     *   Fighter.isA('Damageable'); // true
+     * </code>
+     * Mixin methods can call this._super() to get to the previous mixin's (or the parent class's) method.
+     * If two mixins have a method of the same name, the class must override it (and can use this._super to
+     * call through both).
+     * @param {String} fullName Name of the mixin (used for isA type checks)
+     * @param {Object} [statics] Static members
+     * @param {Object} proto Instance members
+     */
+    gc.Mixin = function (fullName, statics, proto)
+    {
+        if (!(this instanceof gc.Mixin))
+            return new gc.Mixin(fullName, statics, proto);
+
+        if (proto === undefined)
+        {
+            proto = statics;
+            statics = null;
+        }
+
+        this.fullName = fullName;
+        this.statics = statics || {};
+        this.proto = proto || {};
+    };
+
+    /**
+     * @class gamecore.Interface
+     * A set of methods a class promises to implement. Classes list the interfaces they implement using the static
+     * implements option, and extend will throw straight away if any of the methods are missing (or take fewer
+     * arguments than the interface says they should).
+     * <code>
+     *   var Poolable = gamecore.Interface('Poolable',
+     *   {
+     *       // instance methods, and the number of arguments they take
+     *       getUniqueId: 0,
+     *       hashCode: 0,
+     *       onRelease: 0
+     *   });
+     *
+     *   var Bullet = gamecore.Pooled.extend('Bullet', { 'implements': [Poolable] }, {...});
+     *   Bullet.isA('Poolable'); // true
+     * </code>
+     * Instead of an argument count you can also give a function; its declared arguments are used.
+     * @param {String} fullName Name of the interface (used for isA type checks)
+     * @param {Object} [statics] Static methods required
+     * @param {Object} proto Instance methods required
+     */
+    gc.Interface = function (fullName, statics, proto)
+    {
+        if (!(this instanceof gc.Interface))
+            return new gc.Interface(fullName, statics, proto);
+
+        if (proto === undefined)
+        {
+            proto = statics;
+            statics = null;
+        }
+
+        this.fullName = fullName;
+        this.statics = statics || {};
+        this.proto = proto || {};
+    };
+
+    gc.Interface.prototype = {
+        constructor:gc.Interface,
+
+        /**
+         * Checks a class against this interface.
+         * @param {Function} klass The class (for statics)
+         * @param {Object} prototype The class prototype (for instance methods)
+         * @return {Array} A description of each missing member; empty if the class implements everything
+         */
+        validate:function (klass, prototype)
+        {
+            return this._check(this.statics, klass, this.fullName + '.').concat(
+                this._check(this.proto, prototype, this.fullName + '#'));
+        },
+
+        _check:function (required, target, prefix)
+        {
+            var missing = [], name, arity, method;
+            for (name in required)
+            {
+                arity = isFunction(required[name]) ? required[name].length : (required[name] || 0);
+                method = peek(target, name);
+                if (!isFunction(method))
+                    missing.push(prefix + name);
+                else if ((method._method || method).length < arity)
+                    missing.push(prefix + name + ' (takes ' + (method._method || method).length +
+                        ' argument(s), expected ' + arity + ')');
+            }
+            return missing;
+        }
+    };
 
 
 })(gamecore);
@@ -1172,7 +3085,36 @@ gamecore.extend({
 gamecore.Base = gamecore.Class('gamecore.Base',
     /** @lends gamecore.Base */
     {
+        /** each class counts its own objects, starting from 0 */
+        staticInheritance:{ totalObjects:'reset' },
+
         totalObjects:0,
+
+        /**
+         * Version of the class's serialized data (see toJSON). Bump it when fields are added, renamed or
+         * changed, and add a migration to upgrade data written out by the previous version.
+         */
+        version:0,
+
+        /**
+         * Functions that upgrade serialized data from older versions of the class, by the version they upgrade
+         * to. When older data is read in (see fromJSON), each one from its version up is run in turn. They're
+         * given the data (its fields), and can change it or return new data (which keeps the object's $class and
+         * $id, so references to it still work). Subclasses inherit the version and migrations of the class they
+         * extend, so one that declares its own version needs its own migrations.
+         * <pre><code>
+         * var Fighter = gamecore.Base.extend('Fighter',
+         * {
+         *     version: 2,
+         *     migrations:
+         *     {
+         *         1: function(data) { data.hp = data.health; delete data.health; },
+         *         2: function(data) { data.items = data.items || []; }
+         *     }
+         * }, {...});
+         * </code></pre>
+         */
+        migrations:{},
         WARN:'WARN',
         DEBUG:'DEBUG',
         ERROR:'ERROR',
@@ -1212,63 +3154,361 @@ gamecore.Base = gamecore.Class('gamecore.Base',
                 throw msg;
         }
 
-    },
-    /** @lends gamecore.Base.prototype */
-    {
-        objectId:0,
-        uniqueId:null,
+    },
+    /** @lends gamecore.Base.prototype */
+    {
+        objectId:0,
+        uniqueId:null,
+
+        init:function ()
+        {
+        },
+
+        setup:function ()
+        {
+            this.objectId = this.Class.totalObjects++;
+            this.uniqueId = this.Class.fullName + ':' + this.objectId;
+        },
+
+        /**
+         * @returns {String} A system-wide unique Id for this object instance
+         */
+        getUniqueId:function ()
+        {
+            // if you see a null error here, then likely you have forgotten to call
+            // this._super in a subclassed init method.
+            return this.uniqueId;
+        },
+
+        /**
+         * @returns {String} A hash matching this object. Override this to implement different
+         * kinds of object hashing in derived classes (or give them keys; see gamecore.Class.keys).
+         */
+        hashCode:function ()
+        {
+            return this.getUniqueId();
+        },
+
+        warn:function (message)
+        {
+            this.Class.log(this.objectId, this.Class.WARN, arguments);
+        },
+        debug:function (message)
+        {
+            this.Class.log(this.objectId, this.Class.DEBUG, arguments);
+        },
+        error:function (message)
+        {
+            this.Class.log(this.objectId, this.Class.ERROR, arguments);
+        },
+        info:function (message)
+        {
+            this.Class.log(this.objectId, this.Class.INFO, arguments);
+        },
+
+        toString:function ()
+        {
+            return this.Class.fullName + ' [id: ' + this.objectId + ']';
+        }
+    });
+
+/**
+ * Serialization: objects are written out as JSON, tagged with the fullName of their class, and read back in with
+ * fromJSON.
+ * <pre><code>
+ * var json = JSON.stringify(fighter);          // or fighter.toJSON() to get the data without stringifying it
+ * var copy = gamecore.Base.fromJSON(json);
+ * </code></pre>
+ * Fields holding other gamecore objects, arrays, plain objects, dates, typed arrays, gamecore.Hashtable's and
+ * gamecore.LinkedList's are written out too. Each gamecore object is only written out once; after that it's referred to by its uniqueId, so
+ * objects referred to from more than one place (or cyclic references) come back the same way. Use serialize to
+ * write out several objects together, so references between them are kept.
+ */
+(function (gc)
+{
+    var Base = gc.Base,
+
+        // fields that aren't written out: methods, ids and internals (starting with _)
+        isSkipped = function (object, name)
+        {
+            return name.charAt(0) == '_' || name == 'objectId' || name == 'uniqueId' ||
+                gc.isFunction(object[name]);
+        },
+
+        // names of the fields of a gamecore object to write out: the ones in its schema if it has one, otherwise
+        // its own fields and any observable or tracked ones (including inherited ones, whose values are kept in
+        // _values)
+        fieldsOf = function (object)
+        {
+            var names = [], klass = object.Class, schema = klass.schema, fields, name;
+            for (name in schema)
+                names.push(name);
+            if (names.length)
+                return names;
+
+            fields = (klass.observable || []).concat(klass.tracked || []);
+            for (name in object)
+                if ((object.hasOwnProperty(name) || fields.indexOf(name) != -1) && !isSkipped(object, name))
+                    names.push(name);
+            return names;
+        },
+
+        // the typed arrays that can be written out
+        typedArrays = ['Int8Array', 'Uint8Array', 'Uint8ClampedArray', 'Int16Array', 'Uint16Array', 'Int32Array',
+            'Uint32Array', 'Float32Array', 'Float64Array'],
+
+        // the kind of built-in object a value is, i.e. 'Date' or 'Float32Array'
+        kindOf = function (value)
+        {
+            return Object.prototype.toString.call(value).slice(8, -1);
+        },
+
+        hasMap = typeof Map != 'undefined',
+
+        // the objects written out so far, and their ids: a Map where there is one, otherwise a pair of arrays,
+        // which are slower to search
+        newWritten = function ()
+        {
+            return hasMap ? { ids:new Map(), count:0 } : { objects:[], ids:[], count:0 };
+        },
+
+        // the id an object was written out with (undefined if it hasn't been)
+        findWritten = function (written, object)
+        {
+            if (hasMap)
+                return written.ids.get(object);
+            for (var i = 0; i < written.objects.length; i++)
+                if (written.objects[i] === object)
+                    return written.ids[i];
+        },
+
+        addWritten = function (written, object, id)
+        {
+            if (hasMap)
+                written.ids.set(object, id);
+            else
+            {
+                written.objects.push(object);
+                written.ids.push(id);
+            }
+            written.count++;
+            return id;
+        },
+
+        encode = function (value, written)
+        {
+            var data, id, i, node, v, kind;
+
+            if (value == null || typeof value != 'object')
+                return gc.isFunction(value) ? undefined : value;
+
+            if (gc.isArray(value))
+            {
+                data = [];
+                for (i = 0; i < value.length; i++)
+                    data.push((v = encode(value[i], written)) === undefined ? null : v);
+                return data;
+            }
+
+            // gamecore objects and hash tables are written out once, and then referred to by id
+            if (value instanceof gc.Hashtable || value.Class && value.Class.fullName)
+            {
+                if ((id = findWritten(written, value)) !== undefined)
+                    return { $ref:id };
+                id = addWritten(written, value, value.uniqueId || '#' + written.count);
+
+                if (value instanceof gc.Hashtable)
+                {
+                    data = { $class:'gamecore.Hashtable', $id:id, entries:value.entries() };
+                    for (i = 0; i < data.entries.length; i++)
+                        data.entries[i] = [encode(data.entries[i][0], written), encode(data.entries[i][1], written)];
+                    return data;
+                }
+
+                data = { $class:value.Class.fullName, $id:id };
+                if (value.Class.version)
+                    data.$version = value.Class.version;
+                if (gc.LinkedList && value instanceof gc.LinkedList)
+                {
+                    data.items = [];
+                    for (node = value.first; node; node = node.nextLinked)
+                        data.items.push(encode(node.obj, written));
+                    return data;
+                }
+
+                var fields = fieldsOf(value);
+                for (i = 0; i < fields.length; i++)
+                    if ((data[fields[i]] = encode(value[fields[i]], written)) === undefined)
+                        delete data[fields[i]];
+                return data;
+            }
+
+            // dates and typed arrays are written out tagged with what they are
+            kind = kindOf(value);
+            if (kind == 'Date')
+                return { $date:value.toISOString() };
+            if (typedArrays.indexOf(kind) != -1)
+                return { $typed:kind, items:Array.prototype.slice.call(value) };
+            if (kind == 'DataView' || kind == 'ArrayBuffer')
+                throw 'Unable to write a ' + kind + ' out as JSON (use a typed array)';
+
+            data = {};
+            for (i in value)
+                if (value.hasOwnProperty(i) && (v = encode(value[i], written)) !== undefined)
+                    data[i] = v;
+            return data;
+        },
+
+        // finds a class by name, in its namespace (or the registry)
+        findClass = function (fullName)
+        {
+            var klass = gc.Class.getObject(fullName, gc.Class.root);
+            if (!gc.isFunction(klass))
+                klass = gc.Class.getClass(fullName);
+            if (!klass)
+                throw 'Unable to read ' + fullName + ' from JSON: there is no class by that name';
+            return klass;
+        },
+
+        // upgrades the data of an object written out by an older version of its class, one version at a time
+        migrate = function (klass, data, report)
+        {
+            var from = data.$version || 0, to = klass.version || 0, ran = [], migrated,
+                className = data.$class, id = data.$id;
+
+            if (from > to)
+                throw 'Unable to read ' + klass.fullName + ' from JSON: it was written by version ' + from +
+                    ' of the class, which only goes up to version ' + to;
+
+            for (var v = from + 1; v <= to; v++)
+            {
+                if (!klass.migrations || !gc.isFunction(klass.migrations[v])) continue;
+                if (!ran.length)
+                    data = gc.extend({}, data); // (the data passed in is left as it was)
+                migrated = klass.migrations[v].call(klass, data);
+                if (migrated && typeof migrated == 'object')
+                    data = migrated;
+                ran.push(v);
+            }
+
+            // (new data returned by a migration is still the same object, so references to it can be resolved)
+            if (ran.length)
+            {
+                data.$class = className;
+                data.$id = id;
+                data.$version = to;
+            }
+
+            if (report && from != to)
+                report.push({ className:klass.fullName, id:id, from:from, to:to, migrations:ran });
+            return data;
+        },
+
+        decode = function (data, read)
+        {
+            var object, klass, i, name;
+
+            if (data == null || typeof data != 'object')
+                return data;
+
+            if (gc.isArray(data))
+            {
+                object = [];
+                for (i = 0; i < data.length; i++)
+                    object.push(decode(data[i], read));
+                return object;
+            }
+
+            if (data.$ref !== undefined)
+            {
+                if (!read.objects.hasOwnProperty(data.$ref))
+                    throw 'Unable to read JSON: ' + data.$ref + ' is referred to before it\'s defined';
+                return read.objects[data.$ref];
+            }
+
+            if (data.$date !== undefined)
+                return new Date(data.$date);
+            if (data.$typed !== undefined)
+            {
+                if (typedArrays.indexOf(data.$typed) == -1)
+                    throw 'Unable to read JSON: ' + data.$typed + ' isn\'t a typed array';
+                return new gc.global[data.$typed](data.items);
+            }
+
+            if (data.$class === undefined)
+            {
+                object = {};
+                for (name in data)
+                    object[name] = decode(data[name], read);
+                return object;
+            }
+
+            if (data.$class == 'gamecore.Hashtable')
+            {
+                object = read.objects[data.$id] = new gc.Hashtable();
+                for (i = 0; i < data.entries.length; i++)
+                    object.put(decode(data.entries[i][0], read), decode(data.entries[i][1], read));
+                return object;
+            }
+
+            // pooled objects come from their pool; others are made without calling init, as their fields are set
+            // next (apart from linked lists, which are built by adding their items)
+            klass = findClass(data.$class);
+            data = migrate(klass, data, read.report);
+            if (gc.LinkedList && klass.isA(gc.LinkedList))
+            {
+                object = read.objects[data.$id] = new klass();
+                for (i = 0; i < data.items.length; i++)
+                    object.add(decode(data.items[i], read));
+                return object;
+            }
 
-        init:function ()
-        {
-        },
+            object = read.objects[data.$id] = klass.isA('gamecore.DualPooled') ? gc.DualPool.acquire(klass) :
+                klass.isA('gamecore.Pooled') ? gc.Pool.acquire(klass) : klass.blankInstance();
 
-        setup:function ()
-        {
-            this.objectId = this.Class.totalObjects++;
-            this.uniqueId = this.Class.fullName + ':' + this.objectId;
-        },
+            for (name in data)
+                if (name != '$class' && name != '$id' && name != '$version')
+                    object[name] = decode(data[name], read);
+            return object;
+        };
 
+    gc.extend(Base, {
         /**
-         * @returns {String} A system-wide unique Id for this object instance
+         * Writes out a value (an object, or an array or plain object of them) as data JSON.stringify can handle.
+         * References between the objects are kept.
+         * @param {*} value Value to write out
+         * @return {*} The data
          */
-        getUniqueId:function ()
+        serialize:function (value)
         {
-            // if you see a null error here, then likely you have forgotten to call
-            // this._super in a subclassed init method.
-            return this.uniqueId;
+            return encode(value, newWritten());
         },
 
         /**
-         * @returns {String} A hash matching this object. Override this to implement different
-         * kinds of object hashing in derived classes.
+         * Reads objects back in from JSON (or the data from toJSON or serialize). Classes are looked up by name,
+         * and pooled objects are taken from their pools; other objects are made without calling init (see
+         * gamecore.Class.blankInstance). Data written by older versions of a class is upgraded
+         * first (see migrations); data from a newer version than the class has throws.
+         * @param {String|Object} json JSON string or data
+         * @param {Array} [report] If given, an entry is added for each object that was upgraded, i.e.
+         * { className: 'Fighter', id: 'Fighter:3', from: 1, to: 3, migrations: [2, 3] }
+         * @return {*} The object (or whatever value was written out)
          */
-        hashCode:function ()
-        {
-            return this.getUniqueId();
-        },
-
-        warn:function (message)
+        fromJSON:function (json, report)
         {
-            this.Class.log(this.objectId, this.Class.WARN, arguments);
-        },
-        debug:function (message)
-        {
-            this.Class.log(this.objectId, this.Class.DEBUG, arguments);
-        },
-        error:function (message)
-        {
-            this.Class.log(this.objectId, this.Class.ERROR, arguments);
-        },
-        info:function (message)
-        {
-            this.Class.log(this.objectId, this.Class.INFO, arguments);
-        },
-
-        toString:function ()
-        {
-            return this.Class.fullName + ' [id: ' + this.objectId + ']';
+            return decode(typeof json == 'string' ? JSON.parse(json) : json, { objects:{}, report:report });
         }
     });
+
+    /**
+     * @return {Object} This object's data, tagged with its class name (JSON.stringify uses this)
+     */
+    Base.prototype.toJSON = function ()
+    {
+        return Base.serialize(this);
+    };
+
+})(gamecore);
 /**
  * gamecore.js - Copyright 2012 Playcraft Labs, Inc. (see licence.txt)
  * device.js
@@ -1277,11 +3517,18 @@ gamecore.Base = gamecore.Class('gamecore.Base',
 
 /**
  * @class gamecore.Device
- * Staic class with lots of device information.
+ * Staic class with lots of device information. Also works outside of a browser's main thread (in a web worker or
+ * node), in which case environment tells you where you are, and the browser specific bits are left at their
+ * defaults.
  */
 
 gamecore.Device = gamecore.Base.extend('gamecore.Device',
     {
+        /** Where we're running: 'browser', 'worker', 'node' or 'unknown' */
+        environment:'unknown',
+        isBrowser:false,
+        isWorker:false,
+        isNode:false,
         pixelRatio:0,
         isiPhone:false,
         isiPhone4:false,
@@ -1302,22 +3549,38 @@ gamecore.Device = gamecore.Base.extend('gamecore.Device',
 
         init:function ()
         {
-            this.pixelRatio = window.devicePixelRatio || 1;
-            this.isiPhone = navigator.userAgent.toLowerCase().indexOf('iphone') != -1;
-            this.isiPod = navigator.userAgent.toLowerCase().indexOf('ipod') != -1;
+            var global = gamecore.global,
+                userAgent = (typeof navigator != 'undefined' && navigator.userAgent || '').toLowerCase();
+
+            // work out where we are
+            if (typeof document != 'undefined')
+                this.environment = 'browser';
+            else if (typeof importScripts == 'function')
+                this.environment = 'worker';
+            else if (typeof process != 'undefined' && process.versions && process.versions.node)
+                this.environment = 'node';
+            this.isBrowser = this.environment == 'browser';
+            this.isWorker = this.environment == 'worker';
+            this.isNode = this.environment == 'node';
+
+            this.pixelRatio = global.devicePixelRatio || 1;
+            this.isiPhone = userAgent.indexOf('iphone') != -1;
+            this.isiPod = userAgent.indexOf('ipod') != -1;
             this.isiPhone4 = (this.pixelRatio == 2 && this.isiPhone);
-            this.isiPad = navigator.userAgent.toLowerCase().indexOf('ipad') != -1;
-            this.isAndroid = navigator.userAgent.toLowerCase().indexOf('android') != -1;
-            this.isFirefox = navigator.userAgent.toLowerCase().indexOf('firefox') != -1;
-            this.isChrome = navigator.userAgent.toLowerCase().indexOf('chrome') != -1;
-            this.isOpera = navigator.userAgent.toLowerCase().indexOf('opera') != -1;
-            this.isTouch = window.ontouchstart !== 'undefined';
+            this.isiPad = userAgent.indexOf('ipad') != -1;
+            this.isAndroid = userAgent.indexOf('android') != -1;
+            this.isFirefox = userAgent.indexOf('firefox') != -1;
+            this.isChrome = userAgent.indexOf('chrome') != -1;
+            this.isOpera = userAgent.indexOf('opera') != -1;
+            this.isTouch = this.isBrowser && 'ontouchstart' in global;
             this.isiOS = (this.isiPhone || this.iPad || this.isiPod);
 
-            if (window.performance != undefined)
-                this.hasMemoryProfiling = (window.performance.memory);
+            if (global.performance != undefined && global.performance.memory)
+                this.hasMemoryProfiling = true;
+            else if (this.isNode && process.memoryUsage)
+                this.hasMemoryProfiling = true;
 
-            if (/MSIE (\d+\.\d+);/.test(navigator.userAgent))
+            if (/msie (\d+\.\d+);/.test(userAgent))
             {
                 this.ieVersion = new Number(RegExp.$1);
                 this.isIE = true;
@@ -1333,21 +3596,31 @@ gamecore.Device = gamecore.Base.extend('gamecore.Device',
 
             this.requestAnimFrame = (function ()
             {
-                var request =
-                    window.requestAnimationFrame ||
-                        window.webkitRequestAnimationFrame ||
-                        window.mozRequestAnimationFrame ||
-                        window.oRequestAnimationFrame ||
-                        window.msRequestAnimationFrame ||
+                var lastFrame = 0,
+                    request =
+                    global.requestAnimationFrame ||
+                        global.webkitRequestAnimationFrame ||
+                        global.mozRequestAnimationFrame ||
+                        global.oRequestAnimationFrame ||
+                        global.msRequestAnimationFrame ||
                         function (callback, element)
                         {
-                            window.setTimeout(callback, 16, Date.now());
+                            // no display to sync to (i.e. node or a worker), so aim for 60fps; if we're already
+                            // behind, go again as soon as possible
+                            var now = Date.now(),
+                                delay = Math.max(0, 16 - (now - lastFrame));
+                            lastFrame = now + delay;
+
+                            if (delay == 0 && global.setImmediate)
+                                global.setImmediate(function () { callback(Date.now()); });
+                            else
+                                global.setTimeout(function () { callback(Date.now()); }, delay);
                         };
 
-                // apply to our window global to avoid illegal invocations (it's a native)
+                // apply to our global to avoid illegal invocations (it's a native)
                 return function (callback, element)
                 {
-                    request.apply(window, [callback, element]);
+                    request.apply(global, [callback, element]);
                 };
             })();
 
@@ -1368,12 +3641,14 @@ gamecore.Device = gamecore.Base.extend('gamecore.Device',
 
         getUsedHeap:function ()
         {
-            return this.hasMemoryProfiling ? window.performance.memory.usedJSHeapSize : 0;
+            if (!this.hasMemoryProfiling) return 0;
+            return this.isNode ? process.memoryUsage().heapUsed : gamecore.global.performance.memory.usedJSHeapSize;
         },
 
         getTotalHeap:function ()
         {
-            return this.hasMemoryProfiling ? window.performance.memory.totalJSHeapSize : 0;
+            if (!this.hasMemoryProfiling) return 0;
+            return this.isNode ? process.memoryUsage().heapTotal : gamecore.global.performance.memory.totalJSHeapSize;
         }
 
 
@@ -2280,7 +4555,7 @@ gamecore.PerformanceMeasure = gamecore.Base.extend('gamecore.PerformanceMeasure'
 {
     timeStart: 0,
     timeEnd: 0,
-    timeDelat: 0,
+    timeDelta: 0,
     memStart: 0,
     memEnd: 0,
     memDelta: 0,
@@ -2389,6 +4664,9 @@ gamecore.PerformanceMeasure = gamecore.Base.extend('gamecore.PerformanceMeasure'
 gamecore.Pool = gamecore.Base.extend('gamecore.Pool',
     /** @lends gamecore.Pool */
     {
+        /** Pool classes each manage their own pools, but the totals are for all of them */
+        staticInheritance:{ pools:'reset', totalPooled:'shared', totalUsed:'shared' },
+
         /** Initial size of all object pools */
         INITIAL_POOL_SIZE:1,
 
@@ -2407,6 +4685,8 @@ gamecore.Pool = gamecore.Base.extend('gamecore.Pool',
          */
         acquire:function (classType)
         {
+            // native subclasses get their own name (and so their own pool) when they're adopted
+            gamecore.Class.adopt(classType);
             var pool = this.getPool(classType);
             if (pool == undefined || pool == null)
             {
@@ -2468,6 +4748,8 @@ gamecore.Pool = gamecore.Base.extend('gamecore.Pool',
         freeList:null,
         /** Current number of items to expand by: will increase with every expansion */
         expansion: 1,
+        /** Is tracing on (see startTracing) */
+        tracing: false,
         /** Array of traces currently active. Tracing must be on. */
         traces: null,
 
@@ -2561,7 +4843,10 @@ gamecore.Pool = gamecore.Base.extend('gamecore.Pool',
                     count.value++;
             }
 
-            return this.freeList.pop();
+            var obj = this.freeList.pop();
+            obj.destroyed = false;
+            obj.markDirty(); // it's as good as a new object (see gamecore.Class.tracked)
+            return obj;
         },
 
         /**
@@ -2573,6 +4858,17 @@ gamecore.Pool = gamecore.Base.extend('gamecore.Pool',
             this.freeList.push(obj);
         },
 
+        /**
+         * Calls a function with each of the objects in the pool (the free ones; this pool doesn't keep track of
+         * the ones in use)
+         * @param {Function} callback Function to call with each object
+         */
+        each:function (callback)
+        {
+            for (var i = 0; i < this.freeList.length; i++)
+                callback(this.freeList[i]);
+        },
+
         /**
          * Gets stats about the pool
          * @return {String} Stats
@@ -2684,6 +4980,8 @@ gamecore.DualPool = gamecore.Pool.extend('gamecore.DualPool',
          */
         acquire:function (classType)
         {
+            // native subclasses get their own name (and so their own pool) when they're adopted
+            gamecore.Class.adopt(classType);
             var pool = this.getPool(classType);
             if (pool == undefined || pool == null)
             {
@@ -2765,6 +5063,7 @@ gamecore.DualPool = gamecore.Pool.extend('gamecore.DualPool',
             this.returnObj = this.freeList.first.obj;
             this.freeList.remove(this.returnObj);
             this.returnObj.destroyed = false;
+            this.returnObj.markDirty(); // it's as good as a new object (see gamecore.Class.tracked)
             this.usedList.add(this.returnObj);
 
             if (this.tracing)
@@ -2793,6 +5092,19 @@ gamecore.DualPool = gamecore.Pool.extend('gamecore.DualPool',
             this.usedList.remove(obj);
         },
 
+        /**
+         * Calls a function with each of the objects of the pool, free and in use
+         * @param {Function} callback Function to call with each object
+         */
+        each:function (callback)
+        {
+            var node;
+            for (node = this.freeList.first; node; node = node.nextLinked)
+                callback(node.obj);
+            for (node = this.usedList.first; node; node = node.nextLinked)
+                callback(node.obj);
+        },
+
         /**
          * Dumps stats about usage to the debug info (generally console)
          * @param {String} msg Message to display before the dump
@@ -2872,6 +5184,7 @@ gamecore.Pooled = gamecore.Base('gamecore.Pooled',
         release:function ()
         {
             this.onRelease();
+            this.destroyed = true;
             gamecore.Pool.release(this);
         },
 
@@ -2932,6 +5245,7 @@ gamecore.DualPooled = gamecore.Base('gamecore.DualPooled',
         release:function ()
         {
             this.onRelease();
+            this.destroyed = true;
             gamecore.DualPool.release(this);
         },
 
@@ -2943,6 +5257,558 @@ gamecore.DualPooled = gamecore.Base('gamecore.DualPooled',
         }
 
     });
+
+// when a class is reloaded (see gamecore.Class.setHotReload), objects already in pools get their own copies of any
+// new array or object fields
+gamecore.Class.reloaded.add(function (klass, initFields)
+{
+    gamecore.Class.walkHierarchy(klass, function (k)
+    {
+        var pool = gamecore.Pool.getPool(k) || gamecore.DualPool.getPool(k);
+        if (pool)
+            pool.each(initFields);
+    });
+});
+/**
+ * @class gamecore.BinaryCodec
+ * @description
+ * Writes gamecore objects to a compact binary form (and reads them back), for things like per-tick network state
+ * updates where JSON is too big. The fields written are the ones in the class's schema (see gamecore.Class.schema),
+ * in the order they're declared, using their types:
+ * <ul>
+ * <li>int8, uint8, int16, uint16, int32, uint32, float32 and float64 (number and int are written as float64)</li>
+ * <li>bool (or boolean) and string</li>
+ * <li>a class: a reference to another object, written as its id</li>
+ * <li>array, with the type of its items given by items, i.e. { type:'array', items:'uint16' } (they can't be
+ * arrays themselves)</li>
+ * </ul>
+ * Fields with binary:false in their schema are left out.
+ * <pre><code>
+ * var codec = new gamecore.BinaryCodec();
+ * var length = codec.encode(fighters);
+ * socket.send(codec.bytes.subarray(0, length));
+ *
+ * // on the other end (which keeps its own copy of each object, matched up by id)
+ * var fighters = codec.decode(message);
+ * </code></pre>
+ * Each codec writes into the same buffer every time (it only grows it when a message doesn't fit), so sending
+ * doesn't allocate. To only send what's changed, keep a snapshot of what was sent last and pass it to encode:
+ * <pre><code>
+ * codec.encode(fighter, last);
+ * codec.snapshot(fighter, last);
+ * </code></pre>
+ * Objects are created on the reading end when they first turn up (pooled ones are taken from their pools), and
+ * pooled objects released on the writing end are released back into their pools on the reading end.
+ */
+gamecore.BinaryCodec = gamecore.Base.extend('gamecore.BinaryCodec',
+    /** @lends gamecore.BinaryCodec */
+    {
+        /** Size (in bytes) a codec's buffer starts out at */
+        INITIAL_SIZE:1024,
+
+        /** The numeric types, with their size and the DataView methods that read and write them */
+        NUMBERS:{
+            int8:{ size:1, get:'getInt8', set:'setInt8' },
+            uint8:{ size:1, get:'getUint8', set:'setUint8' },
+            int16:{ size:2, get:'getInt16', set:'setInt16' },
+            uint16:{ size:2, get:'getUint16', set:'setUint16' },
+            int32:{ size:4, get:'getInt32', set:'setInt32' },
+            uint32:{ size:4, get:'getUint32', set:'setUint32' },
+            float32:{ size:4, get:'getFloat32', set:'setFloat32' },
+            float64:{ size:8, get:'getFloat64', set:'setFloat64' },
+            number:{ size:8, get:'getFloat64', set:'setFloat64' },
+            'int':{ size:8, get:'getFloat64', set:'setFloat64' }
+        },
+
+        /** Length written for strings and arrays that are null */
+        NULL_LENGTH:0xFFFF,
+
+        /**
+         * Gets the id a class is known by in binary data: a hash of its fullName, so it's the same everywhere.
+         * @param {Function} klass The class
+         * @return {Number} The id
+         */
+        classId:function (klass)
+        {
+            // FNV-1a
+            var name = klass.fullName, hash = 0x811c9dc5;
+            for (var i = 0; i < name.length; i++)
+            {
+                hash ^= name.charCodeAt(i);
+                hash = (hash * 0x01000193) >>> 0;
+            }
+            return hash || 1; // (0 is a null reference)
+        }
+    },
+    /** @lends gamecore.BinaryCodec.prototype */
+    {
+        /** The buffer messages are written into */
+        buffer:null,
+        /** DataView of the buffer */
+        view:null,
+        /** Bytes of the buffer (use bytes.subarray(0, length) to get a message) */
+        bytes:null,
+        /** Where the next value will be read or written */
+        offset:0,
+        /** Fields written for each class, by class id */
+        plans:null,
+        /** Classes, by class id */
+        classes:null,
+        /** The objects read in, by class id and then the id of the object on the writing end */
+        objects:null,
+        /** Objects read by the last decode (reused each time) */
+        decoded:null,
+        /** The source of the last decode, and a DataView of it */
+        source:null,
+        readView:null,
+
+        /**
+         * Constructs a codec.
+         * @param {Number} [size] Size (in bytes) its buffer starts out at
+         */
+        init:function (size)
+        {
+            this._super();
+            this.plans = {};
+            this.classes = {};
+            this.objects = {};
+            this.decoded = [];
+            this.allocate(size || this.Class.INITIAL_SIZE);
+        },
+
+        /**
+         * Makes a new buffer (keeping what's been written so far)
+         * @param {Number} size Size of the new buffer
+         */
+        allocate:function (size)
+        {
+            var old = this.bytes;
+            this.buffer = new ArrayBuffer(size);
+            this.view = new DataView(this.buffer);
+            this.bytes = new Uint8Array(this.buffer);
+            if (old)
+                this.bytes.set(old.subarray(0, this.offset));
+        },
+
+        /**
+         * Makes sure there's room to write more
+         * @param {Number} size Number of bytes about to be written
+         */
+        ensure:function (size)
+        {
+            if (this.offset + size > this.buffer.byteLength)
+                this.allocate(Math.max(this.buffer.byteLength * 2, this.offset + size));
+        },
+
+        /**
+         * Gets the fields written for a class (worked out the first time it's needed)
+         * @param {Function} klass The class
+         * @return {Object} The plan, as { id, klass, fields:[{ name, type, items }] }
+         */
+        getPlan:function (klass)
+        {
+            var id = this.Class.classId(klass), plan = this.plans[id], name, def;
+            if (plan && plan.klass === klass)
+                return plan;
+
+            plan = { id:id, klass:klass, fields:[] };
+            for (name in klass.schema)
+            {
+                def = klass.schema[name];
+                if (def.binary === false) continue;
+                if (def.type == 'array' && def.items == 'array')
+                    throw klass.fullName + '.' + name + ' is an array of arrays, which can\'t be written in binary ' +
+                        '(use binary:false to leave it out)';
+                plan.fields.push({
+                    name:name,
+                    type:this.getType(klass, name, def.type),
+                    items:def.type == 'array' ? this.getType(klass, name, def.items) : null
+                });
+            }
+            plan.maskSize = Math.ceil(plan.fields.length / 8);
+            this.classes[id] = klass;
+            return this.plans[id] = plan;
+        },
+
+        /**
+         * Checks that a type from a schema can be written, and gives back the one used
+         */
+        getType:function (klass, name, type)
+        {
+            if (this.Class.NUMBERS[type] || type == 'string' || type == 'array')
+                return type;
+            if (type == 'bool' || type == 'boolean')
+                return 'bool';
+            if (gamecore.isFunction(type))
+                return 'ref';
+            throw klass.fullName + '.' + name + ' has a type (' + type + ') that can\'t be written in binary ' +
+                '(use binary:false to leave it out)';
+        },
+
+        /**
+         * Finds the class with the given id
+         * @param {Number} id Class id (see classId)
+         * @return {Function} The class
+         */
+        getClass:function (id)
+        {
+            if (!this.classes[id])
+            {
+                var names = gamecore.Class.getClassNames(), klass;
+                for (var i = 0; i < names.length; i++)
+                {
+                    klass = gamecore.Class.getClass(names[i]);
+                    this.classes[this.Class.classId(klass)] = klass;
+                }
+                if (!this.classes[id])
+                    throw 'Unable to read binary data: there is no class with id ' + id;
+            }
+            return this.classes[id];
+        },
+
+        /**
+         * Writes objects into the buffer.
+         * @param {gamecore.Base|Array} objects An object, or an array of them (up to 65535)
+         * @param {Object|Array} [previous] Snapshot (see snapshot) of each object as it was last sent; only the
+         * fields that have changed since are written
+         * @return {Number} Length of the message (in bytes)
+         */
+        encode:function (objects, previous)
+        {
+            var many = gamecore.isArray(objects), count = many ? objects.length : 1;
+            if (count > 0xffff)
+                throw 'Unable to write ' + count + ' objects in binary (the most is 65535)';
+
+            this.offset = 0;
+            this.ensure(2);
+            this.view.setUint16(0, count, true);
+            this.offset = 2;
+
+            for (var i = 0; i < count; i++)
+                this.writeObject(many ? objects[i] : objects, many ? previous && previous[i] : previous);
+            return this.offset;
+        },
+
+        /**
+         * Writes one object
+         * @param {gamecore.Base} object The object
+         * @param {Object} [previous] Snapshot of it as it was last sent
+         */
+        writeObject:function (object, previous)
+        {
+            var plan = this.getPlan(object.Class), fields = plan.fields, mask, field, i;
+
+            this.ensure(9 + plan.maskSize);
+            this.view.setUint32(this.offset, plan.id, true);
+            this.view.setUint32(this.offset + 4, object.objectId, true);
+
+            // released pooled objects are just flagged, so the reading end can release them too
+            if (object.destroyed)
+            {
+                this.view.setUint8(this.offset + 8, 2);
+                this.offset += 9;
+                return;
+            }
+
+            this.view.setUint8(this.offset + 8, previous ? 1 : 0);
+            this.offset += 9;
+
+            if (!previous)
+            {
+                for (i = 0; i < fields.length; i++)
+                    this.writeValue(fields[i].type, object[fields[i].name], fields[i].items);
+                return;
+            }
+
+            // a mask of the fields that changed, then just them
+            mask = this.offset;
+            for (i = 0; i < plan.maskSize; i++)
+                this.bytes[mask + i] = 0;
+            this.offset += plan.maskSize;
+
+            for (i = 0; i < fields.length; i++)
+            {
+                field = fields[i];
+                if (this.isSame(object[field.name], previous[field.name])) continue;
+                this.bytes[mask + (i >> 3)] |= 1 << (i & 7);
+                this.writeValue(field.type, object[field.name], field.items);
+            }
+        },
+
+        /**
+         * @return {Boolean} true if a value is the same as in a snapshot (arrays are compared item by item)
+         */
+        isSame:function (value, previous)
+        {
+            if (!gamecore.isArray(value) || !gamecore.isArray(previous))
+                return value === previous;
+            if (value.length != previous.length)
+                return false;
+            for (var i = 0; i < value.length; i++)
+                if (value[i] !== previous[i])
+                    return false;
+            return true;
+        },
+
+        /**
+         * Writes a value
+         * @param {String} type Type of the value
+         * @param {*} value The value
+         * @param {String} [items] Type of the items, for an array
+         */
+        writeValue:function (type, value, items)
+        {
+            var number = this.Class.NUMBERS[type], i, c, length;
+
+            if (number)
+            {
+                this.ensure(number.size);
+                this.view[number.set](this.offset, value || 0, true);
+                this.offset += number.size;
+            }
+            else if (type == 'bool')
+            {
+                this.ensure(1);
+                this.view.setUint8(this.offset++, value ? 1 : 0);
+            }
+            else if (type == 'ref')
+            {
+                this.ensure(8);
+                this.view.setUint32(this.offset, value ? this.getPlan(value.Class).id : 0, true);
+                this.view.setUint32(this.offset + 4, value ? value.objectId : 0, true);
+                this.offset += 8;
+            }
+            else if (value == null)
+            {
+                this.ensure(2);
+                this.view.setUint16(this.offset, this.Class.NULL_LENGTH, true);
+                this.offset += 2;
+            }
+            else if (type == 'array')
+            {
+                if (value.length >= this.Class.NULL_LENGTH)
+                    throw 'Unable to write an array of ' + value.length + ' items in binary (the most is 65534)';
+                this.ensure(2);
+                this.view.setUint16(this.offset, value.length, true);
+                this.offset += 2;
+                for (i = 0; i < value.length; i++)
+                    this.writeValue(items, value[i]);
+            }
+            else
+            {
+                // strings are written as UTF-8, after their length in bytes
+                value = String(value);
+                for (i = 0, length = 0; i < value.length; i++)
+                {
+                    c = value.charCodeAt(i);
+                    length += c < 0x80 ? 1 : c < 0x800 ? 2 : c >= 0xD800 && c < 0xDC00 ? (i++, 4) : 3;
+                }
+                if (length >= this.Class.NULL_LENGTH)
+                    throw 'Unable to write a string of ' + length + ' bytes in binary (the most is 65534)';
+
+                this.ensure(2 + length);
+                this.view.setUint16(this.offset, length, true);
+                this.offset += 2;
+                for (i = 0; i < value.length; i++)
+                {
+                    c = value.charCodeAt(i);
+                    if (c >= 0xD800 && c < 0xDC00)
+                        c = 0x10000 + ((c - 0xD800) << 10) + (value.charCodeAt(++i) - 0xDC00);
+
+                    if (c < 0x80)
+                        this.bytes[this.offset++] = c;
+                    else if (c < 0x800)
+                    {
+                        this.bytes[this.offset++] = 0xC0 | (c >> 6);
+                        this.bytes[this.offset++] = 0x80 | (c & 0x3F);
+                    }
+                    else if (c < 0x10000)
+                    {
+                        this.bytes[this.offset++] = 0xE0 | (c >> 12);
+                        this.bytes[this.offset++] = 0x80 | ((c >> 6) & 0x3F);
+                        this.bytes[this.offset++] = 0x80 | (c & 0x3F);
+                    }
+                    else
+                    {
+                        this.bytes[this.offset++] = 0xF0 | (c >> 18);
+                        this.bytes[this.offset++] = 0x80 | ((c >> 12) & 0x3F);
+                        this.bytes[this.offset++] = 0x80 | ((c >> 6) & 0x3F);
+                        this.bytes[this.offset++] = 0x80 | (c & 0x3F);
+                    }
+                }
+            }
+        },
+
+        /**
+         * Copies the fields an object would have written (for delta encoding; see encode)
+         * @param {gamecore.Base} object The object
+         * @param {Object} [into] Snapshot to copy into (reusing it, and its arrays)
+         * @return {Object} The snapshot
+         */
+        snapshot:function (object, into)
+        {
+            var fields = this.getPlan(object.Class).fields, name, value, copy, i, j;
+            into = into || {};
+            for (i = 0; i < fields.length; i++)
+            {
+                name = fields[i].name;
+                value = object[name];
+                if (!gamecore.isArray(value))
+                {
+                    into[name] = value;
+                    continue;
+                }
+
+                copy = gamecore.isArray(into[name]) ? into[name] : (into[name] = []);
+                copy.length = value.length;
+                for (j = 0; j < value.length; j++)
+                    copy[j] = value[j];
+            }
+            return into;
+        },
+
+        /**
+         * Reads objects from a message written by encode. Objects are matched up with the ones read before (by
+         * their class and id), so they're updated rather than created again.
+         * @param {ArrayBuffer|ArrayBufferView} source The message
+         * @return {Array} The objects read (this array is reused by the next decode)
+         */
+        decode:function (source)
+        {
+            if (source !== this.source)
+            {
+                this.source = source;
+                this.readView = source instanceof ArrayBuffer ? new DataView(source) :
+                    new DataView(source.buffer, source.byteOffset, source.byteLength);
+            }
+
+            this.offset = 2;
+            this.decoded.length = 0;
+            for (var i = 0, count = this.readView.getUint16(0, true); i < count; i++)
+                this.decoded.push(this.readObject());
+            return this.decoded;
+        },
+
+        /**
+         * Reads one object
+         * @return {gamecore.Base} The object
+         */
+        readObject:function ()
+        {
+            var view = this.readView,
+                classId = view.getUint32(this.offset, true),
+                objectId = view.getUint32(this.offset + 4, true),
+                flags = view.getUint8(this.offset + 8),
+                plan = this.getPlan(this.getClass(classId)),
+                fields = plan.fields,
+                object, mask, i;
+
+            this.offset += 9;
+            object = this.getObject(classId, objectId);
+
+            if (flags & 2)
+            {
+                delete this.objects[classId][objectId];
+                if (object.release)
+                    object.release();
+                return object;
+            }
+
+            mask = this.offset;
+            if (flags & 1)
+                this.offset += plan.maskSize;
+
+            for (i = 0; i < fields.length; i++)
+                if (!(flags & 1) || view.getUint8(mask + (i >> 3)) & (1 << (i & 7)))
+                    object[fields[i].name] = this.readValue(fields[i].type, fields[i].items, object[fields[i].name]);
+            return object;
+        },
+
+        /**
+         * Gets the object read before with the given class and id, or creates it: from its pool if it's pooled,
+         * otherwise without calling init (see gamecore.Class.blankInstance), as its fields are set from the message
+         * @param {Number} classId Class id
+         * @param {Number} objectId Id of the object on the writing end
+         * @return {gamecore.Base} The object
+         */
+        getObject:function (classId, objectId)
+        {
+            var objects = this.objects[classId] || (this.objects[classId] = {}), klass;
+            if (!objects[objectId])
+            {
+                klass = this.getClass(classId);
+                objects[objectId] = klass.isA('gamecore.DualPooled') ? gamecore.DualPool.acquire(klass) :
+                    klass.isA('gamecore.Pooled') ? gamecore.Pool.acquire(klass) : klass.blankInstance();
+            }
+            return objects[objectId];
+        },
+
+        /**
+         * Reads a value
+         * @param {String} type Type of the value
+         * @param {String} [items] Type of the items, for an array
+         * @param {*} [current] The current value (an array is read into the one that's there)
+         * @return {*} The value
+         */
+        readValue:function (type, items, current)
+        {
+            var view = this.readView, number = this.Class.NUMBERS[type], value, length, i, c, end;
+
+            if (number)
+            {
+                value = view[number.get](this.offset, true);
+                this.offset += number.size;
+                return value;
+            }
+            if (type == 'bool')
+                return view.getUint8(this.offset++) != 0;
+            if (type == 'ref')
+            {
+                value = view.getUint32(this.offset, true);
+                i = view.getUint32(this.offset + 4, true);
+                this.offset += 8;
+                return value ? this.getObject(value, i) : null;
+            }
+
+            length = view.getUint16(this.offset, true);
+            this.offset += 2;
+            if (length == this.Class.NULL_LENGTH)
+                return null;
+
+            if (type == 'array')
+            {
+                value = gamecore.isArray(current) ? current : [];
+                value.length = length;
+                for (i = 0; i < length; i++)
+                    value[i] = this.readValue(items);
+                return value;
+            }
+
+            // a UTF-8 string
+            value = '';
+            for (end = this.offset + length; this.offset < end;)
+            {
+                c = view.getUint8(this.offset++);
+                if (c >= 0xF0)
+                    c = ((c & 0x07) << 18) | ((view.getUint8(this.offset++) & 0x3F) << 12) |
+                        ((view.getUint8(this.offset++) & 0x3F) << 6) | (view.getUint8(this.offset++) & 0x3F);
+                else if (c >= 0xE0)
+                    c = ((c & 0x0F) << 12) | ((view.getUint8(this.offset++) & 0x3F) << 6) |
+                        (view.getUint8(this.offset++) & 0x3F);
+                else if (c >= 0xC0)
+                    c = ((c & 0x1F) << 6) | (view.getUint8(this.offset++) & 0x3F);
+
+                if (c >= 0x10000)
+                {
+                    c -= 0x10000;
+                    value += String.fromCharCode(0xD800 + (c >> 10), 0xDC00 + (c & 0x3FF));
+                }
+                else
+                    value += String.fromCharCode(c);
+            }
+            return value;
+        }
+    });
 // Domain Public by Eric Wendelin http://eriwen.com/ (2008)
 //                  Luke Smith http://lucassmith.name/ (2008)
 //                  Loic Dachary <loic@dachary.org> (2008)
@@ -3359,3 +6225,12 @@ printStackTrace.implementation.prototype = {
         return '(?)';
     }
 };
+
+/**
+ * gamecore.js - Copyright 2012 Playcraft Labs, Inc. (see licence.txt)
+ * outro.js
+ * End of the module wrapper (see intro.js)
+ */
+
+    return gamecore;
+});
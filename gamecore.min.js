@@ -1 +1 @@
-window.gamecore={hasOwn:Object.prototype.hasOwnProperty,isFunction:function(a){return !!(a&&a.constructor&&a.call&&a.apply)},isWindow:function(a){return !!(a&&a.setInterval)},isArray:Array.isArray||function(a){return(a.constructor===Array)},isString:function(a){return(typeof a=="string")},isObject:function(a){return a===Object(a)},isPlainObject:function(c){if(!c||this.isObject(c)||c.nodeType||this.isWindow(c)){return false}try{if(c.constructor&&!this.hasOwn.call(c,"constructor")&&!this.hasOwn.call(c.constructor.prototype,"isPrototypeOf")){return false}}catch(b){return false}var a;for(a in c){}return a===undefined||this.hasOwn.call(c,a)},extend:function(){var k,c,a,b,g,h,f=arguments[0]||{},e=1,d=arguments.length,j=false;if(typeof f==="boolean"){j=f;f=arguments[1]||{};e=2}if(typeof f!=="object"&&!gamecore.isFunction(f)){f={}}if(d===e){f=this;--e}for(;e<d;e++){if((k=arguments[e])!=null){for(c in k){a=f[c];b=k[c];if(f===b){continue}if(j&&b&&(this.isPlainObject(b)||(g=this.isArray(b)))){if(g){g=false;h=a&&this.isArray(a)?a:[]}else{h=a&&this.isPlainObject(a)?a:{}}f[c]=this.extend(j,h,b)}else{if(b!==undefined){f[c]=b}}}}}return f}};gamecore.push=Array.prototype.push;gamecore.merge=function(e,c){var d=e.length,b=0;if(typeof c.length==="number"){for(var a=c.length;b<a;b++){e[d++]=c[b]}}else{while(c[b]!==undefined){e[d++]=c[b++]}}e.length=d;return e};gamecore.makeArray=function(c,b){var a=b||[];if(c!=null){if(c.length==null||gamecore.isString(c)||gamecore.isFunction(c)||gamecore.isWindow(c)){gamecore.push.call(a,c)}else{gamecore.merge(a,c)}}return a};gamecore.each=function(d,g,c){var b,e=0,f=d.length,a=f===undefined||gamecore.isFunction(d);if(c){if(a){for(b in d){if(g.apply(d[b],c)===false){break}}}else{for(;e<f;){if(g.apply(d[e++],c)===false){break}}}}else{if(a){for(b in d){if(g.call(d[b],b,d[b])===false){break}}}else{for(;e<f;){if(g.call(d[e],e,d[e++])===false){break}}}}return d};gamecore._flagsCache={};gamecore.createFlags=function(a){var b=gamecore._flagsCache[a]={},c,d;a=a.split(/\s+/);for(c=0,d=a.length;c<d;c++){b[a[c]]=true}return b};gamecore.Callbacks=function(c){c=c?(gamecore._flagsCache[c]||gamecore.createFlags(c)):{};var h=[],i=[],d,e,b,f,g,k=function(l){var m,o,n,p;for(m=0,o=l.length;m<o;m++){n=l[m];if(gamecore.isArray(n)){k(n)}else{if(gamecore.isFunction(n)){if(!c.unique||!j.has(n)){h.push(n)}}}}},a=function(m,l){l=l||[];d=!c.memory||[m,l];e=true;g=b||0;b=0;f=h.length;for(;h&&g<f;g++){if(h[g].apply(m,l)===false&&c.stopOnFalse){d=true;break}}e=false;if(h){if(!c.once){if(i&&i.length){d=i.shift();j.fireWith(d[0],d[1])}}else{if(d===true){j.disable()}else{h=[]}}}},j={add:function(){if(h){var l=h.length;k(arguments);if(e){f=h.length}else{if(d&&d!==true){b=l;a(d[0],d[1])}}}return this},remove:function(){if(h){var l=arguments,n=0,o=l.length;for(;n<o;n++){for(var m=0;m<h.length;m++){if(l[n]===h[m]){if(e){if(m<=f){f--;if(m<=g){g--}}}h.splice(m--,1);if(c.unique){break}}}}}return this},has:function(m){if(h){var l=0,n=h.length;for(;l<n;l++){if(m===h[l]){return true}}}return false},empty:function(){h=[];return this},disable:function(){h=i=d=undefined;return this},disabled:function(){return !h},lock:function(){i=undefined;if(!d||d===true){j.disable()}return this},locked:function(){return !i},fireWith:function(m,l){if(i){if(e){if(!c.once){i.push([m,l])}}else{if(!(c.once&&d)){a(m,l)}}}return this},fire:function(){j.fireWith(this,arguments);return this},fired:function(){return !!d}};return j};gamecore.extend({Deferred:function(e){var d=gamecore.Callbacks("once memory"),c=gamecore.Callbacks("once memory"),b=gamecore.Callbacks("memory"),a="pending",g={resolve:d,reject:c,notify:b},i={done:d.add,fail:c.add,progress:b.add,state:function(){return a},isResolved:d.fired,isRejected:c.fired,then:function(k,j,l){h.done(k).fail(j).progress(l);return this},always:function(){h.done.apply(h,arguments).fail.apply(h,arguments);return this},pipe:function(l,k,j){return gamecore.Deferred(function(m){gamecore.each({done:[l,"resolve"],fail:[k,"reject"],progress:[j,"notify"]},function(o,r){var n=r[0],q=r[1],p;if(gamecore.isFunction(n)){h[o](function(){p=n.apply(this,arguments);if(p&&gamecore.isFunction(p.promise)){p.promise().then(m.resolve,m.reject,m.notify)}else{m[q+"With"](this===h?m:this,[p])}})}else{h[o](m[q])}})}).promise()},promise:function(k){if(k==null){k=i}else{for(var j in i){k[j]=i[j]}}return k}},h=i.promise({}),f;for(f in g){h[f]=g[f].fire;h[f+"With"]=g[f].fireWith}h.done(function(){a="resolved"},c.disable,b.lock).fail(function(){a="rejected"},d.disable,b.lock);if(e){e.call(h,h)}return h},when:function(h){var a=[].slice;var e=a.call(arguments,0),c=0,b=e.length,j=new Array(b),d=b,f=b,k=b<=1&&h&&gamecore.isFunction(h.promise)?h:gamecore.Deferred(),m=k.promise();function l(n){return function(i){e[n]=arguments.length>1?a.call(arguments,0):i;if(!(--d)){k.resolveWith(k,e)}}}function g(n){return function(i){j[n]=arguments.length>1?a.call(arguments,0):i;k.notifyWith(m,j)}}if(b>1){for(;c<b;c++){if(e[c]&&e[c].promise&&gamecore.isFunction(e[c].promise)){e[c].promise().then(l(c),k.reject,g(c))}else{--d}}if(!d){k.resolveWith(k,e)}}else{if(k!==h){k.resolveWith(k,b?[h]:[])}}return m}});(function(d){var b={undHash:/_|-/,colons:/::/,words:/([A-Z]+)([A-Z][a-z])/g,lowUp:/([a-z\d])([A-Z])/g,dash:/([a-z\d])([A-Z])/g,replacer:/\{([^\}]+)\}/g,dot:/\./},f=function(i,h,g){return i[h]||(g&&(i[h]={}))},c=function(h){var g=typeof h;return g&&(g=="function"||g=="object")},a=function(l,q,r){var j=l?l.split(b.dot):[],h=j.length,g=d.isArray(q)?q:[q||window],m,n,k,p=0,o;if(h==0){return g[0]}while(m=g[p++]){for(k=0;k<h-1&&c(m);k++){m=f(m,j[k],r)}if(c(m)){n=f(m,j[k],r);if(n!==undefined){if(r===false){delete m[j[k]]}return n}}}},e=d.String={getObject:a,capitalize:function(h,g){return h.charAt(0).toUpperCase()+h.substr(1)},camelize:function(g){g=e.classize(g);return g.charAt(0).toLowerCase()+g.substr(1)},classize:function(h,k){var j=h.split(b.undHash),g=0;for(;g<j.length;g++){j[g]=e.capitalize(j[g])}return j.join(k||"")},niceName:function(g){return e.classize(g," ")},underscore:function(g){return g.replace(b.colons,"/").replace(b.words,"$1_$2").replace(b.lowUp,"$1_$2").replace(b.dash,"_").toLowerCase()},sub:function(h,i,g){var j=[];j.push(h.replace(b.replacer,function(n,k){var l=a(k,i,typeof g=="boolean"?!g:g),m=typeof l;if((m==="object"||m==="function")&&m!==null){j.push(l);return""}else{return""+l}}));return j.length<=1?j[0]:j}}})(gamecore);(function(j){var e=false,a=j.makeArray,b=j.isFunction,f=j.isArray,h=j.extend,k=function(m){if(!m||typeof(m)!="object"){return m}if(m instanceof Array){var p=[];for(var o=0;o<m.length;o++){p[o]=k(m[o])}return p}else{var l={};for(var n in m){l[n]=k(m[n])}return l}},d=function(l,m){return l.concat(a(m))},i=/xyz/.test(function(){xyz})?/\b_super\b/:/.*/,c=function(o,l,n){n=n||o;for(var m in o){n[m]=b(o[m])&&b(l[m])&&i.test(o[m])?(function(p,q){return function(){var s=this._super,r;this._super=l[p];r=q.apply(this,arguments);this._super=s;return r}})(m,o[m]):o[m]}},g=j.Class=function(){if(arguments.length){return g.extend.apply(g,arguments)}};h(g,{callback:function(m){var n=a(arguments),l;m=n.shift();if(!f(m)){m=[m]}l=this;return function o(){var t=d(n,arguments),p,r=m.length,s=0,q;for(;s<r;s++){q=m[s];if(!q){continue}p=typeof q=="string";if(p&&l._set_called){l.called=q}t=(p?l[q]:q).apply(l,t||[]);if(s<r-1){t=!f(t)||t._use_call?[t]:t}}return t}},getObject:j.String.getObject,newInstance:function(){var m=this.rawInstance();var l;if(m.setup){l=m.setup.apply(m,arguments)}for(var n in m.__proto__){m[n]=k(m[n])}if(m.init){m.init.apply(m,f(l)?l:arguments)}return m},setup:function(l,m){this.defaults=h(true,{},l.defaults,this.defaults);if(this._types==undefined){this._types=[]}this._types.push(this.fullName);if(this._fullTypeName==undefined){this._fullTypeName="|"}this._fullTypeName+=this.fullName+"|";return arguments},rawInstance:function(){e=true;var l=new this();e=false;return l},extend:function(n,s,q){if(typeof n!="string"){q=s;s=n;n=null}if(!q){q=s;s=null}q=q||{};var r=this,w=this.prototype,m,u,o,v;this.isA=function(x){return this._fullTypeName.indexOf("|"+x+"|")!=-1};e=true;v=new this();e=false;c(q,w,v);function l(){if(e){return}if(this.constructor!==l&&arguments.length){return arguments.callee.extend.apply(arguments.callee,arguments)}else{return this.Class.newInstance.apply(this.Class,arguments)}}for(m in this){if(this.hasOwnProperty(m)){l[m]=k(this[m])}}c(s,this,l);if(n){var p=n.split(/\./);var u=p.pop();if(p.length>0){current=g.getObject(p.join("."),window,true),o=current}current[u]=l}h(l,{prototype:v,namespace:o,shortName:u,constructor:l,fullName:n});l.prototype.Class=l.prototype.constructor=l;var t=l.setup.apply(l,d([r],arguments));if(l.init){l.init.apply(l,t||[])}return l}});g.prototype.callback=g.callback})(gamecore);gamecore.Base=gamecore.Class("gamecore.Base",{totalObjects:0,WARN:"WARN",DEBUG:"DEBUG",ERROR:"ERROR",INFO:"INFO",log:function(d,c,b){var a="";if(d){a=":"+d}console.log.apply(console,[this.fullName+a+" ["+c+"] "].concat(Array.prototype.slice.call(b)))},warn:function(a){this.log(null,this.WARN,a)},debug:function(a){this.log(null,this.DEBUG,a)},error:function(a){this.log(null,this.ERROR,a)},info:function(a){this.log(null,this.INFO,a)},assert:function(a,b){if(!b){throw a}}},{objectId:0,uniqueId:null,init:function(){},setup:function(){this.objectId=this.Class.totalObjects++;this.uniqueId=this.Class.fullName+":"+this.objectId},getUniqueId:function(){return this.uniqueId},hashCode:function(){return this.getUniqueId()},warn:function(a){this.Class.log(this.objectId,this.Class.WARN,arguments)},debug:function(a){this.Class.log(this.objectId,this.Class.DEBUG,arguments)},error:function(a){this.Class.log(this.objectId,this.Class.ERROR,arguments)},info:function(a){this.Class.log(this.objectId,this.Class.INFO,arguments)},toString:function(){return this.Class.fullName+" [id: "+this.objectId+"]"}});gamecore.Device=gamecore.Base.extend("gamecore.Device",{pixelRatio:0,isiPhone:false,isiPhone4:false,isiPad:false,isiPod:false,isAndroid:false,isTouch:false,isFirefox:false,isChrome:false,isOpera:false,isIE:false,ieVersion:0,requestAnimFrame:null,hasMemoryProfiling:false,canPlayOgg:false,canPlayMP3:false,canPlayWav:false,init:function(){this.pixelRatio=window.devicePixelRatio||1;this.isiPhone=navigator.userAgent.toLowerCase().indexOf("iphone")!=-1;this.isiPod=navigator.userAgent.toLowerCase().indexOf("ipod")!=-1;this.isiPhone4=(this.pixelRatio==2&&this.isiPhone);this.isiPad=navigator.userAgent.toLowerCase().indexOf("ipad")!=-1;this.isAndroid=navigator.userAgent.toLowerCase().indexOf("android")!=-1;this.isFirefox=navigator.userAgent.toLowerCase().indexOf("firefox")!=-1;this.isChrome=navigator.userAgent.toLowerCase().indexOf("chrome")!=-1;this.isOpera=navigator.userAgent.toLowerCase().indexOf("opera")!=-1;this.isTouch=window.ontouchstart!=="undefined";this.isiOS=(this.isiPhone||this.iPad||this.isiPod);if(window.performance!=undefined){this.hasMemoryProfiling=(window.performance.memory)}if(/MSIE (\d+\.\d+);/.test(navigator.userAgent)){this.ieVersion=new Number(RegExp.$1);this.isIE=true}try{var a=new Audio();if(a.canPlayType("audio/ogg")){this.canPlayOgg=true}if(a.canPlayType("audio/mpeg")){this.canPlayMP3=true}if(a.canPlayType("audio/x-wav")){this.canPlayWav=true}}catch(b){}this.requestAnimFrame=(function(){var c=window.requestAnimationFrame||window.webkitRequestAnimationFrame||window.mozRequestAnimationFrame||window.oRequestAnimationFrame||window.msRequestAnimationFrame||function(e,d){window.setTimeout(e,16,Date.now())};return function(e,d){c.apply(window,[e,d])}})()},canPlay:function(a){if(a.toLowerCase()==="mp3"&&this.canPlayMP3){return true}if(a.toLowerCase()==="ogg"&&this.canPlayOgg){return true}if(a.toLowerCase()==="wav"&&this.canPlayWav){return true}return false},getUsedHeap:function(){return this.hasMemoryProfiling?window.performance.memory.usedJSHeapSize:0},getTotalHeap:function(){return this.hasMemoryProfiling?window.performance.memory.totalJSHeapSize:0}},{});gamecore.HashList=gamecore.Base.extend("gamecore.HashList",{},{hashtable:null,init:function(){this.hashtable=new gamecore.Hashtable()},add:function(b,a){var c=this.hashtable.get(b);if(c==null){c=new pc.LinkedList();this.hashtable.put(b,c)}c.add(a)},remove:function(b,a){var c=this.hashtable.get(b);if(c==null){throw"No list for a key in hashlist when removing"}c.remove(a)},get:function(a){return this.hashtable.get(a)}});gamecore.Hashtable=(function(){var p="function";var n=(typeof Array.prototype.splice==p)?function(s,r){s.splice(r,1)}:function(u,t){var s,v,r;if(t===u.length-1){u.length=t}else{s=u.slice(t+1);u.length=t;for(v=0,r=s.length;v<r;++v){u[t+v]=s[v]}}};function a(t){var r;if(typeof t=="string"){return t}else{if(typeof t.hashCode==p){r=t.hashCode();return(typeof r=="string")?r:a(r)}else{if(typeof t.toString==p){return t.toString()}else{try{return String(t)}catch(s){return Object.prototype.toString.call(t)}}}}}function g(r,s){return r.equals(s)}function e(r,s){return(typeof s.equals==p)?s.equals(r):(r===s)}function c(r){return function(s){if(s===null){throw new Error("null is not a valid "+r)}else{if(typeof s=="undefined"){throw new Error(r+" must not be undefined")}}}}var q=c("key"),l=c("value");function d(u,s,t,r){this[0]=u;this.entries=[];this.addEntry(s,t);if(r!==null){this.getEqualityFunction=function(){return r}}}var h=0,j=1,f=2;function o(r){return function(t){var s=this.entries.length,v,u=this.getEqualityFunction(t);while(s--){v=this.entries[s];if(u(t,v[0])){switch(r){case h:return true;case j:return v;case f:return[s,v[1]]}}}return false}}function k(r){return function(u){var v=u.length;for(var t=0,s=this.entries.length;t<s;++t){u[v+t]=this.entries[t][r]}}}d.prototype={getEqualityFunction:function(r){return(typeof r.equals==p)?g:e},getEntryForKey:o(j),getEntryAndIndexForKey:o(f),removeEntryForKey:function(s){var r=this.getEntryAndIndexForKey(s);if(r){n(this.entries,r[0]);return r[1]}return null},addEntry:function(r,s){this.entries[this.entries.length]=[r,s]},keys:k(0),values:k(1),getEntries:function(s){var u=s.length;for(var t=0,r=this.entries.length;t<r;++t){s[u+t]=this.entries[t].slice(0)}},containsKey:o(h),containsValue:function(s){var r=this.entries.length;while(r--){if(s===this.entries[r][1]){return true}}return false}};function m(s,t){var r=s.length,u;while(r--){u=s[r];if(t===u[0]){return r}}return null}function i(r,s){var t=r[s];return(t&&(t instanceof d))?t:null}function b(t,r){var w=this;var v=[];var u={};var x=(typeof t==p)?t:a;var s=(typeof r==p)?r:null;this.put=function(B,C){q(B);l(C);var D=x(B),E,A,z=null;E=i(u,D);if(E){A=E.getEntryForKey(B);if(A){z=A[1];A[1]=C}else{E.addEntry(B,C)}}else{E=new d(D,B,C,s);v[v.length]=E;u[D]=E}return z};this.get=function(A){q(A);var B=x(A);var C=i(u,B);if(C){var z=C.getEntryForKey(A);if(z){return z[1]}}return null};this.containsKey=function(A){q(A);var z=x(A);var B=i(u,z);return B?B.containsKey(A):false};this.containsValue=function(A){l(A);var z=v.length;while(z--){if(v[z].containsValue(A)){return true}}return false};this.clear=function(){v.length=0;u={}};this.isEmpty=function(){return !v.length};var y=function(z){return function(){var A=[],B=v.length;while(B--){v[B][z](A)}return A}};this.keys=y("keys");this.values=y("values");this.entries=y("getEntries");this.remove=function(B){q(B);var C=x(B),z,A=null;var D=i(u,C);if(D){A=D.removeEntryForKey(B);if(A!==null){if(!D.entries.length){z=m(v,C);n(v,z);delete u[C]}}}return A};this.size=function(){var A=0,z=v.length;while(z--){A+=v[z].entries.length}return A};this.each=function(C){var z=w.entries(),A=z.length,B;while(A--){B=z[A];C(B[0],B[1])}};this.putAll=function(H,C){var B=H.entries();var E,F,D,z,A=B.length;var G=(typeof C==p);while(A--){E=B[A];F=E[0];D=E[1];if(G&&(z=w.get(F))){D=C(F,z,D)}w.put(F,D)}};this.clone=function(){var z=new b(t,r);z.putAll(w);return z};this.toString=function(){var z="";var B=this.keys();for(var A=0;A<B.length;A++){var C=this.get(B[A]);z+=B[A].toString()+" = "+C.toString()+"\n"}return z}}return b})();gamecore.LinkedListNode=gamecore.Base("gamecore.LinkedNode",{},{obj:null,nextLinked:null,prevLinked:null,free:true,next:function(){return this.nextLinked},object:function(){return this.obj},prev:function(){return this.prevLinked}});gamecore.LinkedList=gamecore.Base("gamecore.LinkedList",{},{first:null,last:null,count:0,objToNodeMap:null,init:function(){this._super();this.objToNodeMap=new gamecore.Hashtable()},getNode:function(a){return this.objToNodeMap.get(a.getUniqueId())},addNode:function(b){var a=new gamecore.LinkedNode();a.obj=b;a.prevLinked=null;a.nextLinked=null;a.free=false;this.objToNodeMap.put(b.getUniqueId(),a);return a},add:function(b){var a=this.getNode(b);if(a==null){a=this.addNode(b)}else{if(a.free==false){throw"Attempting to add object: "+b.getUniqueId()+" twice to list "+this.getUniqueId()}a.obj=b;a.free=false;a.nextLinked=null;a.prevLinked=null}if(this.first==null){this.first=a;this.last=a;a.nextLinked=null;a.prevLinked=null}else{if(this.last==null){throw"Hmm, no last in the list -- that shouldn't happen here"}this.last.nextLinked=a;a.prevLinked=this.last;this.last=a;a.nextLinked=null}this.count++;if(this.showDebug){this.dump("after add")}},has:function(b){var a=this.getNode(b);return !(a==null||a.free==true)},moveUp:function(f){this.dump("before move up");var h=this.getNode(f);if(!h){throw"Oops, trying to move an object that isn't in the list"}if(h.prevLinked==null){return}var d=h.prevLinked;var e=d.prevLinked;if(h==this.last){this.last=d}var g=h.nextLinked;if(e){e.nextLinked=h}h.nextLinked=d;h.prevLinked=d.prevLinked;d.nextLinked=g;d.prevLinked=h;if(this.first==d){this.first=h}},moveDown:function(d){var a=this.getNode(d);if(!a){throw"Oops, trying to move an object that isn't in the list"}if(a.nextLinked==null){return}var e=a.nextLinked;this.moveUp(e.obj);if(this.last==e){this.last=a}},sort:function(d){var b=[];var c=this.first;while(c){b.push(c.object());c=c.next()}this.clear();b.sort(d);for(var a=0;a<b.length;a++){this.add(b[a])}},remove:function(b){if(this.showDebug){this.dump("before remove of "+b)}var a=this.getNode(b);if(a==null||a.free==true){return false}if(a.prevLinked!=null){a.prevLinked.nextLinked=a.nextLinked}if(a.nextLinked!=null){a.nextLinked.prevLinked=a.prevLinked}if(a.prevLinked==null){this.first=a.nextLinked}if(a.nextLinked==null){this.last=a.prevLinked}a.free=true;a.prevLinked=null;a.nextLinked=null;this.count--;if(this.showDebug){this.dump("after remove")}return true},clear:function(){var a=this.first;while(a!=null){a.free=true;a=a.nextLinked}this.first=null;this.count=0},length:function(){return this.count},dump:function(c){this.debug("===================="+c+"=====================");var b=this.first;while(b!=null){this.debug("{"+b.obj.toString()+"} previous="+(b.prevLinked?b.prevLinked.obj:"NULL"));b=b.next()}this.debug("===================================");this.debug("Last: {"+(this.last?this.last.obj:"NULL")+"} First: {"+(this.first?this.first.obj:"NULL")+"}")}});gamecore.PerformanceMeasure=gamecore.Base.extend("gamecore.PerformanceMeasure",{history:[],clearHistory:function(){history.length=0}},{timeStart:0,timeEnd:0,timeDelat:0,memStart:0,memEnd:0,memDelta:0,description:null,init:function(a){this.description=a;this.start();this.Class.history.push(this)},start:function(){this.timeStart=Date.now();this.memStart=gamecore.Device.getUsedHeap()},end:function(){this.timeEnd=Date.now();this.timeDelta=this.timeEnd-this.timeStart;this.memEnd=gamecore.Device.getUsedHeap();if(this.memEnd<this.memStart){this.memDelta=0}else{this.memDelta=this.memEnd-this.memStart}return this.toString()},toString:function(){return this.description+" took "+this.timeDelta+"ms, "+(this.memDelta==0?"unknown":this.memDelta)+" byte(s)"}});gamecore.Pool=gamecore.Base.extend("gamecore.Pool",{INITIAL_POOL_SIZE:1,pools:new gamecore.Hashtable(),totalPooled:0,totalUsed:0,acquire:function(b){var a=this.getPool(b);if(a==undefined||a==null){a=new gamecore.Pool(b,this.INITIAL_POOL_SIZE);this.pools.put(b.fullName,a)}return a.acquire()},release:function(b){var a=this.pools.get(b.Class.fullName);if(a==undefined){throw"Oops, trying to release an object of type "+b.Class.fullName+" but no pool exists. Did you new an object instead of using create."}a.release(b)},getPool:function(a){return this.pools.get(a.fullName)},getStats:function(){var d="";var e=this.pools.keys();for(var c=0;c<e.length;c++){var b=e[c];var a=this.pools.get(b);d+=b+": "+a.getStats()+"\n"}return d}},{freeList:null,expansion:1,traces:null,init:function(b,a){this._super();this.classType=b;this.freeList=[];this.expand(a)},startTracing:function(){if(this.tracing){return}this.tracing=true;if(this.traces){this.traces.clear()}else{this.traces=new gamecore.Hashtable()}},stopTracing:function(){this.tracing=false},expand:function(b){gamecore.Pool.totalPooled+=b;for(var a=0;a<b;a++){this.freeList.push(new this.classType())}},getFreeCount:function(){return this.freeList.length},acquire:function(){if(this.freeList.length<=0){this.expansion=Math.round(this.expansion*1.2)+1;this.expand(this.expansion)}if(this.tracing){var a=printStackTrace();var c=a.length-1;while(a[c].indexOf("Class.addTo")==0&&c>0){c--}var b=this.traces.get(a[c]);if(b==null){this.traces.put(a[c],{value:1})}else{b.value++}}return this.freeList.pop()},release:function(a){this.freeList.push(a)},getStats:function(){var c=this.Class.fullName+" stats: "+this.freeList.length+" free.";if(this.tracing){c+="TRACING\n";var b=this.traces.keys();for(var a in b){c+=b[a]+" ("+this.traces.get(b[a]).value+")\n"}}return c},dump:function(a){this.info("================== "+a+" ===================");this.info("FREE");this.freeList.dump()},size:function(){return this.freeList.length},getFreeList:function(){return this.freeList}});gamecore.DualPool=gamecore.Pool.extend("gamecore.DualPool",{acquire:function(b){var a=this.getPool(b);if(a==undefined||a==null){a=new gamecore.DualPool(b,this.INITIAL_POOL_SIZE);this.pools.put(b.fullName,a)}return a.acquire()},getStats:function(){var d="";var e=this.pools.keys();for(var c=0;c<e.length;c++){var b=e[c];var a=this.pools.get(b);d+=b+" (free: "+a.freeList.length()+" used: "+a.usedList.length()+")\n"}return d}},{freeList:null,usedList:null,init:function(b,a){this.classType=b;this.usedList=new gamecore.LinkedList();this.freeList=new gamecore.LinkedList();this.expand(a)},expand:function(b){gamecore.Pool.totalPooled+=b;for(var a=0;a<b;a++){this.freeList.add(new this.classType())}},returnObj:null,acquire:function(){if(this.freeList.first==null){this.expand(Math.round(this.size()/5)+1)}this.returnObj=this.freeList.first.obj;this.freeList.remove(this.returnObj);this.returnObj.destroyed=false;this.usedList.add(this.returnObj);if(this.tracing){var a=printStackTrace();var c=a.length-1;while(a[c].indexOf("Class.addTo")==0&&c>0){c--}var b=this.traces.get(a[c]);if(b==null){this.traces.put(a[c],{value:1})}else{b.value++}}return this.returnObj},release:function(a){this.freeList.add(a);this.usedList.remove(a)},dump:function(a){this.info("================== "+a+" ===================");this.info("FREE");this.freeList.dump();this.info("USED");this.usedList.dump()},size:function(){return this.freeList.count+this.usedList.count},getUsedList:function(){return this.usedList}});gamecore.Pooled=gamecore.Base("gamecore.Pooled",{create:function(){return gamecore.Pool.acquire(this)},getPool:function(){return gamecore.Pool.getPool(this)}},{destroyed:false,init:function(){this._super()},release:function(){this.onRelease();gamecore.Pool.release(this)},onRelease:function(){}});gamecore.DualPooled=gamecore.Base("gamecore.DualPooled",{create:function(){return gamecore.DualPool.acquire(this)},getPool:function(){return gamecore.DualPool.getPool(this)}},{destroyed:false,init:function(){this._super()},release:function(){this.onRelease();gamecore.DualPool.release(this)},onRelease:function(){}});function printStackTrace(b){b=b||{guess:true};var c=b.e||null,e=!!b.guess;var d=new printStackTrace.implementation(),a=d.run(c);return(e)?d.guessAnonymousFunctions(a):a}printStackTrace.implementation=function(){};printStackTrace.implementation.prototype={run:function(a,b){a=a||this.createException();b=b||this.mode(a);if(b==="other"){return this.other(arguments.callee)}else{return this[b](a)}},createException:function(){try{this.undef()}catch(a){return a}},mode:function(a){if(a["arguments"]&&a.stack){return"chrome"}else{if(typeof a.message==="string"&&typeof window!=="undefined"&&window.opera){if(!a.stacktrace){return"opera9"}if(a.message.indexOf("\n")>-1&&a.message.split("\n").length>a.stacktrace.split("\n").length){return"opera9"}if(!a.stack){return"opera10a"}if(a.stacktrace.indexOf("called from line")<0){return"opera10b"}return"opera11"}else{if(a.stack){return"firefox"}}}return"other"},instrumentFunction:function(b,d,e){b=b||window;var a=b[d];b[d]=function c(){e.call(this,printStackTrace().slice(4));return b[d]._instrumented.apply(this,arguments)};b[d]._instrumented=a},deinstrumentFunction:function(a,b){if(a[b].constructor===Function&&a[b]._instrumented&&a[b]._instrumented.constructor===Function){a[b]=a[b]._instrumented}},chrome:function(b){var a=(b.stack+"\n").replace(/^\S[^\(]+?[\n$]/gm,"").replace(/^\s+(at eval )?at\s+/gm,"").replace(/^([^\(]+?)([\n$])/gm,"{anonymous}()@$1$2").replace(/^Object.<anonymous>\s*\(([^\)]+)\)/gm,"{anonymous}()@$1").split("\n");a.pop();return a},firefox:function(a){return a.stack.replace(/(?:\n@:0)?\s+$/m,"").replace(/^\(/gm,"{anonymous}(").split("\n")},opera11:function(g){var a="{anonymous}",h=/^.*line (\d+), column (\d+)(?: in (.+))? in (\S+):$/;var k=g.stacktrace.split("\n"),l=[];for(var c=0,f=k.length;c<f;c+=2){var d=h.exec(k[c]);if(d){var j=d[4]+":"+d[1]+":"+d[2];var b=d[3]||"global code";b=b.replace(/<anonymous function: (\S+)>/,"$1").replace(/<anonymous function>/,a);l.push(b+"@"+j+" -- "+k[c+1].replace(/^\s+/,""))}}return l},opera10b:function(h){var g=/^(.*)@(.+):(\d+)$/;var c=h.stacktrace.split("\n"),b=[];for(var f=0,a=c.length;f<a;f++){var d=g.exec(c[f]);if(d){var j=d[1]?(d[1]+"()"):"global code";b.push(j+"@"+d[2]+":"+d[3])}}return b},opera10a:function(g){var a="{anonymous}",h=/Line (\d+).*script (?:in )?(\S+)(?:: In function (\S+))?$/i;var j=g.stacktrace.split("\n"),k=[];for(var c=0,f=j.length;c<f;c+=2){var d=h.exec(j[c]);if(d){var b=d[3]||a;k.push(b+"()@"+d[2]+":"+d[1]+" -- "+j[c+1].replace(/^\s+/,""))}}return k},opera9:function(j){var d="{anonymous}",h=/Line (\d+).*script (?:in )?(\S+)/i;var c=j.message.split("\n"),b=[];for(var g=2,a=c.length;g<a;g+=2){var f=h.exec(c[g]);if(f){b.push(d+"()@"+f[2]+":"+f[1]+" -- "+c[g+1].replace(/^\s+/,""))}}return b},other:function(g){var b="{anonymous}",f=/function\s*([\w\-$]+)?\s*\(/i,a=[],d,c,e=10;while(g&&g["arguments"]&&a.length<e){d=f.test(g.toString())?RegExp.$1||b:b;c=Array.prototype.slice.call(g["arguments"]||[]);a[a.length]=d+"("+this.stringifyArguments(c)+")";g=g.caller}return a},stringifyArguments:function(c){var b=[];var e=Array.prototype.slice;for(var d=0;d<c.length;++d){var a=c[d];if(a===undefined){b[d]="undefined"}else{if(a===null){b[d]="null"}else{if(a.constructor){if(a.constructor===Array){if(a.length<3){b[d]="["+this.stringifyArguments(a)+"]"}else{b[d]="["+this.stringifyArguments(e.call(a,0,1))+"..."+this.stringifyArguments(e.call(a,-1))+"]"}}else{if(a.constructor===Object){b[d]="#object"}else{if(a.constructor===Function){b[d]="#function"}else{if(a.constructor===String){b[d]='"'+a+'"'}else{if(a.constructor===Number){b[d]=a}}}}}}}}}return b.join(",")},sourceCache:{},ajax:function(a){var b=this.createXMLHTTPObject();if(b){try{b.open("GET",a,false);b.send(null);return b.responseText}catch(c){}}return""},createXMLHTTPObject:function(){var c,a=[function(){return new XMLHttpRequest()},function(){return new ActiveXObject("Msxml2.XMLHTTP")},function(){return new ActiveXObject("Msxml3.XMLHTTP")},function(){return new ActiveXObject("Microsoft.XMLHTTP")}];for(var b=0;b<a.length;b++){try{c=a[b]();this.createXMLHTTPObject=a[b];return c}catch(d){}}},isSameDomain:function(a){return typeof location!=="undefined"&&a.indexOf(location.hostname)!==-1},getSource:function(a){if(!(a in this.sourceCache)){this.sourceCache[a]=this.ajax(a).split("\n")}return this.sourceCache[a]},guessAnonymousFunctions:function(k){for(var g=0;g<k.length;++g){var f=/\{anonymous\}\(.*\)@(.*)/,l=/^(.*?)(?::(\d+))(?::(\d+))?(?: -- .+)?$/,b=k[g],c=f.exec(b);if(c){var e=l.exec(c[1]);if(e){var d=e[1],a=e[2],j=e[3]||0;if(d&&this.isSameDomain(d)&&a){var h=this.guessAnonymousFunction(d,a,j);k[g]=b.replace("{anonymous}",h)}}}}return k},guessAnonymousFunction:function(c,f,a){var b;try{b=this.findFunctionName(this.getSource(c),f)}catch(d){b="getSource failed with url: "+c+", exception: "+d.toString()}return b},findFunctionName:function(a,e){var g=/function\s+([^(]*?)\s*\(([^)]*)\)/;var k=/['"]?([0-9A-Za-z_]+)['"]?\s*[:=]\s*function\b/;var h=/['"]?([0-9A-Za-z_]+)['"]?\s*[:=]\s*(?:eval|new Function)\b/;var b="",l,j=Math.min(e,20),d,c;for(var f=0;f<j;++f){l=a[e-f-1];c=l.indexOf("//");if(c>=0){l=l.substr(0,c)}if(l){b=l+b;d=k.exec(b);if(d&&d[1]){return d[1]}d=g.exec(b);if(d&&d[1]){return d[1]}d=h.exec(b);if(d&&d[1]){return d[1]}}}return"(?)"}};
\ No newline at end of file
+!function(t,e){"function"==typeof define&&define.amd?define([],function(){return e(t,!0)}):"object"==typeof module&&module.exports?module.exports=e(t,!0):e(t,!1)}("undefined"!=typeof globalThis?globalThis:"undefined"!=typeof self?self:"undefined"!=typeof window?window:"undefined"!=typeof global?global:this,function(t,e){var n,i,s,r,o,a,u,l,f,h,c,d,p={hasOwn:Object.prototype.hasOwnProperty,isFunction:function(t){return!!(t&&t.constructor&&t.call&&t.apply)},isWindow:function(t){return!(!t||!t.setInterval)},isArray:Array.isArray||function(t){return t.constructor===Array},isString:function(t){return"string"==typeof t},isObject:function(t){return t===Object(t)},isPlainObject:function(t){if(!t||this.isObject(t)||t.nodeType||this.isWindow(t))return!1;try{if(t.constructor&&!this.hasOwn.call(t,"constructor")&&!this.hasOwn.call(t.constructor.prototype,"isPrototypeOf"))return!1}catch(t){return!1}var e;for(e in t);return void 0===e||this.hasOwn.call(t,e)},extend:function(){var t,e,n,i,s,r,o=arguments[0]||{},a=1,u=arguments.length,l=!1;for("boolean"==typeof o&&(l=o,o=arguments[1]||{},a=2),"object"==typeof o||p.isFunction(o)||(o={}),u===a&&(o=this,--a);a<u;a++)if(null!=(t=arguments[a]))for(e in t)n=o[e],o!==(i=t[e])&&(l&&i&&(p.isPlainObject(i)||(s=p.isArray(i)))?(s?(s=!1,r=n&&p.isArray(n)?n:[]):r=n&&p.isPlainObject(n)?n:{},o[e]=p.extend(l,r,i)):void 0!==i&&(o[e]=i));return o}};function y(t){var e=(t=t||{guess:!0}).e||null,n=!!t.guess,i=new y.implementation,s=i.run(e);return n?i.guessAnonymousFunctions(s):s}return p.global="undefined"!=typeof globalThis?globalThis:"undefined"!=typeof self?self:void 0!==t?t:"undefined"!=typeof global?global:this,void 0!==e&&e||(p.global.gamecore=p),p.push=Array.prototype.push,p.merge=function(t,e){var n=t.length,i=0;if("number"==typeof e.length)for(var s=e.length;i<s;i++)t[n++]=e[i];else for(;void 0!==e[i];)t[n++]=e[i++];return t.length=n,t},p.makeArray=function(t,e){var n=e||[];return null!=t&&(null==t.length||p.isString(t)||p.isFunction(t)||p.isWindow(t)?p.push.call(n,t):p.merge(n,t)),n},p.each=function(t,e,n){var i,s=0,r=t.length,o=void 0===r||p.isFunction(t);if(n)if(o){for(i in t)if(!1===e.apply(t[i],n))break}else for(;s<r&&!1!==e.apply(t[s++],n););else if(o){for(i in t)if(!1===e.call(t[i],i,t[i]))break}else for(;s<r&&!1!==e.call(t[s],s,t[s++]););return t},p._flagsCache={},p.createFlags=function(t){var e,n,i=p._flagsCache[t]={};for(e=0,n=(t=t.split(/\s+/)).length;e<n;e++)i[t[e]]=!0;return i},p.Callbacks=function(t){t=t?p._flagsCache[t]||p.createFlags(t):{};var e,n,i,s,r,o=[],a=[],u=function(e){var n,i,s;for(n=0,i=e.length;n<i;n++)s=e[n],p.isArray(s)?u(s):p.isFunction(s)&&(t.unique&&f.has(s)||o.push(s))},l=function(u,l){for(l=l||[],e=!t.memory||[u,l],n=!0,r=i||0,i=0,s=o.length;o&&r<s;r++)if(!1===o[r].apply(u,l)&&t.stopOnFalse){e=!0;break}n=!1,o&&(t.once?!0===e?f.disable():o=[]:a&&a.length&&(e=a.shift(),f.fireWith(e[0],e[1])))},f={add:function(){if(o){var t=o.length;u(arguments),n?s=o.length:e&&!0!==e&&(i=t,l(e[0],e[1]))}return this},remove:function(){if(o)for(var e=arguments,i=0,a=e.length;i<a;i++)for(var u=0;u<o.length&&(e[i]!==o[u]||(n&&u<=s&&(s--,u<=r&&r--),o.splice(u--,1),!t.unique));u++);return this},has:function(t){if(o)for(var e=0,n=o.length;e<n;e++)if(t===o[e])return!0;return!1},empty:function(){return o=[],this},disable:function(){return o=a=e=void 0,this},disabled:function(){return!o},lock:function(){return a=void 0,e&&!0!==e||f.disable(),this},locked:function(){return!a},fireWith:function(i,s){return a&&(n?t.once||a.push([i,s]):t.once&&e||l(i,s)),this},fire:function(){return f.fireWith(this,arguments),this},fired:function(){return!!e}};return f},p.extend({Deferred:function(t){var e,n=p.Callbacks("once memory"),i=p.Callbacks("once memory"),s=p.Callbacks("memory"),r="pending",o={resolve:n,reject:i,notify:s},a={done:n.add,fail:i.add,progress:s.add,state:function(){return r},isResolved:n.fired,isRejected:i.fired,then:function(t,e,n){return u.done(t).fail(e).progress(n),this},always:function(){return u.done.apply(u,arguments).fail.apply(u,arguments),this},pipe:function(t,e,n){return p.Deferred(function(i){p.each({done:[t,"resolve"],fail:[e,"reject"],progress:[n,"notify"]},function(t,e){var n,s=e[0],r=e[1];p.isFunction(s)?u[t](function(){(n=s.apply(this,arguments))&&p.isFunction(n.promise)?n.promise().then(i.resolve,i.reject,i.notify):i[r+"With"](this===u?i:this,[n])}):u[t](i[r])})}).promise()},promise:function(t){if(null==t)t=a;else for(var e in a)t[e]=a[e];return t}},u=a.promise({});for(e in o)u[e]=o[e].fire,u[e+"With"]=o[e].fireWith;return u.done(function(){r="resolved"},i.disable,s.lock).fail(function(){r="rejected"},n.disable,s.lock),t&&t.call(u,u),u},when:function(t){var e=[].slice,n=e.call(arguments,0),i=0,s=n.length,r=new Array(s),o=s,a=s<=1&&t&&p.isFunction(t.promise)?t:p.Deferred(),u=a.promise();function l(t){return function(i){n[t]=arguments.length>1?e.call(arguments,0):i,--o||a.resolveWith(a,n)}}function f(t){return function(n){r[t]=arguments.length>1?e.call(arguments,0):n,a.notifyWith(u,r)}}if(s>1){for(;i<s;i++)n[i]&&n[i].promise&&p.isFunction(n[i].promise)?n[i].promise().then(l(i),a.reject,f(i)):--o;o||a.resolveWith(a,n)}else a!==t&&a.resolveWith(a,s?[t]:[]);return u}}),i=/_|-/,s=/::/,r=/([A-Z]+)([A-Z][a-z])/g,o=/([a-z\d])([A-Z])/g,a=/([a-z\d])([A-Z])/g,u=/\{([^\}]+)\}/g,l=/\./,f=function(t,e,n){return t[e]||n&&(t[e]={})},h=function(t){var e=typeof t;return e&&("function"==e||"object"==e)},c=function(t,e,i){var s,r,o,a=t?t.split(l):[],u=a.length,c=n.isArray(e)?e:[e||n.global],d=0;if(0==u)return c[0];for(;s=c[d++];){for(o=0;o<u-1&&h(s);o++)s=f(s,a[o],i);if(h(s)&&void 0!==(r=f(s,a[o],i)))return!1===i&&delete s[a[o]],r}},d=(n=p).String={getObject:c,capitalize:function(t,e){return t.charAt(0).toUpperCase()+t.substr(1)},camelize:function(t){return(t=d.classize(t)).charAt(0).toLowerCase()+t.substr(1)},classize:function(t,e){for(var n=t.split(i),s=0;s<n.length;s++)n[s]=d.capitalize(n[s]);return n.join(e||"")},niceName:function(t){return d.classize(t," ")},underscore:function(t){return t.replace(s,"/").replace(r,"$1_$2").replace(o,"$1_$2").replace(a,"_").toLowerCase()},sub:function(t,e,n){var i=[];return i.push(t.replace(u,function(t,s){var r=c(s,e,"boolean"==typeof n?!n:n),o=typeof r;return"object"!==o&&"function"!==o||null===o?""+r:(i.push(r),"")})),i.length<=1?i[0]:i}},function(t){var n=!1,i=null,s=null,r=0,o=0,a=t.makeArray,u=t.isFunction,l=t.isArray,f=t.extend,h="undefined"!=typeof ArrayBuffer,c="undefined"!=typeof Map,d=function(){return c?new Map:{originals:[],copies:[]}},p=function(t,e,n){return c?t.set(e,n):(t.originals.push(e),t.copies.push(n)),n},y=function(t,e){if(!t||"object"!=typeof t)return t;var n,i,s,r=function(t,e){if(c)return t.get(e);for(var n=0;n<t.originals.length;n++)if(t.originals[n]===e)return t.copies[n]}(e=e||d(),t);if(r)return r;if(n=Object.getPrototypeOf(t),t instanceof Date?r=new Date(t.getTime()):t instanceof RegExp?(r=new RegExp(t.source,void 0!==t.flags?t.flags:(t.global?"g":"")+(t.ignoreCase?"i":"")+(t.multiline?"m":""))).lastIndex=t.lastIndex:h&&t instanceof ArrayBuffer?r=t.slice(0):h&&ArrayBuffer.isView&&ArrayBuffer.isView(t)?r=t instanceof DataView?new DataView(t.buffer.slice(t.byteOffset,t.byteOffset+t.byteLength)):new t.constructor(t):n&&n!==Object.prototype&&!l(t)&&u(t.clone)&&(r=t.clone()),r)return p(e,t,r);if(r=p(e,t,l(t)?[]:Object.create(n)),l(t))for(s=0;s<t.length;s++)r[s]=y(t[s],e);else for(i in t)(t.hasOwnProperty(i)||n===Object.prototype)&&(r[i]=y(t[i],e));return r},g=function(t,e,n){var i,s,r,o=[],a=[],u={};for(i in n)n[i]&&"default"in n[i]&&(a.push(i),r=q(t,i),u[i]=!!(r&&r.get&&r.get._field));for(i in t)!(s=z(t,i))||"object"!=typeof s||e&&e[i]||n&&n[i]&&"default"in n[i]||o.push(i);return o.length||a.length?function(t){var i,s,r=d();for(i=0;i<o.length;i++)t[o[i]]=y(t[o[i]],r);for(i=0;i<a.length;i++)s=n[a[i]].default,s=e&&e[a[i]]?s:y(s,r),u[a[i]]?(t._values||(t._values={}))[a[i]]=s:t[a[i]]=s}:U},v=function(t,e){return t===e||null!=t&&"function"==typeof t.equals&&t.equals(e)},m=function(t){return null!=t&&"function"==typeof t.hashCode?t.hashCode():t},b={int:[-9007199254740991,9007199254740991],int8:[-128,127],uint8:[0,255],int16:[-32768,32767],uint16:[0,65535],int32:[-2147483648,2147483647],uint32:[0,4294967295]},w=function(t,e,n){var i=t.schema&&t.schema[e],s=i&&i.type,r=b[s],o=null;return i?(null==n?o=i.required?"is required":null:u(s)?o=n instanceof s?null:"must be a "+(s.fullName||s.name):"array"==s?o=l(n)?null:"must be an array":r||"number"==s||"float32"==s||"float64"==s?"number"!=typeof n||isNaN(n)?o="must be a number":r&&(n%1!=0||n<r[0]||n>r[1])&&(o="must be a whole number from "+r[0]+" to "+r[1]):"bool"==s?o="boolean"==typeof n?null:"must be a boolean":s&&typeof n!=s&&(o="must be a "+s),o||null==n||(void 0!==i.min&&n<i.min?o="must be at least "+i.min:void 0!==i.max&&n>i.max?o="must be at most "+i.max:i.enum&&-1==i.enum.indexOf(n)&&(o="must be one of "+i.enum.join(", "))),o&&(t.fullName||"Class")+"."+e+" "+o+(null==n?"":" (got "+n+")")):null},_=function(t,e){var n,i=[];for(var s in t.schema)(n=w(t,s,e[s]))&&i.push(n);return i},O=function(t,e,n,i){var s;return e.setup&&(s=e.setup.apply(e,n)),t._initializer&&!function(t){var e,n,i;for(e=0;e<t.levels.length;e++)if((n=Object.keys(t.levels[e])).length!=t.counts[e]||n[n.length-1]!==t.last[e])return!0;if(t.hasObjects)return t.hasObjects(t.prototype);for(e=0;e<t.plain.length;e++)if((i=t.prototype[t.plain[e]])&&"object"==typeof i)return!0;return!1}(t._shape)||(t._initializer=g(t.prototype,t._shared,t.schema),t._shape=function(t){var e,n,i,s,r,o,a={prototype:t,levels:[],counts:[],last:[],plain:[]};for(e=t;e&&e!==Object.prototype;e=Object.getPrototypeOf(e))n=Object.keys(e),a.levels.push(e),a.counts.push(n.length),a.last.push(n[n.length-1]);for(i in t)!(s=q(t,i))||!("value"in s)||s.value&&"object"==typeof s.value||a.plain.push(i);try{for(r=[],o=0;o<a.plain.length;o++)r.push("(v = p["+JSON.stringify(a.plain[o])+']) && typeof v == "object"');a.hasObjects=new Function("p","var v; return "+(r.join(" ||\n")||"false")+";")}catch(t){a.hasObjects=null}return a}(t.prototype)),t._initializer(e),e.init&&!i&&e.init.apply(e,l(s)?s:n),e},P=function(t,e,n,i){var s,r,o=!1,a=!1;for(r in t.schema){o=!0;break}if("undefined"!=typeof Proxy&&(t.sealed||o)&&(e=new Proxy(e,{defineProperty:function(e,n,i){if(!a||"string"!=typeof n||"_super"==n)return Reflect.defineProperty(e,n,i);if(t.sealed&&!(n in e)&&(!o||!t.schema.hasOwnProperty(n)))throw(t.fullName||"Class")+" has no property named "+n+" (declare it in the class, or use sealed:false to allow adding properties)";if("value"in i&&(r=w(t,n,i.value)))throw r;return Reflect.defineProperty(e,n,i)}})),O(t,e,n,i),(s=i?[]:_(t,e)).length)throw s.join(", ");return a=!0,e},j=O,k=!1,L=[],C=function(t,e,n,i){var s=[e,n,i],r=function(n){var i=n.hasOwnProperty("_observers")&&n._observers;i&&(i[e]&&i[e].fireWith(t,s),i["*"]&&i["*"].fireWith(t,s))};r(t);for(var o=t.Class;o;o=o._superClass)r(o)},x=function(t,e,n,i,s){var r=function(){var t=this._values;return t&&t.hasOwnProperty(e)?t[e]:n&&"object"==typeof n?(t||(this._values={}))[e]=y(n):n};r._field={value:n,observed:i,bit:s},Object.defineProperty(t,e,{get:r,set:function(t){var n,r=this[e];if(Z.devMode&&(n=w(this.Class,e,t)))throw n;(this._values||(this._values={}))[e]=t,t!==r&&(this._dirty|=s,i&&function(t,e,n,i){if(!k)return C(t,e,n,i);t._changes||(t._changes={},L.push(t)),t._changes.hasOwnProperty(e)||(t._changes[e]=i)}(this,e,t,r))},enumerable:!0,configurable:!0})},N=function(t){for(var e=[],n=0;n<t.length;n++)e.push(t[n].fullName);return e.join("|")},A=function(t,e){var n=t?t.slice():[];e=e?a(e):[];for(var i=0;i<e.length;i++)-1==n.indexOf(e[i])&&n.push(e[i]);return n},I=function(t,e){return t.concat(a(e))},S=/xyz/.test(function(){xyz})?/\b_super\b/:/.*/,U=function(){},D={},F={registry:!0,onDuplicate:!0,_initializer:!0,_shape:!0,abstractMethod:!0,withSuper:!0,adopt:!0,advise:!0,onExtend:!0,setDevMode:!0,devMode:!0,batchChanges:!0,flushChanges:!0,setHotReload:!0,hotReload:!0,reloaded:!0,_observers:!0,root:!0,namespace:!0,_root:!0,_superClass:!0,_subclasses:!0,_mixins:!0,_interfaces:!0,_abstract:!0,_shared:!0,_staticModes:!0,_staticDefaults:!0,_native:!0,_adopted:!0},E=function(t,e,n){var i=function(){return e[n]};i._sharedStatic=!0,Object.defineProperty(t,n,{get:i,set:function(t){e[n]=t},enumerable:!0,configurable:!0})},M=function(t){for(var e=t._superClass?t._superClass._subclasses:[],n=0;n<e.length;n++)if(e[n]===t){e.splice(n,1);break}},T=function(t,e){var n,i={statics:[],proto:[]};for(n in t)t.hasOwnProperty(n)&&z(t,n)===Z.abstractMethod&&i.statics.push(n);for(n in e)z(e,n)===Z.abstractMethod&&i.proto.push(n);return i},R=function(t){return"string"==typeof t?D[t]||null:t},$={mixins:!0,replace:!0,shared:!0,staticInheritance:!0,abstract:!0,root:!0,implements:!0,typeBit:!0,decorators:!0},q=function(t,e){for(var n;t;t=Object.getPrototypeOf(t))if(n=Object.getOwnPropertyDescriptor(t,e))return n},z=function(t,e){var n=q(t,e);return n&&n.value},B=function(t,e,n,i){var s=q(n,t)||{},r=function(e,i){return e&&u(s[i])&&S.test(e)?function(){var s,r=this._super;return this._super=(q(n,t)||{})[i],s=e.apply(this,arguments),this._super=r,s}:e||s[i]};Object.defineProperty(i,t,{get:r(e.get,"get"),set:r(e.set,"set"),enumerable:!0,configurable:!0})},H=function(t,e,n,i){var s;for(var r in n=n||t,t)i&&i[r]||(!(s=Object.getOwnPropertyDescriptor(t,r))||"value"in s?((s=q(n,r))&&!("value"in s)&&Object.defineProperty(n,r,{value:void 0,writable:!0,enumerable:!0,configurable:!0}),u(t[r])&&t[r]._superFactory?(n[r]=t[r](u(z(e,r))?e[r]:U),n[r]._factory=t[r]):n[r]=u(t[r])&&u(z(e,r))&&S.test(t[r])?function(t,n){var i=function(){var i,s=this._super;return this._super=e[t],i=n.apply(this,arguments),this._super=s,i};return i._method=n,i}(r,t[r]):t[r]):B(r,s,e,n))},V=function(t,e){var n,i={};for(var s in e)(n=q(t,s))&&Object.defineProperty(i,s,n);return i},W=function(t,e,n,i){var s,r,o,a={},l=[];for(o=0;o<e.length;o++)for(r in s=e[o][n])u(z(s,r))&&(!a[r]||i&&i.hasOwnProperty(r)||l.push(r+" ("+a[r]+", "+e[o].fullName+")"),a[r]=e[o].fullName);if(l.length)throw"Mixin conflict in "+(t||"class")+": "+l.join(", ")+" -- override the method in the class to resolve it"},G=function(t,e,n,i){Z.walkHierarchy(t,function(t){if(!t.hasOwnProperty(e)||t[e]!==n)return!1;t[e]=i})},J=function(t,e,n,i){var s=Object.getOwnPropertyDescriptor(t,e),r=s&&s.get&&s.get._field;s&&u(s.value)&&s.value._advice&&u(n.value)?s.value._original=n.value:r&&"value"in n?u(n.value)||x(t,e,n.value,r.observed,r.bit):t===i&&s&&"value"in s&&"value"in n?G(i,e,s.value,n.value):(n.configurable=n.enumerable=!0,Object.defineProperty(t,e,n))},Z=t.Class=function(){if(arguments.length)return Z.extend.apply(Z,arguments)};f(Z,{callback:function(t){var e,n=a(arguments);return t=n.shift(),l(t)||(t=[t]),e=this,function(){for(var i,s,r=I(n,arguments),o=t.length,a=0;a<o;a++)(s=t[a])&&((i="string"==typeof s)&&e._set_called&&(e.called=s),r=(i?e[s]:s).apply(e,r||[]),a<o-1&&(r=!l(r)||r._use_call?[r]:r));return r}},getObject:t.String.getObject,registry:D,root:void 0!==e&&e?{gamecore:t}:t.global,onDuplicate:"warn",abstractMethod:function(){throw"Abstract method called on "+(this.Class||this).fullName},withSuper:function(t){return t._superFactory=!0,t},isA:function(t){return"string"==typeof t?this._typeNames.hasOwnProperty(t):!!t&&(t.typeBit?0!=(this.typeMask&t.typeBit):u(t)?t===this||t.prototype.isPrototypeOf(this.prototype):this._typeNames.hasOwnProperty(t.fullName))},isAbstract:function(t){return!(!(t=R(t||this))||!t._abstract)},getAbstractMembers:function(t){return t=R(t||this),T(t,t.prototype)},schema:null,checkProperty:function(t,e){return w(this,t,e)},validate:function(t){return _(this,t)},observable:null,tracked:null,keys:null,fieldIndices:null,dirtyMask:0,observe:function(e,n){u(e)&&(n=e,e="*");var i=this.hasOwnProperty("_observers")&&this._observers||(this._observers={});return(i[e]||(i[e]=t.Callbacks())).add(n),this},unobserve:function(t,e){u(t)&&(e=t,t="*");var n=this.hasOwnProperty("_observers")&&this._observers;return n&&n[t]&&n[t].remove(e),this},batchChanges:function(t){t||Z.flushChanges(),k=!!t},flushChanges:function(){var t,e,n,i=L;L=[];for(var s=0;s<i.length;s++)for(e in t=i[s]._changes,i[s]._changes=null,t)(n=i[s][e])!==t[e]&&C(i[s],e,n,t[e])},setHotReload:function(t){Z.hotReload=!!t},reloaded:t.Callbacks(),sealed:!0,setDevMode:function(t){Z.devMode=!!t,j=t?P:O},before:function(t,e,n){return Z.advise(this,t,"before",e,n)},after:function(t,e,n){return Z.advise(this,t,"after",e,n)},around:function(t,e,n){return Z.advise(this,t,"around",e,n)},advise:function(t,e,n,i,s){t=R(t);var r,o=s?t:t.prototype,a=z(o,e);if(!u(a))throw(t.fullName||"Class")+" has no "+(s?"static ":"")+"method named "+e;return a._advice&&o.hasOwnProperty(e)?r=a:(r=function(t){var e=function(){var t,n,i=e._advice,s=arguments;for(t=0;t<i.before.length;t++)i.before[t].apply(this,s);for(n=function t(n,s,r){if(s<0)return e._original.apply(n,r);var o,a=n._super;return n._super=function(){return t(this,s-1,arguments)},o=i.around[s].apply(n,r),n._super=a,o}(this,i.around.length-1,s),t=0;t<i.after.length;t++)i.after[t].apply(this,I([n],s));return n};return e._advice={before:[],around:[],after:[]},e._original=t,e._method=t._method||t,e}(o.hasOwnProperty(e)?a:function(){return Object.getPrototypeOf(o)[e].apply(this,arguments)}),r._inherited=!o.hasOwnProperty(e),r._klass=t,s?G(t,e,a,r):o[e]=r),r._advice[n].push(i),i},removeAdvice:function(t,e,n){var i,s,r,o,a,l=z(n?this:this.prototype,t),f=!1,h=0;if(!u(l)||!l._advice)return!1;for(o in i=l._klass,s=n?i:i.prototype,r=l._advice){for(a=r[o].length-1;a>=0&&!f;a--)r[o][a]===e&&(r[o].splice(a,1),f=!0);h+=r[o].length}return f&&!h&&(n?G(i,t,l,l._inherited?Object.getPrototypeOf(i)[t]:l._original):l._inherited?delete s[t]:s[t]=l._original),f},invalidate:function(t){Z.walkHierarchy(t||this,function(t){t._initializer=null})},getClass:function(t){return D[t]||null},getClassNames:function(){var t=[];for(var e in D)t.push(e);return t},getSuperclass:function(t){return(t=R(t||this))&&t._superClass||null},getSubclasses:function(t,e){var n=[];return Z.walkHierarchy(t||this,function(t,i){return 0==i||(n.push(t),!!e)}),n},getHierarchy:function(t){var e=[];for(t=R(t||this);t&&t._superClass;)e.unshift(t),t=t._superClass;return e},unregister:function(t){if(!(t=R(t))||!t.fullName||D[t.fullName]!==t)return!1;for(;t._subclasses.length;)Z.unregister(t._subclasses[0])||M(t._subclasses[0]);return M(t),delete D[t.fullName],t._root&&Z.getObject(t.fullName,t._root)===t&&Z.getObject(t.fullName,t._root,!1),!0},walkHierarchy:function(t,e){var n=function(t,i){if(!1!==e(t,i))for(var s=0;s<t._subclasses.length;s++)n(t._subclasses[s],i+1)};(t=R(t))&&n(t,0)},newInstance:function(){if(this._abstract)throw this.fullName+" is abstract, so it can't be instantiated (use a subclass)";if(this.hasOwnProperty("_adopted"))return Reflect.construct(this,arguments);var t=this._native?Reflect.construct(this._native,arguments,this):this.rawInstance();return j(this,t,arguments)},blankInstance:function(){if(this._abstract)throw this.fullName+" is abstract, so it can't be instantiated (use a subclass)";if(this.hasOwnProperty("_adopted"))return Reflect.construct(this,[]);var t=this._native?Reflect.construct(this._native,[],this):this.rawInstance();return j(this,t,[],!0)},setup:function(t,e){this.defaults=f(!0,{},t.defaults,this.defaults);var n,i={};for(n in t.schema)i[n]=f({},t.schema[n]);for(n in this.schema)i[n]=f(i[n]||{},this.schema[n]);for(n in this.schema=i,i)"default"in i[n]&&(this.defaults[n]=i[n].default);var s,r,o,a,u=A(t.observable,this.observable),l=A(t.tracked,this.tracked),h=A(u,l);if(l.length>32)throw(this.fullName||"Class")+" has "+l.length+" tracked fields (32 at most)";this.observable=u,this.tracked=l,this.fieldIndices={},this.dirtyMask=0;for(var c=0;c<l.length;c++)this.fieldIndices[l[c]]=c,this.dirtyMask|=1<<c;for(c=0;c<h.length;c++)n=h[c],r=(s=q(this.prototype,n))&&s.get&&s.get._field,o=this.fieldIndices.hasOwnProperty(n)?1<<this.fieldIndices[n]:0,a=-1!=u.indexOf(n),r&&r.bit==o&&r.observed==a&&!this.prototype.hasOwnProperty(n)||(!s||"value"in s||r)&&x(this.prototype,n,r?r.value:s&&s.value,a,o);l.length&&(this.prototype._dirty=this.dirtyMask);var d=A(t.keys,this.keys),p=t.keys?t.keys.length:0;if(this.keys=d,d.length>p){var y=function(t){var e=t.length,n=t[0],i=function(n){if(n===this)return!0;if(!n||n.Class!==this.Class)return!1;for(var i=0;i<e;i++)if(!v(this[t[i]],n[t[i]]))return!1;return!0},s=function(){for(var i=""+m(this[n]),s=1;s<e;s++)i+="|"+m(this[t[s]]);return i};return i._keys=s._keys=t,{equals:i,hashCode:s}}(d);for(n in y)this.prototype.hasOwnProperty(n)||p&&!this.prototype[n]._keys||(this.prototype[n]=y[n])}null==this._types&&(this._types=[]),null==this._fullTypeName&&(this._fullTypeName="|"),null==this._typeNames&&(this._typeNames={});for(var g=this._mixins.concat(this._interfaces),b=0;b<g.length;b++){var w=g[b].fullName;this._typeNames.hasOwnProperty(w)||(this._types.push(w),this._fullTypeName+=w+"|",this._typeNames[w]=!0)}return this._types.push(this.fullName),this._fullTypeName+=this.fullName+"|",this.fullName&&(this._typeNames[this.fullName]=!0),arguments},rawInstance:function(){n=!0;var t=new this;return n=!1,t},adopt:function(t,e,n){if(t.hasOwnProperty("_superClass"))return t;var s=Object.getPrototypeOf(t);if(!s||!s.hasOwnProperty("_superClass"))throw(t.name||"Class")+" does not extend a gamecore class";i=t;try{return s.extend(e||t.name,n||{},{})}finally{i=null}},wrap:function(t,e,n,i){s=t;try{return this.extend(e||t.name,n||{},i||{})}finally{s=null}},extend:function(t,e,l){if("string"!=typeof t&&(l=e,e=t,t=null),l||(l=e,e=null),Z.hotReload&&t&&D[t]&&D[t]._superClass===this&&N(D[t]._mixins)==N(e&&e.mixins?a(e.mixins):[]))return function(t,e,n){var i,s,r,o=t.prototype,a={},l={};for(i in o)o.hasOwnProperty(i)&&"Class"!=i&&"constructor"!=i&&!n.hasOwnProperty(i)&&(r=z(o,i),!u(r)||r._advice||r._keys||delete o[i]);for(i in H(n,Object.getPrototypeOf(o),a),a)(r=z(a,i))&&"object"==typeof r&&!(i in o)&&(l[i]=r),J(o,i,Object.getOwnPropertyDescriptor(a,i));for(i in a={},H(e,t._superClass,a,$),a)s=Object.getOwnPropertyDescriptor(a,i),i in t?"value"in s&&!u(s.value)||J(t,i,s,t):Z.walkHierarchy(t,function(t){if(t.hasOwnProperty(i))return!1;Object.defineProperty(t,i,f({},s,{configurable:!0,enumerable:!0}))});return Z.walkHierarchy(t,function(t,e){if(0!=e){for(i in t.prototype)t.prototype.hasOwnProperty(i)&&u(r=z(t.prototype,i))&&r._factory&&((t.prototype[i]=r._factory(t._superClass.prototype[i]))._factory=r._factory);for(i in t)t.hasOwnProperty(i)&&u(r=z(t,i))&&r._factory&&((t[i]=r._factory(t._superClass[i]))._factory=r._factory)}}),o.Class=o.constructor=t,Z.invalidate(t),Z.reloaded.fireWith(Z,[t,g(l)]),t}(D[t],e||{},l||{});if(t&&D[t]&&(!e||!e.replace)){var h="A class named "+t+" already exists. Use the static replace option (replace:true) if you meant to redefine it.";if("throw"==Z.onDuplicate)throw h;"warn"==Z.onDuplicate&&"undefined"!=typeof console&&console.warn(h)}l=l||{};var c,p,v,m,b,w,_,P,j=this,k=this.prototype,L=e&&e.mixins?a(e.mixins):[],C=e&&e.implements?a(e.implements):[],x=e&&void 0!==e.root?e.root:Z.root,A=i,S=i,U=s;if(i=s=null,S)m=S.prototype;else{if(U){for(c in m=Object.create(U.prototype),k)Object.defineProperty(m,c,q(k,c));k=m,m=Object.create(k)}else n=!0,m=new this,n=!1;for(W(t,L,"proto",l),b=k,w=0;w<L.length;w++)H(L[w].proto,b,m),b=m,m=Object.create(b);H(l,b,m),S=function t(){if(!n){if(!(this instanceof t)&&arguments.length)return t.extend.apply(t,arguments);if(!(this instanceof t&&this.constructor!==t))return this.Class.newInstance.apply(this.Class,arguments);var e=Z.adopt(this.constructor);if(e._abstract)throw e.fullName+" is abstract, so it can't be instantiated (use a subclass)";e._native&&f(this,Reflect.construct(e._native,arguments,e)),O(e,this,arguments)}},S._native=U||this._native}var R=d(),B=f({},this._staticModes,e&&e.staticInheritance),G=f({},this._staticDefaults);for(c in this)this.hasOwnProperty(c)&&!F[c]&&(A&&S.hasOwnProperty(c)||(P=Object.getOwnPropertyDescriptor(this,c),"shared"!=B[c]||e&&e.hasOwnProperty(c)?"reset"==B[c]&&G.hasOwnProperty(c)?S[c]=y(G[c],R):"value"in P||P.get&&P.get._sharedStatic?S[c]=y(this[c],R):Object.defineProperty(S,c,P):E(S,this,c)));for(W(t,L,"statics",e),w=0;w<L.length;w++)H(L[w].statics,V(S,L[w].statics),S);for(c in H(e,L.length?V(S,e):this,S,$),B)"reset"==B[c]&&c in S&&(!G.hasOwnProperty(c)||e&&e.hasOwnProperty(c))&&(G[c]=y(S[c]));if(S._staticModes=B,S._staticDefaults=G,S._mixins=L,S._interfaces=C,S._abstract=!(!e||!e.abstract),S._shared=f({},j._shared),e&&e.shared)for(w=0;w<e.shared.length;w++)S._shared[e.shared[w]]=!0;if(S._superClass=j,S.typeId=++r,S.typeBit=0,e&&e.typeBit)if(t&&D[t]&&D[t].typeBit)S.typeBit=D[t].typeBit;else{if(32==o)throw"No type bits left for "+(t||"Class")+" (only 32 classes can have one)";S.typeBit=1<<o++}if(S.typeMask=j.typeMask|S.typeBit,A&&(S._adopted=!0),!S._abstract){_=[];for(var K=S;K;K=K._superClass)for(w=0;K._interfaces&&w<K._interfaces.length;w++)_=_.concat(K._interfaces[w].validate(S,m));if(_.length)throw(t||"Class")+" does not implement "+_.join(", ");if((_=T(S,m)).statics.length||_.proto.length)throw(t||"Class")+" must implement abstract method(s): "+_.statics.concat(_.proto).join(", ")+" (or be declared abstract)"}if(S._subclasses=[],j._subclasses.push(S),t&&(D[t]&&(M(D[t]),Z.invalidate(D[t])),D[t]=S),t){var X=t.split(/\./),Q=x;p=X.pop(),x&&X.length>0&&(v=Q=Z.getObject(X.join("."),x,!0)),Q&&(Q[p]=S)}S._root=x,f(S,{prototype:m,namespace:v,shortName:p,constructor:S,fullName:t}),S.prototype.Class=S.prototype.constructor=S;var Y=S.setup.apply(S,I([j],arguments));S.init&&S.init.apply(S,Y||[]);var tt=e&&e.decorators?a(e.decorators):[],et=[];for(K=j;K;K=K._superClass)K.hasOwnProperty("onExtend")&&u(K.onExtend)&&et.unshift(K);try{for(w=0;w<tt.length;w++)tt[w](S);for(w=0;w<et.length;w++)et[w].onExtend(S)}catch(t){throw Z.unregister(S)||M(S),t}return S}}),Z.prototype.callback=Z.callback,Z.prototype.isA=function(t){return this.Class.isA(t)},Z.prototype.observe=Z.observe,Z.prototype.unobserve=Z.unobserve,Z.prototype._values=Z.prototype._observers=Z.prototype._changes=null,Z.prototype._dirty=0,f(Z.prototype,{isDirty:function(t){return void 0===t?0!=this._dirty:!!(this._dirty&1<<this.Class.fieldIndices[t])},getDirtyFields:function(){for(var t=[],e=this.Class.tracked,n=0;this._dirty&&n<e.length;n++)this._dirty&1<<n&&t.push(e[n]);return t},markDirty:function(t){this._dirty|=void 0===t?this.Class.dirtyMask:1<<this.Class.fieldIndices[t]},clearDirty:function(){this._dirty=0}}),Z._superClass=null,Z._subclasses=[],Z._typeNames={},Z.devMode=Z.hotReload=!1,Z.typeId=Z.typeBit=Z.typeMask=0,t.Mixin=function(e,n,i){if(!(this instanceof t.Mixin))return new t.Mixin(e,n,i);void 0===i&&(i=n,n=null),this.fullName=e,this.statics=n||{},this.proto=i||{}},t.Interface=function(e,n,i){if(!(this instanceof t.Interface))return new t.Interface(e,n,i);void 0===i&&(i=n,n=null),this.fullName=e,this.statics=n||{},this.proto=i||{}},t.Interface.prototype={constructor:t.Interface,validate:function(t,e){return this._check(this.statics,t,this.fullName+".").concat(this._check(this.proto,e,this.fullName+"#"))},_check:function(t,e,n){var i,s,r,o=[];for(i in t)s=u(t[i])?t[i].length:t[i]||0,r=z(e,i),u(r)?(r._method||r).length<s&&o.push(n+i+" (takes "+(r._method||r).length+" argument(s), expected "+s+")"):o.push(n+i);return o}}}(p),p.Base=p.Class("gamecore.Base",{staticInheritance:{totalObjects:"reset"},totalObjects:0,version:0,migrations:{},WARN:"WARN",DEBUG:"DEBUG",ERROR:"ERROR",INFO:"INFO",log:function(t,e,n){var i="";t&&(i=":"+t),console.log.apply(console,[this.fullName+i+" ["+e+"] "].concat(Array.prototype.slice.call(n)))},warn:function(t){this.log(null,this.WARN,t)},debug:function(t){this.log(null,this.DEBUG,t)},error:function(t){this.log(null,this.ERROR,t)},info:function(t){this.log(null,this.INFO,t)},assert:function(t,e){if(!e)throw t}},{objectId:0,uniqueId:null,init:function(){},setup:function(){this.objectId=this.Class.totalObjects++,this.uniqueId=this.Class.fullName+":"+this.objectId},getUniqueId:function(){return this.uniqueId},hashCode:function(){return this.getUniqueId()},warn:function(t){this.Class.log(this.objectId,this.Class.WARN,arguments)},debug:function(t){this.Class.log(this.objectId,this.Class.DEBUG,arguments)},error:function(t){this.Class.log(this.objectId,this.Class.ERROR,arguments)},info:function(t){this.Class.log(this.objectId,this.Class.INFO,arguments)},toString:function(){return this.Class.fullName+" [id: "+this.objectId+"]"}}),function(t){var e=t.Base,n=function(e,n){return"_"==n.charAt(0)||"objectId"==n||"uniqueId"==n||t.isFunction(e[n])},i=["Int8Array","Uint8Array","Uint8ClampedArray","Int16Array","Uint16Array","Int32Array","Uint32Array","Float32Array","Float64Array"],s="undefined"!=typeof Map,r=function(e,o){var a,u,l,f,h,c;if(null==e||"object"!=typeof e)return t.isFunction(e)?void 0:e;if(t.isArray(e)){for(a=[],l=0;l<e.length;l++)a.push(void 0===(h=r(e[l],o))?null:h);return a}if(e instanceof t.Hashtable||e.Class&&e.Class.fullName){if(void 0!==(u=function(t,e){if(s)return t.ids.get(e);for(var n=0;n<t.objects.length;n++)if(t.objects[n]===e)return t.ids[n]}(o,e)))return{$ref:u};if(u=function(t,e,n){return s?t.ids.set(e,n):(t.objects.push(e),t.ids.push(n)),t.count++,n}(o,e,e.uniqueId||"#"+o.count),e instanceof t.Hashtable){for(a={$class:"gamecore.Hashtable",$id:u,entries:e.entries()},l=0;l<a.entries.length;l++)a.entries[l]=[r(a.entries[l][0],o),r(a.entries[l][1],o)];return a}if(a={$class:e.Class.fullName,$id:u},e.Class.version&&(a.$version=e.Class.version),t.LinkedList&&e instanceof t.LinkedList){for(a.items=[],f=e.first;f;f=f.nextLinked)a.items.push(r(f.obj,o));return a}var d=function(t){var e,i,s=[],r=t.Class,o=r.schema;for(i in o)s.push(i);if(s.length)return s;for(i in e=(r.observable||[]).concat(r.tracked||[]),t)!t.hasOwnProperty(i)&&-1==e.indexOf(i)||n(t,i)||s.push(i);return s}(e);for(l=0;l<d.length;l++)void 0===(a[d[l]]=r(e[d[l]],o))&&delete a[d[l]];return a}if(c=function(t){return Object.prototype.toString.call(t).slice(8,-1)}(e),"Date"==c)return{$date:e.toISOString()};if(-1!=i.indexOf(c))return{$typed:c,items:Array.prototype.slice.call(e)};if("DataView"==c||"ArrayBuffer"==c)throw"Unable to write a "+c+" out as JSON (use a typed array)";for(l in a={},e)e.hasOwnProperty(l)&&void 0!==(h=r(e[l],o))&&(a[l]=h);return a},o=function(e,n){var s,r,a,u;if(null==e||"object"!=typeof e)return e;if(t.isArray(e)){for(s=[],a=0;a<e.length;a++)s.push(o(e[a],n));return s}if(void 0!==e.$ref){if(!n.objects.hasOwnProperty(e.$ref))throw"Unable to read JSON: "+e.$ref+" is referred to before it's defined";return n.objects[e.$ref]}if(void 0!==e.$date)return new Date(e.$date);if(void 0!==e.$typed){if(-1==i.indexOf(e.$typed))throw"Unable to read JSON: "+e.$typed+" isn't a typed array";return new t.global[e.$typed](e.items)}if(void 0===e.$class){for(u in s={},e)s[u]=o(e[u],n);return s}if("gamecore.Hashtable"==e.$class){for(s=n.objects[e.$id]=new t.Hashtable,a=0;a<e.entries.length;a++)s.put(o(e.entries[a][0],n),o(e.entries[a][1],n));return s}if(e=function(e,n,i){var s,r=n.$version||0,o=e.version||0,a=[],u=n.$class,l=n.$id;if(r>o)throw"Unable to read "+e.fullName+" from JSON: it was written by version "+r+" of the class, which only goes up to version "+o;for(var f=r+1;f<=o;f++)e.migrations&&t.isFunction(e.migrations[f])&&(a.length||(n=t.extend({},n)),(s=e.migrations[f].call(e,n))&&"object"==typeof s&&(n=s),a.push(f));return a.length&&(n.$class=u,n.$id=l,n.$version=o),i&&r!=o&&i.push({className:e.fullName,id:l,from:r,to:o,migrations:a}),n}(r=function(e){var n=t.Class.getObject(e,t.Class.root);if(t.isFunction(n)||(n=t.Class.getClass(e)),!n)throw"Unable to read "+e+" from JSON: there is no class by that name";return n}(e.$class),e,n.report),t.LinkedList&&r.isA(t.LinkedList)){for(s=n.objects[e.$id]=new r,a=0;a<e.items.length;a++)s.add(o(e.items[a],n));return s}for(u in s=n.objects[e.$id]=r.isA("gamecore.DualPooled")?t.DualPool.acquire(r):r.isA("gamecore.Pooled")?t.Pool.acquire(r):r.blankInstance(),e)"$class"!=u&&"$id"!=u&&"$version"!=u&&(s[u]=o(e[u],n));return s};t.extend(e,{serialize:function(t){return r(t,s?{ids:new Map,count:0}:{objects:[],ids:[],count:0})},fromJSON:function(t,e){return o("string"==typeof t?JSON.parse(t):t,{objects:{},report:e})}}),e.prototype.toJSON=function(){return e.serialize(this)}}(p),p.Device=p.Base.extend("gamecore.Device",{environment:"unknown",isBrowser:!1,isWorker:!1,isNode:!1,pixelRatio:0,isiPhone:!1,isiPhone4:!1,isiPad:!1,isiPod:!1,isAndroid:!1,isTouch:!1,isFirefox:!1,isChrome:!1,isOpera:!1,isIE:!1,ieVersion:0,requestAnimFrame:null,hasMemoryProfiling:!1,canPlayOgg:!1,canPlayMP3:!1,canPlayWav:!1,init:function(){var t,e,n=p.global,i=("undefined"!=typeof navigator&&navigator.userAgent||"").toLowerCase();"undefined"!=typeof document?this.environment="browser":"function"==typeof importScripts?this.environment="worker":"undefined"!=typeof process&&process.versions&&process.versions.node&&(this.environment="node"),this.isBrowser="browser"==this.environment,this.isWorker="worker"==this.environment,this.isNode="node"==this.environment,this.pixelRatio=n.devicePixelRatio||1,this.isiPhone=-1!=i.indexOf("iphone"),this.isiPod=-1!=i.indexOf("ipod"),this.isiPhone4=2==this.pixelRatio&&this.isiPhone,this.isiPad=-1!=i.indexOf("ipad"),this.isAndroid=-1!=i.indexOf("android"),this.isFirefox=-1!=i.indexOf("firefox"),this.isChrome=-1!=i.indexOf("chrome"),this.isOpera=-1!=i.indexOf("opera"),this.isTouch=this.isBrowser&&"ontouchstart"in n,this.isiOS=this.isiPhone||this.iPad||this.isiPod,(null!=n.performance&&n.performance.memory||this.isNode&&process.memoryUsage)&&(this.hasMemoryProfiling=!0),/msie (\d+\.\d+);/.test(i)&&(this.ieVersion=new Number(RegExp.$1),this.isIE=!0);try{var s=new Audio;s.canPlayType("audio/ogg")&&(this.canPlayOgg=!0),s.canPlayType("audio/mpeg")&&(this.canPlayMP3=!0),s.canPlayType("audio/x-wav")&&(this.canPlayWav=!0)}catch(t){}this.requestAnimFrame=(t=0,e=n.requestAnimationFrame||n.webkitRequestAnimationFrame||n.mozRequestAnimationFrame||n.oRequestAnimationFrame||n.msRequestAnimationFrame||function(e,i){var s=Date.now(),r=Math.max(0,16-(s-t));t=s+r,0==r&&n.setImmediate?n.setImmediate(function(){e(Date.now())}):n.setTimeout(function(){e(Date.now())},r)},function(t,i){e.apply(n,[t,i])})},canPlay:function(t){return!("mp3"!==t.toLowerCase()||!this.canPlayMP3)||(!("ogg"!==t.toLowerCase()||!this.canPlayOgg)||!("wav"!==t.toLowerCase()||!this.canPlayWav))},getUsedHeap:function(){return this.hasMemoryProfiling?this.isNode?process.memoryUsage().heapUsed:p.global.performance.memory.usedJSHeapSize:0},getTotalHeap:function(){return this.hasMemoryProfiling?this.isNode?process.memoryUsage().heapTotal:p.global.performance.memory.totalJSHeapSize:0}},{}),p.HashList=p.Base.extend("gamecore.HashList",{},{hashtable:null,init:function(){this.hashtable=new p.Hashtable},add:function(t,e){var n=this.hashtable.get(t);null==n&&(n=new pc.LinkedList,this.hashtable.put(t,n)),n.add(e)},remove:function(t,e){var n=this.hashtable.get(t);if(null==n)throw"No list for a key in hashlist when removing";n.remove(e)},get:function(t){return this.hashtable.get(t)}}),p.Hashtable=function(){var t="function",e=typeof Array.prototype.splice==t?function(t,e){t.splice(e,1)}:function(t,e){var n,i,s;if(e===t.length-1)t.length=e;else for(n=t.slice(e+1),t.length=e,i=0,s=n.length;i<s;++i)t[e+i]=n[i]};function n(e){var i;if("string"==typeof e)return e;if(typeof e.hashCode==t)return"string"==typeof(i=e.hashCode())?i:n(i);if(typeof e.toString==t)return e.toString();try{return String(e)}catch(t){return Object.prototype.toString.call(e)}}function i(t,e){return t.equals(e)}function s(e,n){return typeof n.equals==t?n.equals(e):e===n}function r(t){return function(e){if(null===e)throw new Error("null is not a valid "+t);if(void 0===e)throw new Error(t+" must not be undefined")}}var o=r("key"),a=r("value");function u(t,e,n,i){this[0]=t,this.entries=[],this.addEntry(e,n),null!==i&&(this.getEqualityFunction=function(){return i})}function l(t){return function(e){for(var n,i=this.entries.length,s=this.getEqualityFunction(e);i--;)if(s(e,(n=this.entries[i])[0]))switch(t){case 0:return!0;case 1:return n;case 2:return[i,n[1]]}return!1}}function f(t){return function(e){for(var n=e.length,i=0,s=this.entries.length;i<s;++i)e[n+i]=this.entries[i][t]}}function h(t,e){var n=t[e];return n&&n instanceof u?n:null}return u.prototype={getEqualityFunction:function(e){return typeof e.equals==t?i:s},getEntryForKey:l(1),getEntryAndIndexForKey:l(2),removeEntryForKey:function(t){var n=this.getEntryAndIndexForKey(t);return n?(e(this.entries,n[0]),n[1]):null},addEntry:function(t,e){this.entries[this.entries.length]=[t,e]},keys:f(0),values:f(1),getEntries:function(t){for(var e=t.length,n=0,i=this.entries.length;n<i;++n)t[e+n]=this.entries[n].slice(0)},containsKey:l(0),containsValue:function(t){for(var e=this.entries.length;e--;)if(t===this.entries[e][1])return!0;return!1}},function i(s,r){var l=this,f=[],c={},d=typeof s==t?s:n,p=typeof r==t?r:null;this.put=function(t,e){o(t),a(e);var n,i,s=d(t),r=null;return(n=h(c,s))?(i=n.getEntryForKey(t))?(r=i[1],i[1]=e):n.addEntry(t,e):(n=new u(s,t,e,p),f[f.length]=n,c[s]=n),r},this.get=function(t){o(t);var e=d(t),n=h(c,e);if(n){var i=n.getEntryForKey(t);if(i)return i[1]}return null},this.containsKey=function(t){o(t);var e=d(t),n=h(c,e);return!!n&&n.containsKey(t)},this.containsValue=function(t){a(t);for(var e=f.length;e--;)if(f[e].containsValue(t))return!0;return!1},this.clear=function(){f.length=0,c={}},this.isEmpty=function(){return!f.length};var y=function(t){return function(){for(var e=[],n=f.length;n--;)f[n][t](e);return e}};this.keys=y("keys"),this.values=y("values"),this.entries=y("getEntries"),this.remove=function(t){o(t);var n,i=d(t),s=null,r=h(c,i);return r&&null!==(s=r.removeEntryForKey(t))&&(r.entries.length||(n=function(t,e){for(var n=t.length;n--;)if(e===t[n][0])return n;return null}(f,i),e(f,n),delete c[i])),s},this.size=function(){for(var t=0,e=f.length;e--;)t+=f[e].entries.length;return t},this.each=function(t){for(var e,n=l.entries(),i=n.length;i--;)t((e=n[i])[0],e[1])},this.putAll=function(e,n){for(var i,s,r,o,a=e.entries(),u=a.length,f=typeof n==t;u--;)s=(i=a[u])[0],r=i[1],f&&(o=l.get(s))&&(r=n(s,o,r)),l.put(s,r)},this.clone=function(){var t=new i(s,r);return t.putAll(l),t},this.toString=function(){for(var t="",e=this.keys(),n=0;n<e.length;n++){var i=this.get(e[n]);t+=e[n].toString()+" = "+i.toString()+"\n"}return t}}}(),p.LinkedListNode=p.Base("gamecore.LinkedNode",{},{obj:null,nextLinked:null,prevLinked:null,free:!0,next:function(){return this.nextLinked},object:function(){return this.obj},prev:function(){return this.prevLinked}}),p.LinkedList=p.Base("gamecore.LinkedList",{},{first:null,last:null,count:0,objToNodeMap:null,init:function(){this._super(),this.objToNodeMap=new p.Hashtable},getNode:function(t){return this.objToNodeMap.get(t.getUniqueId())},addNode:function(t){var e=new p.LinkedNode;return e.obj=t,e.prevLinked=null,e.nextLinked=null,e.free=!1,this.objToNodeMap.put(t.getUniqueId(),e),e},add:function(t){var e=this.getNode(t);if(null==e)e=this.addNode(t);else{if(0==e.free)throw"Attempting to add object: "+t.getUniqueId()+" twice to list "+this.getUniqueId();e.obj=t,e.free=!1,e.nextLinked=null,e.prevLinked=null}if(null==this.first)this.first=e,this.last=e,e.nextLinked=null,e.prevLinked=null;else{if(null==this.last)throw"Hmm, no last in the list -- that shouldn't happen here";this.last.nextLinked=e,e.prevLinked=this.last,this.last=e,e.nextLinked=null}this.count++,this.showDebug&&this.dump("after add")},has:function(t){var e=this.getNode(t);return!(null==e||1==e.free)},moveUp:function(t){this.dump("before move up");var e=this.getNode(t);if(!e)throw"Oops, trying to move an object that isn't in the list";if(null!=e.prevLinked){var n=e.prevLinked,i=n.prevLinked;e==this.last&&(this.last=n);var s=e.nextLinked;i&&(i.nextLinked=e),e.nextLinked=n,e.prevLinked=n.prevLinked,n.nextLinked=s,n.prevLinked=e,this.first==n&&(this.first=e)}},moveDown:function(t){var e=this.getNode(t);if(!e)throw"Oops, trying to move an object that isn't in the list";if(null!=e.nextLinked){var n=e.nextLinked;this.moveUp(n.obj),this.last==n&&(this.last=e)}},sort:function(t){for(var e=[],n=this.first;n;)e.push(n.object()),n=n.next();this.clear(),e.sort(t);for(var i=0;i<e.length;i++)this.add(e[i])},remove:function(t){this.showDebug&&this.dump("before remove of "+t);var e=this.getNode(t);return null!=e&&1!=e.free&&(null!=e.prevLinked&&(e.prevLinked.nextLinked=e.nextLinked),null!=e.nextLinked&&(e.nextLinked.prevLinked=e.prevLinked),null==e.prevLinked&&(this.first=e.nextLinked),null==e.nextLinked&&(this.last=e.prevLinked),e.free=!0,e.prevLinked=null,e.nextLinked=null,this.count--,this.showDebug&&this.dump("after remove"),!0)},clear:function(){for(var t=this.first;null!=t;)t.free=!0,t=t.nextLinked;this.first=null,this.count=0},length:function(){return this.count},dump:function(t){this.debug("===================="+t+"=====================");for(var e=this.first;null!=e;)this.debug("{"+e.obj.toString()+"} previous="+(e.prevLinked?e.prevLinked.obj:"NULL")),e=e.next();this.debug("==================================="),this.debug("Last: {"+(this.last?this.last.obj:"NULL")+"} First: {"+(this.first?this.first.obj:"NULL")+"}")}}),p.PerformanceMeasure=p.Base.extend("gamecore.PerformanceMeasure",{history:[],clearHistory:function(){history.length=0}},{timeStart:0,timeEnd:0,timeDelta:0,memStart:0,memEnd:0,memDelta:0,description:null,init:function(t){this.description=t,this.start(),this.Class.history.push(this)},start:function(){this.timeStart=Date.now(),this.memStart=p.Device.getUsedHeap()},end:function(){return this.timeEnd=Date.now(),this.timeDelta=this.timeEnd-this.timeStart,this.memEnd=p.Device.getUsedHeap(),this.memEnd<this.memStart?this.memDelta=0:this.memDelta=this.memEnd-this.memStart,this.toString()},toString:function(){return this.description+" took "+this.timeDelta+"ms, "+(0==this.memDelta?"unknown":this.memDelta)+" byte(s)"}}),p.Pool=p.Base.extend("gamecore.Pool",{staticInheritance:{pools:"reset",totalPooled:"shared",totalUsed:"shared"},INITIAL_POOL_SIZE:1,pools:new p.Hashtable,totalPooled:0,totalUsed:0,acquire:function(t){p.Class.adopt(t);var e=this.getPool(t);return null!=e&&null!=e||(e=new p.Pool(t,this.INITIAL_POOL_SIZE),this.pools.put(t.fullName,e)),e.acquire()},release:function(t){var e=this.pools.get(t.Class.fullName);if(null==e)throw"Oops, trying to release an object of type "+t.Class.fullName+" but no pool exists. Did you new an object instead of using create.";e.release(t)},getPool:function(t){return this.pools.get(t.fullName)},getStats:function(){for(var t="",e=this.pools.keys(),n=0;n<e.length;n++){var i=e[n];t+=i+": "+this.pools.get(i).getStats()+"\n"}return t}},{freeList:null,expansion:1,tracing:!1,traces:null,init:function(t,e){this._super(),this.classType=t,this.freeList=[],this.expand(e)},startTracing:function(){this.tracing||(this.tracing=!0,this.traces?this.traces.clear():this.traces=new p.Hashtable)},stopTracing:function(){this.tracing=!1},expand:function(t){p.Pool.totalPooled+=t;for(var e=0;e<t;e++)this.freeList.push(new this.classType)},getFreeCount:function(){return this.freeList.length},acquire:function(){if(this.freeList.length<=0&&(this.expansion=Math.round(1.2*this.expansion)+1,this.expand(this.expansion)),this.tracing){for(var t=y(),e=t.length-1;0==t[e].indexOf("Class.addTo")&&e>0;)e--;var n=this.traces.get(t[e]);null==n?this.traces.put(t[e],{value:1}):n.value++}var i=this.freeList.pop();return i.destroyed=!1,i.markDirty(),i},release:function(t){this.freeList.push(t)},each:function(t){for(var e=0;e<this.freeList.length;e++)t(this.freeList[e])},getStats:function(){var t=this.Class.fullName+" stats: "+this.freeList.length+" free.";if(this.tracing){t+="TRACING\n";var e=this.traces.keys();for(var n in e)t+=e[n]+" ("+this.traces.get(e[n]).value+")\n"}return t},dump:function(t){this.info("================== "+t+" ==================="),this.info("FREE"),this.freeList.dump()},size:function(){return this.freeList.length},getFreeList:function(){return this.freeList}}),p.DualPool=p.Pool.extend("gamecore.DualPool",{acquire:function(t){p.Class.adopt(t);var e=this.getPool(t);return null!=e&&null!=e||(e=new p.DualPool(t,this.INITIAL_POOL_SIZE),this.pools.put(t.fullName,e)),e.acquire()},getStats:function(){for(var t="",e=this.pools.keys(),n=0;n<e.length;n++){var i=e[n],s=this.pools.get(i);t+=i+" (free: "+s.freeList.length()+" used: "+s.usedList.length()+")\n"}return t}},{freeList:null,usedList:null,init:function(t,e){this.classType=t,this.usedList=new p.LinkedList,this.freeList=new p.LinkedList,this.expand(e)},expand:function(t){p.Pool.totalPooled+=t;for(var e=0;e<t;e++)this.freeList.add(new this.classType)},returnObj:null,acquire:function(){if(null==this.freeList.first&&this.expand(Math.round(this.size()/5)+1),this.returnObj=this.freeList.first.obj,this.freeList.remove(this.returnObj),this.returnObj.destroyed=!1,this.returnObj.markDirty(),this.usedList.add(this.returnObj),this.tracing){for(var t=y(),e=t.length-1;0==t[e].indexOf("Class.addTo")&&e>0;)e--;var n=this.traces.get(t[e]);null==n?this.traces.put(t[e],{value:1}):n.value++}return this.returnObj},release:function(t){this.freeList.add(t),this.usedList.remove(t)},each:function(t){var e;for(e=this.freeList.first;e;e=e.nextLinked)t(e.obj);for(e=this.usedList.first;e;e=e.nextLinked)t(e.obj)},dump:function(t){this.info("================== "+t+" ==================="),this.info("FREE"),this.freeList.dump(),this.info("USED"),this.usedList.dump()},size:function(){return this.freeList.count+this.usedList.count},getUsedList:function(){return this.usedList}}),p.Pooled=p.Base("gamecore.Pooled",{create:function(){return p.Pool.acquire(this)},getPool:function(){return p.Pool.getPool(this)}},{destroyed:!1,init:function(){this._super()},release:function(){this.onRelease(),this.destroyed=!0,p.Pool.release(this)},onRelease:function(){}}),p.DualPooled=p.Base("gamecore.DualPooled",{create:function(){return p.DualPool.acquire(this)},getPool:function(){return p.DualPool.getPool(this)}},{destroyed:!1,init:function(){this._super()},release:function(){this.onRelease(),this.destroyed=!0,p.DualPool.release(this)},onRelease:function(){}}),p.Class.reloaded.add(function(t,e){p.Class.walkHierarchy(t,function(t){var n=p.Pool.getPool(t)||p.DualPool.getPool(t);n&&n.each(e)})}),p.BinaryCodec=p.Base.extend("gamecore.BinaryCodec",{INITIAL_SIZE:1024,NUMBERS:{int8:{size:1,get:"getInt8",set:"setInt8"},uint8:{size:1,get:"getUint8",set:"setUint8"},int16:{size:2,get:"getInt16",set:"setInt16"},uint16:{size:2,get:"getUint16",set:"setUint16"},int32:{size:4,get:"getInt32",set:"setInt32"},uint32:{size:4,get:"getUint32",set:"setUint32"},float32:{size:4,get:"getFloat32",set:"setFloat32"},float64:{size:8,get:"getFloat64",set:"setFloat64"},number:{size:8,get:"getFloat64",set:"setFloat64"},int:{size:8,get:"getFloat64",set:"setFloat64"}},NULL_LENGTH:65535,classId:function(t){for(var e=t.fullName,n=2166136261,i=0;i<e.length;i++)n=16777619*(n^=e.charCodeAt(i))>>>0;return n||1}},{buffer:null,view:null,bytes:null,offset:0,plans:null,classes:null,objects:null,decoded:null,source:null,readView:null,init:function(t){this._super(),this.plans={},this.classes={},this.objects={},this.decoded=[],this.allocate(t||this.Class.INITIAL_SIZE)},allocate:function(t){var e=this.bytes;this.buffer=new ArrayBuffer(t),this.view=new DataView(this.buffer),this.bytes=new Uint8Array(this.buffer),e&&this.bytes.set(e.subarray(0,this.offset))},ensure:function(t){this.offset+t>this.buffer.byteLength&&this.allocate(Math.max(2*this.buffer.byteLength,this.offset+t))},getPlan:function(t){var e,n,i=this.Class.classId(t),s=this.plans[i];if(s&&s.klass===t)return s;for(e in s={id:i,klass:t,fields:[]},t.schema)if(!1!==(n=t.schema[e]).binary){if("array"==n.type&&"array"==n.items)throw t.fullName+"."+e+" is an array of arrays, which can't be written in binary (use binary:false to leave it out)";s.fields.push({name:e,type:this.getType(t,e,n.type),items:"array"==n.type?this.getType(t,e,n.items):null})}return s.maskSize=Math.ceil(s.fields.length/8),this.classes[i]=t,this.plans[i]=s},getType:function(t,e,n){if(this.Class.NUMBERS[n]||"string"==n||"array"==n)return n;if("bool"==n||"boolean"==n)return"bool";if(p.isFunction(n))return"ref";throw t.fullName+"."+e+" has a type ("+n+") that can't be written in binary (use binary:false to leave it out)"},getClass:function(t){if(!this.classes[t]){for(var e,n=p.Class.getClassNames(),i=0;i<n.length;i++)e=p.Class.getClass(n[i]),this.classes[this.Class.classId(e)]=e;if(!this.classes[t])throw"Unable to read binary data: there is no class with id "+t}return this.classes[t]},encode:function(t,e){var n=p.isArray(t),i=n?t.length:1;if(i>65535)throw"Unable to write "+i+" objects in binary (the most is 65535)";this.offset=0,this.ensure(2),this.view.setUint16(0,i,!0),this.offset=2;for(var s=0;s<i;s++)this.writeObject(n?t[s]:t,n?e&&e[s]:e);return this.offset},writeObject:function(t,e){var n,i,s,r=this.getPlan(t.Class),o=r.fields;if(this.ensure(9+r.maskSize),this.view.setUint32(this.offset,r.id,!0),this.view.setUint32(this.offset+4,t.objectId,!0),t.destroyed)return this.view.setUint8(this.offset+8,2),void(this.offset+=9);if(this.view.setUint8(this.offset+8,e?1:0),this.offset+=9,e){for(n=this.offset,s=0;s<r.maskSize;s++)this.bytes[n+s]=0;for(this.offset+=r.maskSize,s=0;s<o.length;s++)i=o[s],this.isSame(t[i.name],e[i.name])||(this.bytes[n+(s>>3)]|=1<<(7&s),this.writeValue(i.type,t[i.name],i.items))}else for(s=0;s<o.length;s++)this.writeValue(o[s].type,t[o[s].name],o[s].items)},isSame:function(t,e){if(!p.isArray(t)||!p.isArray(e))return t===e;if(t.length!=e.length)return!1;for(var n=0;n<t.length;n++)if(t[n]!==e[n])return!1;return!0},writeValue:function(t,e,n){var i,s,r,o=this.Class.NUMBERS[t];if(o)this.ensure(o.size),this.view[o.set](this.offset,e||0,!0),this.offset+=o.size;else if("bool"==t)this.ensure(1),this.view.setUint8(this.offset++,e?1:0);else if("ref"==t)this.ensure(8),this.view.setUint32(this.offset,e?this.getPlan(e.Class).id:0,!0),this.view.setUint32(this.offset+4,e?e.objectId:0,!0),this.offset+=8;else if(null==e)this.ensure(2),this.view.setUint16(this.offset,this.Class.NULL_LENGTH,!0),this.offset+=2;else if("array"==t){if(e.length>=this.Class.NULL_LENGTH)throw"Unable to write an array of "+e.length+" items in binary (the most is 65534)";for(this.ensure(2),this.view.setUint16(this.offset,e.length,!0),this.offset+=2,i=0;i<e.length;i++)this.writeValue(n,e[i])}else{for(e=String(e),i=0,r=0;i<e.length;i++)r+=(s=e.charCodeAt(i))<128?1:s<2048?2:s>=55296&&s<56320?(i++,4):3;if(r>=this.Class.NULL_LENGTH)throw"Unable to write a string of "+r+" bytes in binary (the most is 65534)";for(this.ensure(2+r),this.view.setUint16(this.offset,r,!0),this.offset+=2,i=0;i<e.length;i++)(s=e.charCodeAt(i))>=55296&&s<56320&&(s=65536+(s-55296<<10)+(e.charCodeAt(++i)-56320)),s<128?this.bytes[this.offset++]=s:s<2048?(this.bytes[this.offset++]=192|s>>6,this.bytes[this.offset++]=128|63&s):s<65536?(this.bytes[this.offset++]=224|s>>12,this.bytes[this.offset++]=128|s>>6&63,this.bytes[this.offset++]=128|63&s):(this.bytes[this.offset++]=240|s>>18,this.bytes[this.offset++]=128|s>>12&63,this.bytes[this.offset++]=128|s>>6&63,this.bytes[this.offset++]=128|63&s)}},snapshot:function(t,e){var n,i,s,r,o,a=this.getPlan(t.Class).fields;for(e=e||{},r=0;r<a.length;r++)if(i=t[n=a[r].name],p.isArray(i))for((s=p.isArray(e[n])?e[n]:e[n]=[]).length=i.length,o=0;o<i.length;o++)s[o]=i[o];else e[n]=i;return e},decode:function(t){t!==this.source&&(this.source=t,this.readView=t instanceof ArrayBuffer?new DataView(t):new DataView(t.buffer,t.byteOffset,t.byteLength)),this.offset=2,this.decoded.length=0;for(var e=0,n=this.readView.getUint16(0,!0);e<n;e++)this.decoded.push(this.readObject());return this.decoded},readObject:function(){var t,e,n,i=this.readView,s=i.getUint32(this.offset,!0),r=i.getUint32(this.offset+4,!0),o=i.getUint8(this.offset+8),a=this.getPlan(this.getClass(s)),u=a.fields;if(this.offset+=9,t=this.getObject(s,r),2&o)return delete this.objects[s][r],t.release&&t.release(),t;for(e=this.offset,1&o&&(this.offset+=a.maskSize),n=0;n<u.length;n++)1&o&&!(i.getUint8(e+(n>>3))&1<<(7&n))||(t[u[n].name]=this.readValue(u[n].type,u[n].items,t[u[n].name]));return t},getObject:function(t,e){var n,i=this.objects[t]||(this.objects[t]={});return i[e]||(n=this.getClass(t),i[e]=n.isA("gamecore.DualPooled")?p.DualPool.acquire(n):n.isA("gamecore.Pooled")?p.Pool.acquire(n):n.blankInstance()),i[e]},readValue:function(t,e,n){var i,s,r,o,a,u=this.readView,l=this.Class.NUMBERS[t];if(l)return i=u[l.get](this.offset,!0),this.offset+=l.size,i;if("bool"==t)return 0!=u.getUint8(this.offset++);if("ref"==t)return i=u.getUint32(this.offset,!0),r=u.getUint32(this.offset+4,!0),this.offset+=8,i?this.getObject(i,r):null;if(s=u.getUint16(this.offset,!0),this.offset+=2,s==this.Class.NULL_LENGTH)return null;if("array"==t){for((i=p.isArray(n)?n:[]).length=s,r=0;r<s;r++)i[r]=this.readValue(e);return i}for(i="",a=this.offset+s;this.offset<a;)(o=u.getUint8(this.offset++))>=240?o=(7&o)<<18|(63&u.getUint8(this.offset++))<<12|(63&u.getUint8(this.offset++))<<6|63&u.getUint8(this.offset++):o>=224?o=(15&o)<<12|(63&u.getUint8(this.offset++))<<6|63&u.getUint8(this.offset++):o>=192&&(o=(31&o)<<6|63&u.getUint8(this.offset++)),o>=65536?(o-=65536,i+=String.fromCharCode(55296+(o>>10),56320+(1023&o))):i+=String.fromCharCode(o);return i}}),y.implementation=function(){},y.implementation.prototype={run:function(t,e){return t=t||this.createException(),"other"===(e=e||this.mode(t))?this.other(arguments.callee):this[e](t)},createException:function(){try{this.undef()}catch(t){return t}},mode:function(e){return e.arguments&&e.stack?"chrome":"string"==typeof e.message&&void 0!==t&&t.opera?e.stacktrace?e.message.indexOf("\n")>-1&&e.message.split("\n").length>e.stacktrace.split("\n").length?"opera9":e.stack?e.stacktrace.indexOf("called from line")<0?"opera10b":"opera11":"opera10a":"opera9":e.stack?"firefox":"other"},instrumentFunction:function(e,n,i){var s=(e=e||t)[n];e[n]=function(){return i.call(this,y().slice(4)),e[n]._instrumented.apply(this,arguments)},e[n]._instrumented=s},deinstrumentFunction:function(t,e){t[e].constructor===Function&&t[e]._instrumented&&t[e]._instrumented.constructor===Function&&(t[e]=t[e]._instrumented)},chrome:function(t){var e=(t.stack+"\n").replace(/^\S[^\(]+?[\n$]/gm,"").replace(/^\s+(at eval )?at\s+/gm,"").replace(/^([^\(]+?)([\n$])/gm,"{anonymous}()@$1$2").replace(/^Object.<anonymous>\s*\(([^\)]+)\)/gm,"{anonymous}()@$1").split("\n");return e.pop(),e},firefox:function(t){return t.stack.replace(/(?:\n@:0)?\s+$/m,"").replace(/^\(/gm,"{anonymous}(").split("\n")},opera11:function(t){for(var e=/^.*line (\d+), column (\d+)(?: in (.+))? in (\S+):$/,n=t.stacktrace.split("\n"),i=[],s=0,r=n.length;s<r;s+=2){var o=e.exec(n[s]);if(o){var a=o[4]+":"+o[1]+":"+o[2],u=o[3]||"global code";u=u.replace(/<anonymous function: (\S+)>/,"$1").replace(/<anonymous function>/,"{anonymous}"),i.push(u+"@"+a+" -- "+n[s+1].replace(/^\s+/,""))}}return i},opera10b:function(t){for(var e=/^(.*)@(.+):(\d+)$/,n=t.stacktrace.split("\n"),i=[],s=0,r=n.length;s<r;s++){var o=e.exec(n[s]);if(o){var a=o[1]?o[1]+"()":"global code";i.push(a+"@"+o[2]+":"+o[3])}}return i},opera10a:function(t){for(var e=/Line (\d+).*script (?:in )?(\S+)(?:: In function (\S+))?$/i,n=t.stacktrace.split("\n"),i=[],s=0,r=n.length;s<r;s+=2){var o=e.exec(n[s]);if(o){var a=o[3]||"{anonymous}";i.push(a+"()@"+o[2]+":"+o[1]+" -- "+n[s+1].replace(/^\s+/,""))}}return i},opera9:function(t){for(var e=/Line (\d+).*script (?:in )?(\S+)/i,n=t.message.split("\n"),i=[],s=2,r=n.length;s<r;s+=2){var o=e.exec(n[s]);o&&i.push("{anonymous}()@"+o[2]+":"+o[1]+" -- "+n[s+1].replace(/^\s+/,""))}return i},other:function(t){for(var e,n,i="{anonymous}",s=/function\s*([\w\-$]+)?\s*\(/i,r=[];t&&t.arguments&&r.length<10;)e=s.test(t.toString())&&RegExp.$1||i,n=Array.prototype.slice.call(t.arguments||[]),r[r.length]=e+"("+this.stringifyArguments(n)+")",t=t.caller;return r},stringifyArguments:function(t){for(var e=[],n=Array.prototype.slice,i=0;i<t.length;++i){var s=t[i];void 0===s?e[i]="undefined":null===s?e[i]="null":s.constructor&&(s.constructor===Array?s.length<3?e[i]="["+this.stringifyArguments(s)+"]":e[i]="["+this.stringifyArguments(n.call(s,0,1))+"..."+this.stringifyArguments(n.call(s,-1))+"]":s.constructor===Object?e[i]="#object":s.constructor===Function?e[i]="#function":s.constructor===String?e[i]='"'+s+'"':s.constructor===Number&&(e[i]=s))}return e.join(",")},sourceCache:{},ajax:function(t){var e=this.createXMLHTTPObject();if(e)try{return e.open("GET",t,!1),e.send(null),e.responseText}catch(t){}return""},createXMLHTTPObject:function(){for(var t,e=[function(){return new XMLHttpRequest},function(){return new ActiveXObject("Msxml2.XMLHTTP")},function(){return new ActiveXObject("Msxml3.XMLHTTP")},function(){return new ActiveXObject("Microsoft.XMLHTTP")}],n=0;n<e.length;n++)try{return t=e[n](),this.createXMLHTTPObject=e[n],t}catch(t){}},isSameDomain:function(t){return"undefined"!=typeof location&&-1!==t.indexOf(location.hostname)},getSource:function(t){return t in this.sourceCache||(this.sourceCache[t]=this.ajax(t).split("\n")),this.sourceCache[t]},guessAnonymousFunctions:function(t){for(var e=0;e<t.length;++e){var n=t[e],i=/\{anonymous\}\(.*\)@(.*)/.exec(n);if(i){var s=/^(.*?)(?::(\d+))(?::(\d+))?(?: -- .+)?$/.exec(i[1]);if(s){var r=s[1],o=s[2],a=s[3]||0;if(r&&this.isSameDomain(r)&&o){var u=this.guessAnonymousFunction(r,o,a);t[e]=n.replace("{anonymous}",u)}}}}return t},guessAnonymousFunction:function(t,e,n){var i;try{i=this.findFunctionName(this.getSource(t),e)}catch(e){i="getSource failed with url: "+t+", exception: "+e.toString()}return i},findFunctionName:function(t,e){for(var n,i,s,r=/function\s+([^(]*?)\s*\(([^)]*)\)/,o=/['"]?([0-9A-Za-z_]+)['"]?\s*[:=]\s*function\b/,a=/['"]?([0-9A-Za-z_]+)['"]?\s*[:=]\s*(?:eval|new Function)\b/,u="",l=Math.min(e,20),f=0;f<l;++f)if((s=(n=t[e-f-1]).indexOf("//"))>=0&&(n=n.substr(0,s)),n){if(u=n+u,(i=o.exec(u))&&i[1])return i[1];if((i=r.exec(u))&&i[1])return i[1];if((i=a.exec(u))&&i[1])return i[1]}return"(?)"}},p});
\ No newline at end of file
@@ -22,7 +22,36 @@
 gamecore.Base = gamecore.Class('gamecore.Base',
     /** @lends gamecore.Base */
     {
+        /** each class counts its own objects, starting from 0 */
+        staticInheritance:{ totalObjects:'reset' },
+
         totalObjects:0,
+
+        /**
+         * Version of the class's serialized data (see toJSON). Bump it when fields are added, renamed or
+         * changed, and add a migration to upgrade data written out by the previous version.
+         */
+        version:0,
+
+        /**
+         * Functions that upgrade serialized data from older versions of the class, by the version they upgrade
+         * to. When older data is read in (see fromJSON), each one from its version up is run in turn. They're
+         * given the data (its fields), and can change it or return new data (which keeps the object's $class and
+         * $id, so references to it still work). Subclasses inherit the version and migrations of the class they
+         * extend, so one that declares its own version needs its own migrations.
+         * <pre><code>
+         * var Fighter = gamecore.Base.extend('Fighter',
+         * {
+         *     version: 2,
+         *     migrations:
+         *     {
+         *         1: function(data) { data.hp = data.health; delete data.health; },
+         *         2: function(data) { data.items = data.items || []; }
+         *     }
+         * }, {...});
+         * </code></pre>
+         */
+        migrations:{},
         WARN:'WARN',
         DEBUG:'DEBUG',
         ERROR:'ERROR',
@@ -90,7 +119,7 @@ gamecore.Base = gamecore.Class('gamecore.Base',
 
         /**
          * @returns {String} A hash matching this object. Override this to implement different
-         * kinds of object hashing in derived classes.
+         * kinds of object hashing in derived classes (or give them keys; see gamecore.Class.keys).
          */
         hashCode:function ()
         {
@@ -119,3 +148,301 @@ gamecore.Base = gamecore.Class('gamecore.Base',
             return this.Class.fullName + ' [id: ' + this.objectId + ']';
         }
     });
+
+/**
+ * Serialization: objects are written out as JSON, tagged with the fullName of their class, and read back in with
+ * fromJSON.
+ * <pre><code>
+ * var json = JSON.stringify(fighter);          // or fighter.toJSON() to get the data without stringifying it
+ * var copy = gamecore.Base.fromJSON(json);
+ * </code></pre>
+ * Fields holding other gamecore objects, arrays, plain objects, dates, typed arrays, gamecore.Hashtable's and
+ * gamecore.LinkedList's are written out too. Each gamecore object is only written out once; after that it's referred to by its uniqueId, so
+ * objects referred to from more than one place (or cyclic references) come back the same way. Use serialize to
+ * write out several objects together, so references between them are kept.
+ */
+(function (gc)
+{
+    var Base = gc.Base,
+
+        // fields that aren't written out: methods, ids and internals (starting with _)
+        isSkipped = function (object, name)
+        {
+            return name.charAt(0) == '_' || name == 'objectId' || name == 'uniqueId' ||
+                gc.isFunction(object[name]);
+        },
+
+        // names of the fields of a gamecore object to write out: the ones in its schema if it has one, otherwise
+        // its own fields and any observable or tracked ones (including inherited ones, whose values are kept in
+        // _values)
+        fieldsOf = function (object)
+        {
+            var names = [], klass = object.Class, schema = klass.schema, fields, name;
+            for (name in schema)
+                names.push(name);
+            if (names.length)
+                return names;
+
+            fields = (klass.observable || []).concat(klass.tracked || []);
+            for (name in object)
+                if ((object.hasOwnProperty(name) || fields.indexOf(name) != -1) && !isSkipped(object, name))
+                    names.push(name);
+            return names;
+        },
+
+        // the typed arrays that can be written out
+        typedArrays = ['Int8Array', 'Uint8Array', 'Uint8ClampedArray', 'Int16Array', 'Uint16Array', 'Int32Array',
+            'Uint32Array', 'Float32Array', 'Float64Array'],
+
+        // the kind of built-in object a value is, i.e. 'Date' or 'Float32Array'
+        kindOf = function (value)
+        {
+            return Object.prototype.toString.call(value).slice(8, -1);
+        },
+
+        hasMap = typeof Map != 'undefined',
+
+        // the objects written out so far, and their ids: a Map where there is one, otherwise a pair of arrays,
+        // which are slower to search
+        newWritten = function ()
+        {
+            return hasMap ? { ids:new Map(), count:0 } : { objects:[], ids:[], count:0 };
+        },
+
+        // the id an object was written out with (undefined if it hasn't been)
+        findWritten = function (written, object)
+        {
+            if (hasMap)
+                return written.ids.get(object);
+            for (var i = 0; i < written.objects.length; i++)
+                if (written.objects[i] === object)
+                    return written.ids[i];
+        },
+
+        addWritten = function (written, object, id)
+        {
+            if (hasMap)
+                written.ids.set(object, id);
+            else
+            {
+                written.objects.push(object);
+                written.ids.push(id);
+            }
+            written.count++;
+            return id;
+        },
+
+        encode = function (value, written)
+        {
+            var data, id, i, node, v, kind;
+
+            if (value == null || typeof value != 'object')
+                return gc.isFunction(value) ? undefined : value;
+
+            if (gc.isArray(value))
+            {
+                data = [];
+                for (i = 0; i < value.length; i++)
+                    data.push((v = encode(value[i], written)) === undefined ? null : v);
+                return data;
+            }
+
+            // gamecore objects and hash tables are written out once, and then referred to by id
+            if (value instanceof gc.Hashtable || value.Class && value.Class.fullName)
+            {
+                if ((id = findWritten(written, value)) !== undefined)
+                    return { $ref:id };
+                id = addWritten(written, value, value.uniqueId || '#' + written.count);
+
+                if (value instanceof gc.Hashtable)
+                {
+                    data = { $class:'gamecore.Hashtable', $id:id, entries:value.entries() };
+                    for (i = 0; i < data.entries.length; i++)
+                        data.entries[i] = [encode(data.entries[i][0], written), encode(data.entries[i][1], written)];
+                    return data;
+                }
+
+                data = { $class:value.Class.fullName, $id:id };
+                if (value.Class.version)
+                    data.$version = value.Class.version;
+                if (gc.LinkedList && value instanceof gc.LinkedList)
+                {
+                    data.items = [];
+                    for (node = value.first; node; node = node.nextLinked)
+                        data.items.push(encode(node.obj, written));
+                    return data;
+                }
+
+                var fields = fieldsOf(value);
+                for (i = 0; i < fields.length; i++)
+                    if ((data[fields[i]] = encode(value[fields[i]], written)) === undefined)
+                        delete data[fields[i]];
+                return data;
+            }
+
+            // dates and typed arrays are written out tagged with what they are
+            kind = kindOf(value);
+            if (kind == 'Date')
+                return { $date:value.toISOString() };
+            if (typedArrays.indexOf(kind) != -1)
+                return { $typed:kind, items:Array.prototype.slice.call(value) };
+            if (kind == 'DataView' || kind == 'ArrayBuffer')
+                throw 'Unable to write a ' + kind + ' out as JSON (use a typed array)';
+
+            data = {};
+            for (i in value)
+                if (value.hasOwnProperty(i) && (v = encode(value[i], written)) !== undefined)
+                    data[i] = v;
+            return data;
+        },
+
+        // finds a class by name, in its namespace (or the registry)
+        findClass = function (fullName)
+        {
+            var klass = gc.Class.getObject(fullName, gc.Class.root);
+            if (!gc.isFunction(klass))
+                klass = gc.Class.getClass(fullName);
+            if (!klass)
+                throw 'Unable to read ' + fullName + ' from JSON: there is no class by that name';
+            return klass;
+        },
+
+        // upgrades the data of an object written out by an older version of its class, one version at a time
+        migrate = function (klass, data, report)
+        {
+            var from = data.$version || 0, to = klass.version || 0, ran = [], migrated,
+                className = data.$class, id = data.$id;
+
+            if (from > to)
+                throw 'Unable to read ' + klass.fullName + ' from JSON: it was written by version ' + from +
+                    ' of the class, which only goes up to version ' + to;
+
+            for (var v = from + 1; v <= to; v++)
+            {
+                if (!klass.migrations || !gc.isFunction(klass.migrations[v])) continue;
+                if (!ran.length)
+                    data = gc.extend({}, data); // (the data passed in is left as it was)
+                migrated = klass.migrations[v].call(klass, data);
+                if (migrated && typeof migrated == 'object')
+                    data = migrated;
+                ran.push(v);
+            }
+
+            // (new data returned by a migration is still the same object, so references to it can be resolved)
+            if (ran.length)
+            {
+                data.$class = className;
+                data.$id = id;
+                data.$version = to;
+            }
+
+            if (report && from != to)
+                report.push({ className:klass.fullName, id:id, from:from, to:to, migrations:ran });
+            return data;
+        },
+
+        decode = function (data, read)
+        {
+            var object, klass, i, name;
+
+            if (data == null || typeof data != 'object')
+                return data;
+
+            if (gc.isArray(data))
+            {
+                object = [];
+                for (i = 0; i < data.length; i++)
+                    object.push(decode(data[i], read));
+                return object;
+            }
+
+            if (data.$ref !== undefined)
+            {
+                if (!read.objects.hasOwnProperty(data.$ref))
+                    throw 'Unable to read JSON: ' + data.$ref + ' is referred to before it\'s defined';
+                return read.objects[data.$ref];
+            }
+
+            if (data.$date !== undefined)
+                return new Date(data.$date);
+            if (data.$typed !== undefined)
+            {
+                if (typedArrays.indexOf(data.$typed) == -1)
+                    throw 'Unable to read JSON: ' + data.$typed + ' isn\'t a typed array';
+                return new gc.global[data.$typed](data.items);
+            }
+
+            if (data.$class === undefined)
+            {
+                object = {};
+                for (name in data)
+                    object[name] = decode(data[name], read);
+                return object;
+            }
+
+            if (data.$class == 'gamecore.Hashtable')
+            {
+                object = read.objects[data.$id] = new gc.Hashtable();
+                for (i = 0; i < data.entries.length; i++)
+                    object.put(decode(data.entries[i][0], read), decode(data.entries[i][1], read));
+                return object;
+            }
+
+            // pooled objects come from their pool; others are made without calling init, as their fields are set
+            // next (apart from linked lists, which are built by adding their items)
+            klass = findClass(data.$class);
+            data = migrate(klass, data, read.report);
+            if (gc.LinkedList && klass.isA(gc.LinkedList))
+            {
+                object = read.objects[data.$id] = new klass();
+                for (i = 0; i < data.items.length; i++)
+                    object.add(decode(data.items[i], read));
+                return object;
+            }
+
+            object = read.objects[data.$id] = klass.isA('gamecore.DualPooled') ? gc.DualPool.acquire(klass) :
+                klass.isA('gamecore.Pooled') ? gc.Pool.acquire(klass) : klass.blankInstance();
+
+            for (name in data)
+                if (name != '$class' && name != '$id' && name != '$version')
+                    object[name] = decode(data[name], read);
+            return object;
+        };
+
+    gc.extend(Base, {
+        /**
+         * Writes out a value (an object, or an array or plain object of them) as data JSON.stringify can handle.
+         * References between the objects are kept.
+         * @param {*} value Value to write out
+         * @return {*} The data
+         */
+        serialize:function (value)
+        {
+            return encode(value, newWritten());
+        },
+
+        /**
+         * Reads objects back in from JSON (or the data from toJSON or serialize). Classes are looked up by name,
+         * and pooled objects are taken from their pools; other objects are made without calling init (see
+         * gamecore.Class.blankInstance). Data written by older versions of a class is upgraded
+         * first (see migrations); data from a newer version than the class has throws.
+         * @param {String|Object} json JSON string or data
+         * @param {Array} [report] If given, an entry is added for each object that was upgraded, i.e.
+         * { className: 'Fighter', id: 'Fighter:3', from: 1, to: 3, migrations: [2, 3] }
+         * @return {*} The object (or whatever value was written out)
+         */
+        fromJSON:function (json, report)
+        {
+            return decode(typeof json == 'string' ? JSON.parse(json) : json, { objects:{}, report:report });
+        }
+    });
+
+    /**
+     * @return {Object} This object's data, tagged with its class name (JSON.stringify uses this)
+     */
+    Base.prototype.toJSON = function ()
+    {
+        return Base.serialize(this);
+    };
+
+})(gamecore);
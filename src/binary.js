@@ -0,0 +1,540 @@
+/**
+ * @class gamecore.BinaryCodec
+ * @description
+ * Writes gamecore objects to a compact binary form (and reads them back), for things like per-tick network state
+ * updates where JSON is too big. The fields written are the ones in the class's schema (see gamecore.Class.schema),
+ * in the order they're declared, using their types:
+ * <ul>
+ * <li>int8, uint8, int16, uint16, int32, uint32, float32 and float64 (number and int are written as float64)</li>
+ * <li>bool (or boolean) and string</li>
+ * <li>a class: a reference to another object, written as its id</li>
+ * <li>array, with the type of its items given by items, i.e. { type:'array', items:'uint16' } (they can't be
+ * arrays themselves)</li>
+ * </ul>
+ * Fields with binary:false in their schema are left out.
+ * <pre><code>
+ * var codec = new gamecore.BinaryCodec();
+ * var length = codec.encode(fighters);
+ * socket.send(codec.bytes.subarray(0, length));
+ *
+ * // on the other end (which keeps its own copy of each object, matched up by id)
+ * var fighters = codec.decode(message);
+ * </code></pre>
+ * Each codec writes into the same buffer every time (it only grows it when a message doesn't fit), so sending
+ * doesn't allocate. To only send what's changed, keep a snapshot of what was sent last and pass it to encode:
+ * <pre><code>
+ * codec.encode(fighter, last);
+ * codec.snapshot(fighter, last);
+ * </code></pre>
+ * Objects are created on the reading end when they first turn up (pooled ones are taken from their pools), and
+ * pooled objects released on the writing end are released back into their pools on the reading end.
+ */
+gamecore.BinaryCodec = gamecore.Base.extend('gamecore.BinaryCodec',
+    /** @lends gamecore.BinaryCodec */
+    {
+        /** Size (in bytes) a codec's buffer starts out at */
+        INITIAL_SIZE:1024,
+
+        /** The numeric types, with their size and the DataView methods that read and write them */
+        NUMBERS:{
+            int8:{ size:1, get:'getInt8', set:'setInt8' },
+            uint8:{ size:1, get:'getUint8', set:'setUint8' },
+            int16:{ size:2, get:'getInt16', set:'setInt16' },
+            uint16:{ size:2, get:'getUint16', set:'setUint16' },
+            int32:{ size:4, get:'getInt32', set:'setInt32' },
+            uint32:{ size:4, get:'getUint32', set:'setUint32' },
+            float32:{ size:4, get:'getFloat32', set:'setFloat32' },
+            float64:{ size:8, get:'getFloat64', set:'setFloat64' },
+            number:{ size:8, get:'getFloat64', set:'setFloat64' },
+            'int':{ size:8, get:'getFloat64', set:'setFloat64' }
+        },
+
+        /** Length written for strings and arrays that are null */
+        NULL_LENGTH:0xFFFF,
+
+        /**
+         * Gets the id a class is known by in binary data: a hash of its fullName, so it's the same everywhere.
+         * @param {Function} klass The class
+         * @return {Number} The id
+         */
+        classId:function (klass)
+        {
+            // FNV-1a
+            var name = klass.fullName, hash = 0x811c9dc5;
+            for (var i = 0; i < name.length; i++)
+            {
+                hash ^= name.charCodeAt(i);
+                hash = (hash * 0x01000193) >>> 0;
+            }
+            return hash || 1; // (0 is a null reference)
+        }
+    },
+    /** @lends gamecore.BinaryCodec.prototype */
+    {
+        /** The buffer messages are written into */
+        buffer:null,
+        /** DataView of the buffer */
+        view:null,
+        /** Bytes of the buffer (use bytes.subarray(0, length) to get a message) */
+        bytes:null,
+        /** Where the next value will be read or written */
+        offset:0,
+        /** Fields written for each class, by class id */
+        plans:null,
+        /** Classes, by class id */
+        classes:null,
+        /** The objects read in, by class id and then the id of the object on the writing end */
+        objects:null,
+        /** Objects read by the last decode (reused each time) */
+        decoded:null,
+        /** The source of the last decode, and a DataView of it */
+        source:null,
+        readView:null,
+
+        /**
+         * Constructs a codec.
+         * @param {Number} [size] Size (in bytes) its buffer starts out at
+         */
+        init:function (size)
+        {
+            this._super();
+            this.plans = {};
+            this.classes = {};
+            this.objects = {};
+            this.decoded = [];
+            this.allocate(size || this.Class.INITIAL_SIZE);
+        },
+
+        /**
+         * Makes a new buffer (keeping what's been written so far)
+         * @param {Number} size Size of the new buffer
+         */
+        allocate:function (size)
+        {
+            var old = this.bytes;
+            this.buffer = new ArrayBuffer(size);
+            this.view = new DataView(this.buffer);
+            this.bytes = new Uint8Array(this.buffer);
+            if (old)
+                this.bytes.set(old.subarray(0, this.offset));
+        },
+
+        /**
+         * Makes sure there's room to write more
+         * @param {Number} size Number of bytes about to be written
+         */
+        ensure:function (size)
+        {
+            if (this.offset + size > this.buffer.byteLength)
+                this.allocate(Math.max(this.buffer.byteLength * 2, this.offset + size));
+        },
+
+        /**
+         * Gets the fields written for a class (worked out the first time it's needed)
+         * @param {Function} klass The class
+         * @return {Object} The plan, as { id, klass, fields:[{ name, type, items }] }
+         */
+        getPlan:function (klass)
+        {
+            var id = this.Class.classId(klass), plan = this.plans[id], name, def;
+            if (plan && plan.klass === klass)
+                return plan;
+
+            plan = { id:id, klass:klass, fields:[] };
+            for (name in klass.schema)
+            {
+                def = klass.schema[name];
+                if (def.binary === false) continue;
+                if (def.type == 'array' && def.items == 'array')
+                    throw klass.fullName + '.' + name + ' is an array of arrays, which can\'t be written in binary ' +
+                        '(use binary:false to leave it out)';
+                plan.fields.push({
+                    name:name,
+                    type:this.getType(klass, name, def.type),
+                    items:def.type == 'array' ? this.getType(klass, name, def.items) : null
+                });
+            }
+            plan.maskSize = Math.ceil(plan.fields.length / 8);
+            this.classes[id] = klass;
+            return this.plans[id] = plan;
+        },
+
+        /**
+         * Checks that a type from a schema can be written, and gives back the one used
+         */
+        getType:function (klass, name, type)
+        {
+            if (this.Class.NUMBERS[type] || type == 'string' || type == 'array')
+                return type;
+            if (type == 'bool' || type == 'boolean')
+                return 'bool';
+            if (gamecore.isFunction(type))
+                return 'ref';
+            throw klass.fullName + '.' + name + ' has a type (' + type + ') that can\'t be written in binary ' +
+                '(use binary:false to leave it out)';
+        },
+
+        /**
+         * Finds the class with the given id
+         * @param {Number} id Class id (see classId)
+         * @return {Function} The class
+         */
+        getClass:function (id)
+        {
+            if (!this.classes[id])
+            {
+                var names = gamecore.Class.getClassNames(), klass;
+                for (var i = 0; i < names.length; i++)
+                {
+                    klass = gamecore.Class.getClass(names[i]);
+                    this.classes[this.Class.classId(klass)] = klass;
+                }
+                if (!this.classes[id])
+                    throw 'Unable to read binary data: there is no class with id ' + id;
+            }
+            return this.classes[id];
+        },
+
+        /**
+         * Writes objects into the buffer.
+         * @param {gamecore.Base|Array} objects An object, or an array of them (up to 65535)
+         * @param {Object|Array} [previous] Snapshot (see snapshot) of each object as it was last sent; only the
+         * fields that have changed since are written
+         * @return {Number} Length of the message (in bytes)
+         */
+        encode:function (objects, previous)
+        {
+            var many = gamecore.isArray(objects), count = many ? objects.length : 1;
+            if (count > 0xffff)
+                throw 'Unable to write ' + count + ' objects in binary (the most is 65535)';
+
+            this.offset = 0;
+            this.ensure(2);
+            this.view.setUint16(0, count, true);
+            this.offset = 2;
+
+            for (var i = 0; i < count; i++)
+                this.writeObject(many ? objects[i] : objects, many ? previous && previous[i] : previous);
+            return this.offset;
+        },
+
+        /**
+         * Writes one object
+         * @param {gamecore.Base} object The object
+         * @param {Object} [previous] Snapshot of it as it was last sent
+         */
+        writeObject:function (object, previous)
+        {
+            var plan = this.getPlan(object.Class), fields = plan.fields, mask, field, i;
+
+            this.ensure(9 + plan.maskSize);
+            this.view.setUint32(this.offset, plan.id, true);
+            this.view.setUint32(this.offset + 4, object.objectId, true);
+
+            // released pooled objects are just flagged, so the reading end can release them too
+            if (object.destroyed)
+            {
+                this.view.setUint8(this.offset + 8, 2);
+                this.offset += 9;
+                return;
+            }
+
+            this.view.setUint8(this.offset + 8, previous ? 1 : 0);
+            this.offset += 9;
+
+            if (!previous)
+            {
+                for (i = 0; i < fields.length; i++)
+                    this.writeValue(fields[i].type, object[fields[i].name], fields[i].items);
+                return;
+            }
+
+            // a mask of the fields that changed, then just them
+            mask = this.offset;
+            for (i = 0; i < plan.maskSize; i++)
+                this.bytes[mask + i] = 0;
+            this.offset += plan.maskSize;
+
+            for (i = 0; i < fields.length; i++)
+            {
+                field = fields[i];
+                if (this.isSame(object[field.name], previous[field.name])) continue;
+                this.bytes[mask + (i >> 3)] |= 1 << (i & 7);
+                this.writeValue(field.type, object[field.name], field.items);
+            }
+        },
+
+        /**
+         * @return {Boolean} true if a value is the same as in a snapshot (arrays are compared item by item)
+         */
+        isSame:function (value, previous)
+        {
+            if (!gamecore.isArray(value) || !gamecore.isArray(previous))
+                return value === previous;
+            if (value.length != previous.length)
+                return false;
+            for (var i = 0; i < value.length; i++)
+                if (value[i] !== previous[i])
+                    return false;
+            return true;
+        },
+
+        /**
+         * Writes a value
+         * @param {String} type Type of the value
+         * @param {*} value The value
+         * @param {String} [items] Type of the items, for an array
+         */
+        writeValue:function (type, value, items)
+        {
+            var number = this.Class.NUMBERS[type], i, c, length;
+
+            if (number)
+            {
+                this.ensure(number.size);
+                this.view[number.set](this.offset, value || 0, true);
+                this.offset += number.size;
+            }
+            else if (type == 'bool')
+            {
+                this.ensure(1);
+                this.view.setUint8(this.offset++, value ? 1 : 0);
+            }
+            else if (type == 'ref')
+            {
+                this.ensure(8);
+                this.view.setUint32(this.offset, value ? this.getPlan(value.Class).id : 0, true);
+                this.view.setUint32(this.offset + 4, value ? value.objectId : 0, true);
+                this.offset += 8;
+            }
+            else if (value == null)
+            {
+                this.ensure(2);
+                this.view.setUint16(this.offset, this.Class.NULL_LENGTH, true);
+                this.offset += 2;
+            }
+            else if (type == 'array')
+            {
+                if (value.length >= this.Class.NULL_LENGTH)
+                    throw 'Unable to write an array of ' + value.length + ' items in binary (the most is 65534)';
+                this.ensure(2);
+                this.view.setUint16(this.offset, value.length, true);
+                this.offset += 2;
+                for (i = 0; i < value.length; i++)
+                    this.writeValue(items, value[i]);
+            }
+            else
+            {
+                // strings are written as UTF-8, after their length in bytes
+                value = String(value);
+                for (i = 0, length = 0; i < value.length; i++)
+                {
+                    c = value.charCodeAt(i);
+                    length += c < 0x80 ? 1 : c < 0x800 ? 2 : c >= 0xD800 && c < 0xDC00 ? (i++, 4) : 3;
+                }
+                if (length >= this.Class.NULL_LENGTH)
+                    throw 'Unable to write a string of ' + length + ' bytes in binary (the most is 65534)';
+
+                this.ensure(2 + length);
+                this.view.setUint16(this.offset, length, true);
+                this.offset += 2;
+                for (i = 0; i < value.length; i++)
+                {
+                    c = value.charCodeAt(i);
+                    if (c >= 0xD800 && c < 0xDC00)
+                        c = 0x10000 + ((c - 0xD800) << 10) + (value.charCodeAt(++i) - 0xDC00);
+
+                    if (c < 0x80)
+                        this.bytes[this.offset++] = c;
+                    else if (c < 0x800)
+                    {
+                        this.bytes[this.offset++] = 0xC0 | (c >> 6);
+                        this.bytes[this.offset++] = 0x80 | (c & 0x3F);
+                    }
+                    else if (c < 0x10000)
+                    {
+                        this.bytes[this.offset++] = 0xE0 | (c >> 12);
+                        this.bytes[this.offset++] = 0x80 | ((c >> 6) & 0x3F);
+                        this.bytes[this.offset++] = 0x80 | (c & 0x3F);
+                    }
+                    else
+                    {
+                        this.bytes[this.offset++] = 0xF0 | (c >> 18);
+                        this.bytes[this.offset++] = 0x80 | ((c >> 12) & 0x3F);
+                        this.bytes[this.offset++] = 0x80 | ((c >> 6) & 0x3F);
+                        this.bytes[this.offset++] = 0x80 | (c & 0x3F);
+                    }
+                }
+            }
+        },
+
+        /**
+         * Copies the fields an object would have written (for delta encoding; see encode)
+         * @param {gamecore.Base} object The object
+         * @param {Object} [into] Snapshot to copy into (reusing it, and its arrays)
+         * @return {Object} The snapshot
+         */
+        snapshot:function (object, into)
+        {
+            var fields = this.getPlan(object.Class).fields, name, value, copy, i, j;
+            into = into || {};
+            for (i = 0; i < fields.length; i++)
+            {
+                name = fields[i].name;
+                value = object[name];
+                if (!gamecore.isArray(value))
+                {
+                    into[name] = value;
+                    continue;
+                }
+
+                copy = gamecore.isArray(into[name]) ? into[name] : (into[name] = []);
+                copy.length = value.length;
+                for (j = 0; j < value.length; j++)
+                    copy[j] = value[j];
+            }
+            return into;
+        },
+
+        /**
+         * Reads objects from a message written by encode. Objects are matched up with the ones read before (by
+         * their class and id), so they're updated rather than created again.
+         * @param {ArrayBuffer|ArrayBufferView} source The message
+         * @return {Array} The objects read (this array is reused by the next decode)
+         */
+        decode:function (source)
+        {
+            if (source !== this.source)
+            {
+                this.source = source;
+                this.readView = source instanceof ArrayBuffer ? new DataView(source) :
+                    new DataView(source.buffer, source.byteOffset, source.byteLength);
+            }
+
+            this.offset = 2;
+            this.decoded.length = 0;
+            for (var i = 0, count = this.readView.getUint16(0, true); i < count; i++)
+                this.decoded.push(this.readObject());
+            return this.decoded;
+        },
+
+        /**
+         * Reads one object
+         * @return {gamecore.Base} The object
+         */
+        readObject:function ()
+        {
+            var view = this.readView,
+                classId = view.getUint32(this.offset, true),
+                objectId = view.getUint32(this.offset + 4, true),
+                flags = view.getUint8(this.offset + 8),
+                plan = this.getPlan(this.getClass(classId)),
+                fields = plan.fields,
+                object, mask, i;
+
+            this.offset += 9;
+            object = this.getObject(classId, objectId);
+
+            if (flags & 2)
+            {
+                delete this.objects[classId][objectId];
+                if (object.release)
+                    object.release();
+                return object;
+            }
+
+            mask = this.offset;
+            if (flags & 1)
+                this.offset += plan.maskSize;
+
+            for (i = 0; i < fields.length; i++)
+                if (!(flags & 1) || view.getUint8(mask + (i >> 3)) & (1 << (i & 7)))
+                    object[fields[i].name] = this.readValue(fields[i].type, fields[i].items, object[fields[i].name]);
+            return object;
+        },
+
+        /**
+         * Gets the object read before with the given class and id, or creates it: from its pool if it's pooled,
+         * otherwise without calling init (see gamecore.Class.blankInstance), as its fields are set from the message
+         * @param {Number} classId Class id
+         * @param {Number} objectId Id of the object on the writing end
+         * @return {gamecore.Base} The object
+         */
+        getObject:function (classId, objectId)
+        {
+            var objects = this.objects[classId] || (this.objects[classId] = {}), klass;
+            if (!objects[objectId])
+            {
+                klass = this.getClass(classId);
+                objects[objectId] = klass.isA('gamecore.DualPooled') ? gamecore.DualPool.acquire(klass) :
+                    klass.isA('gamecore.Pooled') ? gamecore.Pool.acquire(klass) : klass.blankInstance();
+            }
+            return objects[objectId];
+        },
+
+        /**
+         * Reads a value
+         * @param {String} type Type of the value
+         * @param {String} [items] Type of the items, for an array
+         * @param {*} [current] The current value (an array is read into the one that's there)
+         * @return {*} The value
+         */
+        readValue:function (type, items, current)
+        {
+            var view = this.readView, number = this.Class.NUMBERS[type], value, length, i, c, end;
+
+            if (number)
+            {
+                value = view[number.get](this.offset, true);
+                this.offset += number.size;
+                return value;
+            }
+            if (type == 'bool')
+                return view.getUint8(this.offset++) != 0;
+            if (type == 'ref')
+            {
+                value = view.getUint32(this.offset, true);
+                i = view.getUint32(this.offset + 4, true);
+                this.offset += 8;
+                return value ? this.getObject(value, i) : null;
+            }
+
+            length = view.getUint16(this.offset, true);
+            this.offset += 2;
+            if (length == this.Class.NULL_LENGTH)
+                return null;
+
+            if (type == 'array')
+            {
+                value = gamecore.isArray(current) ? current : [];
+                value.length = length;
+                for (i = 0; i < length; i++)
+                    value[i] = this.readValue(items);
+                return value;
+            }
+
+            // a UTF-8 string
+            value = '';
+            for (end = this.offset + length; this.offset < end;)
+            {
+                c = view.getUint8(this.offset++);
+                if (c >= 0xF0)
+                    c = ((c & 0x07) << 18) | ((view.getUint8(this.offset++) & 0x3F) << 12) |
+                        ((view.getUint8(this.offset++) & 0x3F) << 6) | (view.getUint8(this.offset++) & 0x3F);
+                else if (c >= 0xE0)
+                    c = ((c & 0x0F) << 12) | ((view.getUint8(this.offset++) & 0x3F) << 6) |
+                        (view.getUint8(this.offset++) & 0x3F);
+                else if (c >= 0xC0)
+                    c = ((c & 0x1F) << 6) | (view.getUint8(this.offset++) & 0x3F);
+
+                if (c >= 0x10000)
+                {
+                    c -= 0x10000;
+                    value += String.fromCharCode(0xD800 + (c >> 10), 0xDC00 + (c & 0x3FF));
+                }
+                else
+                    value += String.fromCharCode(c);
+            }
+            return value;
+        }
+    });
@@ -85,7 +85,7 @@
         {
             var parts = objectName ? objectName.split(regs.dot) : [],
                 length = parts.length,
-                currents = gc.isArray(roots) ? roots : [roots || window],
+                currents = gc.isArray(roots) ? roots : [roots || gc.global],
                 current,
                 ret,
                 i,
@@ -239,152 +239,1625 @@
 
     // if we are initializing a new class
     var initializing = false,
+        // native (ES) classes being adopted or wrapped by extend (see gamecore.Class.adopt and wrap)
+        adopting = null,
+        wrapping = null,
+        // type ids and type bits handed out so far (see gamecore.Class.isA and the typeBit option)
+        typeIds = 0,
+        typeBits = 0,
         makeArray = gc.makeArray,
         isFunction = gc.isFunction,
         isArray = gc.isArray,
         extend = gc.extend,
 
-        cloneObject = function (object)
+        hasArrayBuffer = typeof ArrayBuffer != 'undefined',
+        hasMap = typeof Map != 'undefined',
+
+        // what cloneObject has copied so far (originals and their copies): a Map where there is one, otherwise a
+        // pair of arrays, which are slower to search
+        newSeen = function ()
+        {
+            return hasMap ? new Map() : { originals:[], copies:[] };
+        },
+
+        findSeen = function (seen, object)
+        {
+            if (hasMap)
+                return seen.get(object);
+            for (var s = 0; s < seen.originals.length; s++)
+                if (seen.originals[s] === object)
+                    return seen.copies[s];
+        },
+
+        addSeen = function (seen, object, clone)
+        {
+            if (hasMap)
+                seen.set(object, clone);
+            else
+            {
+                seen.originals.push(object);
+                seen.copies.push(clone);
+            }
+            return clone;
+        },
+
+        // Deep copies an object. Dates, regular expressions and typed arrays are copied as what they are, objects
+        // with a clone method (like gamecore.Hashtable) are asked to copy themselves and other objects keep their
+        // prototype. seen (optional) tracks what's been copied so far, so cycles and objects referenced more than
+        // once come out the same way in the copy.
+        cloneObject = function (object, seen)
+        {
+            if (!object || typeof(object) != 'object')
+                return object;
+
+            seen = seen || newSeen();
+            var clone = findSeen(seen, object), proto, prop, c;
+            if (clone)
+                return clone;
+
+            proto = Object.getPrototypeOf(object);
+
+            if (object instanceof Date)
+                clone = new Date(object.getTime());
+            else if (object instanceof RegExp)
+            {
+                clone = new RegExp(object.source, object.flags !== undefined ? object.flags :
+                    (object.global ? 'g' : '') + (object.ignoreCase ? 'i' : '') + (object.multiline ? 'm' : ''));
+                clone.lastIndex = object.lastIndex;
+            }
+            else if (hasArrayBuffer && object instanceof ArrayBuffer)
+                clone = object.slice(0);
+            else if (hasArrayBuffer && ArrayBuffer.isView && ArrayBuffer.isView(object))
+                clone = object instanceof DataView ?
+                    new DataView(object.buffer.slice(object.byteOffset, object.byteOffset + object.byteLength)) :
+                    new object.constructor(object);
+            else if (proto && proto !== Object.prototype && !isArray(object) && isFunction(object.clone))
+                clone = object.clone();
+
+            if (clone)
+                return addSeen(seen, object, clone);
+
+            // arrays and everything else get their contents deep copied
+            clone = addSeen(seen, object, isArray(object) ? [] : Object.create(proto));
+
+            if (isArray(object))
+            {
+                for (c = 0; c < object.length; c++)
+                    clone[c] = cloneObject(object[c], seen);
+            }
+            else // otherwise, it's a normal object (or an instance of something), clone it's properties
+            {
+                for (prop in object)
+                    if (object.hasOwnProperty(prop) || proto === Object.prototype)
+                        clone[prop] = cloneObject(object[prop], seen);
+            }
+            return clone;
+        },
+
+        // Creates a function that gives an instance its own (deep) copies of the prototype's array and object
+        // fields, so instances don't end up sharing them. Functions and primitives don't need copying, and
+        // neither do fields the class has marked as shared (see the static shared option). Fields with a
+        // default in the schema (see gamecore.Class.schema) are set to (a copy of) it.
+        compileInitializer = function (prototype, shared, schema)
+        {
+            var fields = [], defaults = [], direct = {}, name, value, desc;
+            for (name in schema)
+            {
+                if (!schema[name] || !('default' in schema[name])) continue;
+                defaults.push(name);
+
+                // observable and tracked fields get their defaults put straight into their values, so making an
+                // object doesn't count as changing them
+                desc = getDescriptor(prototype, name);
+                direct[name] = !!(desc && desc.get && desc.get._field);
+            }
+
+            for (name in prototype)
+            {
+                value = peek(prototype, name); // (accessors are left alone)
+                if (value && typeof value == 'object' && !(shared && shared[name]) &&
+                    !(schema && schema[name] && 'default' in schema[name]))
+                    fields.push(name);
+            }
+
+            if (!fields.length && !defaults.length)
+                return noop;
+
+            return function (inst)
+            {
+                var seen = newSeen(), i, value;
+                for (i = 0; i < fields.length; i++)
+                    inst[fields[i]] = cloneObject(inst[fields[i]], seen);
+                for (i = 0; i < defaults.length; i++)
+                {
+                    value = schema[defaults[i]]['default'];
+                    value = shared && shared[defaults[i]] ? value : cloneObject(value, seen);
+                    if (direct[defaults[i]])
+                        (inst._values || (inst._values = {}))[defaults[i]] = value;
+                    else
+                        inst[defaults[i]] = value;
+                }
+            };
+        },
+
+        // Records the shape of a prototype chain (how many fields each prototype in it has, and the last one added,
+        // and which fields aren't objects), so a class can tell when its defaults have changed since its
+        // initializer was made. This is checked for every new object, so which fields aren't objects is checked
+        // by a function made for the class where it can be (reading fixed names is much quicker than a loop).
+        recordShape = function (prototype)
+        {
+            var shape = { prototype:prototype, levels:[], counts:[], last:[], plain:[] }, p, keys, name, desc, code, i;
+            for (p = prototype; p && p !== Object.prototype; p = Object.getPrototypeOf(p))
+            {
+                keys = Object.keys(p);
+                shape.levels.push(p);
+                shape.counts.push(keys.length);
+                shape.last.push(keys[keys.length - 1]);
+            }
+            for (name in prototype)
+            {
+                desc = getDescriptor(prototype, name);
+                if (desc && 'value' in desc && !(desc.value && typeof desc.value == 'object'))
+                    shape.plain.push(name);
+            }
+
+            try
+            {
+                code = [];
+                for (i = 0; i < shape.plain.length; i++)
+                    code.push('(v = p[' + JSON.stringify(shape.plain[i]) + ']) && typeof v == "object"');
+                shape.hasObjects = new Function('p', 'var v; return ' + (code.join(' ||\n') || 'false') + ';');
+            }
+            catch (e)
+            {
+                shape.hasObjects = null; // (where code can't be compiled at runtime)
+            }
+            return shape;
+        },
+
+        // true if a field has been added to (or removed from) a prototype in the chain since its shape was recorded,
+        // or one that wasn't an object now is
+        shapeChanged = function (shape)
+        {
+            var i, keys, value;
+            for (i = 0; i < shape.levels.length; i++)
+            {
+                keys = Object.keys(shape.levels[i]);
+                if (keys.length != shape.counts[i] || keys[keys.length - 1] !== shape.last[i])
+                    return true;
+            }
+
+            if (shape.hasObjects)
+                return shape.hasObjects(shape.prototype);
+            for (i = 0; i < shape.plain.length; i++)
+            {
+                value = shape.prototype[shape.plain[i]];
+                if (value && typeof value == 'object')
+                    return true;
+            }
+            return false;
+        },
+
+        // key field values are compared, and hashed, with their own equals and hashCode if they have them
+        sameKey = function (a, b)
+        {
+            return a === b || (a != null && typeof a.equals == 'function' && a.equals(b));
+        },
+
+        hashKey = function (value)
+        {
+            return value != null && typeof value.hashCode == 'function' ? value.hashCode() : value;
+        },
+
+        // Creates equals and hashCode methods that compare and hash objects by their key fields (see
+        // gamecore.Class.keys). The methods are marked with the keys they were made for.
+        compileKeyMethods = function (keys)
+        {
+            var count = keys.length, first = keys[0];
+
+            var equals = function (other)
+            {
+                if (other === this)
+                    return true;
+                if (!other || other.Class !== this.Class)
+                    return false;
+                for (var i = 0; i < count; i++)
+                    if (!sameKey(this[keys[i]], other[keys[i]]))
+                        return false;
+                return true;
+            };
+
+            var hashCode = function ()
+            {
+                var hash = '' + hashKey(this[first]);
+                for (var i = 1; i < count; i++)
+                    hash += '|' + hashKey(this[keys[i]]);
+                return hash;
+            };
+
+            equals._keys = hashCode._keys = keys;
+            return { equals:equals, hashCode:hashCode };
+        },
+
+        // the integer types a schema can use (see gamecore.Class.schema), and the values they can hold
+        intRanges = {
+            'int':[-9007199254740991, 9007199254740991],
+            int8:[-128, 127],
+            uint8:[0, 255],
+            int16:[-32768, 32767],
+            uint16:[0, 65535],
+            int32:[-2147483648, 2147483647],
+            uint32:[0, 4294967295]
+        },
+
+        // checks a value against the schema of a property; gives back what's wrong with it, or null if it's fine
+        checkValue = function (klass, name, value)
+        {
+            var def = klass.schema && klass.schema[name],
+                type = def && def.type,
+                range = intRanges[type],
+                problem = null;
+
+            if (!def)
+                return null;
+
+            if (value === undefined || value === null)
+                problem = def.required ? 'is required' : null;
+            else if (isFunction(type))
+                problem = value instanceof type ? null : 'must be a ' + (type.fullName || type.name);
+            else if (type == 'array')
+                problem = isArray(value) ? null : 'must be an array';
+            else if (range || type == 'number' || type == 'float32' || type == 'float64')
+            {
+                if (typeof value != 'number' || isNaN(value))
+                    problem = 'must be a number';
+                else if (range && (value % 1 !== 0 || value < range[0] || value > range[1]))
+                    problem = 'must be a whole number from ' + range[0] + ' to ' + range[1];
+            }
+            else if (type == 'bool')
+                problem = typeof value == 'boolean' ? null : 'must be a boolean';
+            else if (type && typeof value != type)
+                problem = 'must be a ' + type;
+
+            if (!problem && value !== undefined && value !== null)
+            {
+                if (def.min !== undefined && value < def.min)
+                    problem = 'must be at least ' + def.min;
+                else if (def.max !== undefined && value > def.max)
+                    problem = 'must be at most ' + def.max;
+                else if (def['enum'] && def['enum'].indexOf(value) == -1)
+                    problem = 'must be one of ' + def['enum'].join(', ');
+            }
+
+            return problem && (klass.fullName || 'Class') + '.' + name + ' ' + problem +
+                (value === undefined || value === null ? '' : ' (got ' + value + ')');
+        },
+
+        // checks all the properties of an object against its class's schema
+        schemaErrors = function (klass, object)
+        {
+            var errors = [], problem;
+            for (var name in klass.schema)
+                if (problem = checkValue(klass, name, object[name]))
+                    errors.push(problem);
+            return errors;
+        },
+
+        // runs setup, copies the default fields and runs init on a freshly made instance (init is left out for a
+        // blank one; see gamecore.Class.blankInstance)
+        setupInstance = function (klass, inst, args, blank)
+        {
+            var setupArgs;
+
+            if (inst.setup)
+                setupArgs = inst.setup.apply(inst, args);
+
+            // Added by martin@playcraftlabs.com -- fix for deep cloning of properties
+            // (only the array/object fields need it, so which ones they are is worked out once per class, and again
+            // if the prototype's fields change)
+            if (!klass._initializer || shapeChanged(klass._shape))
+            {
+                klass._initializer = compileInitializer(klass.prototype, klass._shared, klass.schema);
+                klass._shape = recordShape(klass.prototype);
+            }
+            klass._initializer(inst);
+
+            if (inst.init && !blank)
+                inst.init.apply(inst, isArray(setupArgs) ? setupArgs : args);
+
+            return inst;
+        },
+
+        // sets up an instance wrapped so that, once it's initialized, adding a property it doesn't have (or inherit)
+        // throws, which catches misspelled fields (this.HP = 0 when the field is hp); used in development mode (see
+        // gamecore.Class.setDevMode). The wrapper is made first, so setup and init see the same object the caller
+        // gets back. (values given to properties in the schema are checked as well)
+        sealInstance = function (klass, inst, args, blank)
+        {
+            var hasSchema = false, sealed = false, errors, problem;
+            for (problem in klass.schema)
+            {
+                hasSchema = true;
+                break;
+            }
+
+            if (typeof Proxy != 'undefined' && (klass.sealed || hasSchema))
+                inst = new Proxy(inst, {
+                    defineProperty:function (target, name, desc)
+                    {
+                        if (!sealed || typeof name != 'string' || name == '_super')
+                            return Reflect.defineProperty(target, name, desc);
+
+                        if (klass.sealed && !(name in target) && !(hasSchema && klass.schema.hasOwnProperty(name)))
+                            throw (klass.fullName || 'Class') + ' has no property named ' + name + ' (declare it ' +
+                                'in the class, or use sealed:false to allow adding properties)';
+                        if ('value' in desc && (problem = checkValue(klass, name, desc.value)))
+                            throw problem;
+                        return Reflect.defineProperty(target, name, desc);
+                    }
+                });
+
+            // (blank instances get their fields set afterwards, so they're only checked as that happens)
+            setupInstance(klass, inst, args, blank);
+            errors = blank ? [] : schemaErrors(klass, inst);
+            if (errors.length)
+                throw errors.join(', ');
+
+            sealed = true;
+            return inst;
+        },
+
+        // sets up new instances; swapped for one that seals them as well in development mode, so production
+        // mode doesn't pay anything for it
+        initInstance = setupInstance,
+
+        // while changes are being batched (see gamecore.Class.batchChanges), the objects with changes waiting
+        batching = false,
+        pending = [],
+
+        // tells the listeners of an object, then those of its class and the classes it extends, about a change
+        fireChange = function (object, name, value, oldValue)
+        {
+            var args = [name, value, oldValue],
+                fire = function (target)
+                {
+                    var observers = target.hasOwnProperty('_observers') && target._observers;
+                    if (!observers) return;
+                    if (observers[name])
+                        observers[name].fireWith(object, args);
+                    if (observers['*'])
+                        observers['*'].fireWith(object, args);
+                };
+
+            fire(object);
+            for (var k = object.Class; k; k = k._superClass)
+                fire(k);
+        },
+
+        // a property has changed: let its listeners know now, or when the changes are flushed
+        notifyChange = function (object, name, value, oldValue)
+        {
+            if (!batching)
+                return fireChange(object, name, value, oldValue);
+
+            if (!object._changes)
+            {
+                object._changes = {};
+                pending.push(object);
+            }
+            if (!object._changes.hasOwnProperty(name))
+                object._changes[name] = oldValue;
+        },
+
+        // turns a property into one that's observable (see gamecore.Class.observable) and/or sets a bit in the
+        // dirty mask when it changes (see gamecore.Class.tracked), with value as its default
+        defineField = function (prototype, name, value, observed, bit)
+        {
+            var get = function ()
+            {
+                var values = this._values;
+                if (values && values.hasOwnProperty(name))
+                    return values[name];
+
+                // each object gets its own copy of an array or object default (the first time it's needed)
+                if (value && typeof value == 'object')
+                    return (values || (this._values = {}))[name] = cloneObject(value);
+                return value;
+            };
+            get._field = { value:value, observed:observed, bit:bit };
+
+            Object.defineProperty(prototype, name, {
+                get:get,
+                set:function (newValue)
+                {
+                    var oldValue = this[name], problem;
+                    if (clss.devMode && (problem = checkValue(this.Class, name, newValue)))
+                        throw problem;
+
+                    (this._values || (this._values = {}))[name] = newValue;
+                    if (newValue !== oldValue)
+                    {
+                        this._dirty |= bit;
+                        if (observed)
+                            notifyChange(this, name, newValue, oldValue);
+                    }
+                },
+                enumerable:true,
+                configurable:true
+            });
+        },
+
+        // names of a list of mixins, to compare them (the mixins themselves are new objects if a script is reloaded)
+        mixinNames = function (mixins)
+        {
+            var names = [];
+            for (var i = 0; i < mixins.length; i++)
+                names.push(mixins[i].fullName);
+            return names.join('|');
+        },
+
+        // adds the names in more (a name or array of them) that aren't in names already to a copy of names
+        mergeNames = function (names, more)
+        {
+            var merged = names ? names.slice() : [];
+            more = more ? makeArray(more) : [];
+            for (var i = 0; i < more.length; i++)
+                if (merged.indexOf(more[i]) == -1)
+                    merged.push(more[i]);
+            return merged;
+        },
+
+        concatArgs = function (arr, args)
+        {
+            return arr.concat(makeArray(args));
+        },
+
+        // tests if we can get super in .toString()
+        fnTest = /xyz/.test(function ()
+        {
+            xyz;
+        }) ? /\b_super\b/ : /.*/,
+
+        noop = function ()
+        {
+        },
+
+        // every named class, by fullName
+        registry = {},
+
+        // statics that belong to a single class, and are never copied down to subclasses
+        classOnly = {
+            registry:true,
+            onDuplicate:true,
+            _initializer:true,
+            _shape:true,
+            abstractMethod:true,
+            withSuper:true,
+            adopt:true,
+            advise:true,
+            onExtend:true,
+            setDevMode:true,
+            devMode:true,
+            batchChanges:true,
+            flushChanges:true,
+            setHotReload:true,
+            hotReload:true,
+            reloaded:true,
+            _observers:true,
+            root:true,
+            namespace:true,
+            _root:true,
+            _superClass:true,
+            _subclasses:true,
+            _mixins:true,
+            _interfaces:true,
+            _abstract:true,
+            _shared:true,
+            _staticModes:true,
+            _staticDefaults:true,
+            _native:true,
+            _adopted:true
+        },
+
+        // makes a static on a subclass read and write through to the parent's (see the staticInheritance option)
+        shareStatic = function (klass, parent, name)
+        {
+            var get = function ()
+            {
+                return parent[name];
+            };
+            get._sharedStatic = true;
+
+            Object.defineProperty(klass, name, {
+                get:get,
+                set:function (value)
+                {
+                    parent[name] = value;
+                },
+                enumerable:true,
+                configurable:true
+            });
+        },
+
+        // takes a class out of its parent's list of subclasses
+        detach = function (klass)
+        {
+            var siblings = klass._superClass ? klass._superClass._subclasses : [];
+            for (var i = 0; i < siblings.length; i++)
+            {
+                if (siblings[i] === klass)
+                {
+                    siblings.splice(i, 1);
+                    break;
+                }
+            }
+        },
+
+        // names of the static and instance methods still marked with gamecore.Class.abstractMethod
+        findAbstract = function (klass, prototype)
+        {
+            var found = { statics:[], proto:[] }, name;
+            for (name in klass)
+                if (klass.hasOwnProperty(name) && peek(klass, name) === clss.abstractMethod)
+                    found.statics.push(name);
+            for (name in prototype)
+                if (peek(prototype, name) === clss.abstractMethod)
+                    found.proto.push(name);
+            return found;
+        },
+
+        // accepts either a class or a class name
+        toClass = function (klass)
+        {
+            return typeof klass == 'string' ? registry[klass] || null : klass;
+        },
+
+        // static properties that configure the class being extended, rather than being copied onto it
+        classOptions = {
+            mixins:true,
+            replace:true,
+            shared:true,
+            staticInheritance:true,
+            'abstract':true,
+            root:true,
+            'implements':true,
+            typeBit:true,
+            decorators:true
+        },
+
+        // gets the descriptor of a property, looking up the prototype chain
+        getDescriptor = function (object, name)
+        {
+            var desc;
+            for (; object; object = Object.getPrototypeOf(object))
+                if (desc = Object.getOwnPropertyDescriptor(object, name))
+                    return desc;
+        },
+
+        // gets the value of a property without running it if it's an accessor (which come back as undefined)
+        peek = function (object, name)
+        {
+            var desc = getDescriptor(object, name);
+            return desc && desc.value;
+        },
+
+        // adds a getter/setter to an object; if they use this._super it will be the getter/setter they override,
+        // and if only one of them is given the other one is inherited
+        inheritAccessor = function (name, desc, oldProps, addTo)
+        {
+            var old = getDescriptor(oldProps, name) || {},
+                wrap = function (fn, part)
+                {
+                    if (!fn || !isFunction(old[part]) || !fnTest.test(fn))
+                        return fn || old[part];
+
+                    return function ()
+                    {
+                        var tmp = this._super, ret;
+                        this._super = (getDescriptor(oldProps, name) || {})[part];
+                        ret = fn.apply(this, arguments);
+                        this._super = tmp;
+                        return ret;
+                    };
+                };
+
+            Object.defineProperty(addTo, name, {
+                get:wrap(desc.get, 'get'),
+                set:wrap(desc.set, 'set'),
+                enumerable:true,
+                configurable:true
+            });
+        },
+
+        inheritProps = function (newProps, oldProps, addTo, skip)
+        {
+            // overwrites an object with methods, sets up _super
+            // newProps - new properties
+            // oldProps - where the old properties might be
+            // addTo - what we are adding to
+            // skip - (optional) map of property names to leave out
+            addTo = addTo || newProps
+            var desc;
+            for (var name in newProps)
+            {
+                if (skip && skip[name]) continue;
+
+                // getters and setters are copied as they are (rather than their current value)
+                desc = Object.getOwnPropertyDescriptor(newProps, name);
+                if (desc && !('value' in desc))
+                {
+                    inheritAccessor(name, desc, oldProps, addTo);
+                    continue;
+                }
+
+                // replacing an accessor with a plain value has to be done by redefining it (setting would call it)
+                desc = getDescriptor(addTo, name);
+                if (desc && !('value' in desc))
+                    Object.defineProperty(addTo, name, { value:undefined, writable:true, enumerable:true,
+                        configurable:true });
+
+                // super factories (see gamecore.Class.withSuper) are handed the overridden method once, right now,
+                // so the method they return doesn't need wrapping
+                if (isFunction(newProps[name]) && newProps[name]._superFactory)
+                {
+                    addTo[name] = newProps[name](isFunction(peek(oldProps, name)) ? oldProps[name] : noop);
+                    addTo[name]._factory = newProps[name]; // (so it can be made again if the class is reloaded)
+                    continue;
+                }
+
+                // Check if we're overwriting an existing function
+                addTo[name] = isFunction(newProps[name]) &&
+                    isFunction(peek(oldProps, name)) &&
+                    fnTest.test(newProps[name]) ? (function (name, fn)
+                {
+                    var wrapper = function ()
+                    {
+                        var tmp = this._super, ret;
+
+                        // Add a new ._super() method that is the same method but on the super-class
+                        this._super = oldProps[name];
+
+                        // The method only need to be bound temporarily, so we remove it when we're done executing
+                        ret = fn.apply(this, arguments);
+                        this._super = tmp;
+                        return ret;
+                    };
+                    // keep the original around so its declared arguments can still be checked (see gamecore.Interface)
+                    wrapper._method = fn;
+                    return wrapper;
+                })(name, newProps[name]) : newProps[name];
+            }
+        },
+
+        // copies the current versions of the properties named in props (getters and setters included), so a later
+        // inheritProps onto the same object still has the previous versions to call as _super
+        snapshot = function (object, props)
+        {
+            var old = {}, desc;
+            for (var name in props)
+                if (desc = getDescriptor(object, name))
+                    Object.defineProperty(old, name, desc);
+            return old;
+        },
+
+        // throws if two mixins both bring in a method of the same name which the class itself doesn't override
+        checkMixinConflicts = function (fullName, mixins, part, own)
+        {
+            var seen = {}, conflicts = [], props, name, m;
+            for (m = 0; m < mixins.length; m++)
+            {
+                props = mixins[m][part];
+                for (name in props)
+                {
+                    if (!isFunction(peek(props, name))) continue;
+                    if (seen[name] && !(own && own.hasOwnProperty(name)))
+                        conflicts.push(name + ' (' + seen[name] + ', ' + mixins[m].fullName + ')');
+                    seen[name] = mixins[m].fullName;
+                }
+            }
+            if (conflicts.length)
+                throw 'Mixin conflict in ' + (fullName || 'class') + ': ' + conflicts.join(', ') +
+                    ' -- override the method in the class to resolve it';
+        },
+
+        // replaces a static of klass with value, in its subclasses too where they still have the same function
+        replaceStatic = function (klass, name, old, value)
+        {
+            clss.walkHierarchy(klass, function (k)
+            {
+                if (!k.hasOwnProperty(name) || k[name] !== old) return false;
+                k[name] = value;
+            });
+        },
+
+        // creates a method that runs the before, around and after advice (see gamecore.Class.before) of a method.
+        // Around advice is wrapped like an override, so this._super is the next one in (and the method last).
+        adviseMethod = function (method)
+        {
+            var advised = function ()
+            {
+                var advice = advised._advice, args = arguments, i, ret;
+                for (i = 0; i < advice.before.length; i++)
+                    advice.before[i].apply(this, args);
+
+                ret = (function next(self, a, args)
+                {
+                    if (a < 0)
+                        return advised._original.apply(self, args);
+
+                    var tmp = self._super, ret;
+                    self._super = function ()
+                    {
+                        return next(this, a - 1, arguments);
+                    };
+                    ret = advice.around[a].apply(self, args);
+                    self._super = tmp;
+                    return ret;
+                })(this, advice.around.length - 1, args);
+
+                for (i = 0; i < advice.after.length; i++)
+                    advice.after[i].apply(this, concatArgs([ret], args));
+                return ret;
+            };
+            advised._advice = { before:[], around:[], after:[] };
+            advised._original = method;
+            advised._method = method._method || method;
+            return advised;
+        },
+
+        // puts a new version of a method or accessor onto an object (a class's prototype, or a class) in place of
+        // the current one, keeping any advice on it and the observable/tracked set up of fields
+        patchMember = function (target, name, desc, klass)
+        {
+            var current = Object.getOwnPropertyDescriptor(target, name),
+                field = current && current.get && current.get._field;
+
+            if (current && isFunction(current.value) && current.value._advice && isFunction(desc.value))
+                current.value._original = desc.value;
+            else if (field && 'value' in desc)
+            {
+                if (!isFunction(desc.value))
+                    defineField(target, name, desc.value, field.observed, field.bit);
+            }
+            else if (target === klass && current && 'value' in current && 'value' in desc)
+                replaceStatic(klass, name, current.value, desc.value); // (subclasses have copies)
+            else
+            {
+                desc.configurable = desc.enumerable = true;
+                Object.defineProperty(target, name, desc);
+            }
+        },
+
+        // redefines a class in place (see gamecore.Class.setHotReload): methods (static and instance) and
+        // default field values are updated, so all its objects (and its subclasses) get them straight away
+        reloadClass = function (Class, klass, proto)
+        {
+            var prototype = Class.prototype,
+                patch = {},
+                added = {},
+                name, desc, value;
+
+            // instance methods that aren't there any more are removed (but not the ones extend puts there itself:
+            // the constructor, and equals and hashCode made from the class's keys)
+            for (name in prototype)
+            {
+                if (!prototype.hasOwnProperty(name) || name == 'Class' || name == 'constructor' ||
+                    proto.hasOwnProperty(name)) continue;
+                value = peek(prototype, name);
+                if (isFunction(value) && !value._advice && !value._keys)
+                    delete prototype[name];
+            }
+
+            // new versions are made the same way extend makes them (so _super works), then put in place
+            inheritProps(proto, Object.getPrototypeOf(prototype), patch);
+            for (name in patch)
+            {
+                value = peek(patch, name);
+                if (value && typeof value == 'object' && !(name in prototype))
+                    added[name] = value;
+                patchMember(prototype, name, Object.getOwnPropertyDescriptor(patch, name));
+            }
+
+            // static methods are updated, but values (which may have changed while running) are only added
+            patch = {};
+            inheritProps(klass, Class._superClass, patch, classOptions);
+            for (name in patch)
+            {
+                desc = Object.getOwnPropertyDescriptor(patch, name);
+                if (!(name in Class))
+                {
+                    // new ones go to the subclasses as well (where they don't have their own)
+                    clss.walkHierarchy(Class, function (k)
+                    {
+                        if (k.hasOwnProperty(name)) return false;
+                        Object.defineProperty(k, name, extend({}, desc, { configurable:true, enumerable:true }));
+                    });
+                }
+                else if (!('value' in desc) || isFunction(desc.value))
+                    patchMember(Class, name, desc, Class);
+            }
+
+            // subclasses' methods made with withSuper factories have to be made again, with the new super method
+            clss.walkHierarchy(Class, function (k, depth)
+            {
+                if (depth == 0) return;
+                for (name in k.prototype)
+                    if (k.prototype.hasOwnProperty(name) && isFunction(value = peek(k.prototype, name)) && value._factory)
+                        (k.prototype[name] = value._factory(k._superClass.prototype[name]))._factory = value._factory;
+                for (name in k)
+                    if (k.hasOwnProperty(name) && isFunction(value = peek(k, name)) && value._factory)
+                        (k[name] = value._factory(k._superClass[name]))._factory = value._factory;
+            });
+
+            // (new objects are only set up as this class while it's their constructor; see the Class function)
+            prototype.Class = prototype.constructor = Class;
+
+            clss.invalidate(Class);
+            clss.reloaded.fireWith(clss, [Class, compileInitializer(added)]);
+            return Class;
+        },
+
+        clss = gc.Class = function ()
+        {
+            if (arguments.length)
+            {
+                return clss.extend.apply(clss, arguments);
+            }
+        };
+
+    /* @Static*/
+    extend(clss, {
+        callback:function (funcs)
+        {
+            //args that should be curried
+            var args = makeArray(arguments),
+                self;
+
+            funcs = args.shift();
+
+            if (!isArray(funcs))
+            {
+                funcs = [funcs];
+            }
+
+            self = this;
+
+            return function class_cb()
+            {
+                var cur = concatArgs(args, arguments),
+                    isString,
+                    length = funcs.length,
+                    f = 0,
+                    func;
+
+                for (; f < length; f++)
+                {
+                    func = funcs[f];
+                    if (!func)
+                        continue;
+
+                    isString = typeof func == "string";
+                    if (isString && self._set_called)
+                        self.called = func;
+
+                    cur = (isString ? self[func] : func).apply(self, cur || []);
+                    if (f < length - 1)
+                        cur = !isArray(cur) || cur._use_call ? [cur] : cur
+                }
+                return cur;
+            }
+        },
+
+        getObject:gc.String.getObject,
+
+        /**
+         * All named classes, keyed by fullName. Don't modify this directly.
+         */
+        registry:registry,
+
+        /**
+         * The object namespaced classes are added to, i.e. 'Fighter.Gunship' ends up as root.Fighter.Gunship.
+         * Normally this is the global object (window), but when gamecore is loaded as a module (CommonJS or AMD)
+         * it's a private object (holding just gamecore), so nothing leaks into the global scope. Set it to null to
+         * only keep classes in the registry (use getClass to find them). You can also give a class its own root
+         * using the static root option.
+         */
+        root:typeof noGlobal != 'undefined' && noGlobal ? { gamecore:gc } : gc.global,
+
+        /**
+         * What to do when a class is defined using the fullName of a class that already exists (and the new
+         * class doesn't have the static replace option set to true): 'warn' (the default) logs a warning and
+         * replaces the old class, 'throw' throws an error, and 'ignore' silently replaces it.
+         */
+        onDuplicate:'warn',
+
+        /**
+         * Use this as the body of a method that subclasses must implement (the class itself must then be declared
+         * with the static abstract option). Calling it throws.
+         * <code>
+         *   var Weapon = gamecore.Base.extend('Weapon', { 'abstract': true },
+         *   {
+         *       fire: gamecore.Class.abstractMethod
+         *   });
+         * </code>
+         */
+        abstractMethod:function ()
+        {
+            throw 'Abstract method called on ' + (this.Class || this).fullName;
+        },
+
+        /**
+         * A faster alternative to this._super() for methods that are called a lot (like per-frame updates).
+         * Rather than a method, give a factory that's handed the method being overridden and returns the new
+         * method. The factory runs once, when the class is defined, so calls to the method go straight to your
+         * code (this._super() needs a wrapper that swaps this._super around every call).
+         * <code>
+         *   update: gamecore.Class.withSuper(function (_super)
+         *   {
+         *       return function (delta)
+         *       {
+         *           _super.call(this, delta);
+         *           // ...
+         *       };
+         *   })
+         * </code>
+         * Since the overridden method is looked up when the class is defined, changes made to the parent's method
+         * after that aren't picked up. If there's nothing to override, _super is a function that does nothing.
+         * @param {Function} factory Function taking the overridden method and returning the new one
+         * @return {Function} The factory, marked so extend knows what to do with it
+         */
+        withSuper:function (factory)
+        {
+            factory._superFactory = true;
+            return factory;
+        },
+
+        /**
+         * Checks if this class is a given type: the type can be this class or one it extends, or a mixin or
+         * interface it (or a class it extends) uses. Instances have an isA as well, so you can skip the .Class.
+         * <code>
+         *   Fighter.isA('Damageable');  // by name
+         *   fighter.isA(Enemy);         // or by reference
+         * </code>
+         * For checks in hot loops, give the classes you test against a type bit (typeBit:true in the statics), and
+         * test the type mask directly: (other.Class.typeMask & Enemy.typeBit) != 0. Up to 32 classes can have one.
+         * @param {String|Function|gamecore.Mixin|gamecore.Interface} type Type name, class, mixin or interface
+         * @return {Boolean} true if this class is of the given type
+         */
+        isA:function (type)
+        {
+            if (typeof type == 'string')
+                return this._typeNames.hasOwnProperty(type);
+            if (!type)
+                return false;
+            if (type.typeBit)
+                return (this.typeMask & type.typeBit) != 0;
+            if (isFunction(type))
+                return type === this || type.prototype.isPrototypeOf(this.prototype);
+            return this._typeNames.hasOwnProperty(type.fullName);
+        },
+
+        /**
+         * @param {Function|String} [klass] Class (or class name) to look at; defaults to this class
+         * @return {Boolean} true if the class was declared abstract (and so can't be instantiated)
+         */
+        isAbstract:function (klass)
+        {
+            klass = toClass(klass || this);
+            return !!(klass && klass._abstract);
+        },
+
+        /**
+         * Gets the methods of a class that are still abstract (including any inherited ones).
+         * @param {Function|String} [klass] Class (or class name) to look at; defaults to this class
+         * @return {Object} Names of the abstract methods, as { statics: [...], proto: [...] }
+         */
+        getAbstractMembers:function (klass)
+        {
+            klass = toClass(klass || this);
+            return findAbstract(klass, klass.prototype);
+        },
+
+        /**
+         * Describes the properties of the class's instances. Each property can have a type (a typeof name like
+         * 'number' or 'string' ('bool' works too), 'array', an integer type -- 'int', 'int8', 'uint8', 'int16',
+         * 'uint16', 'int32' or 'uint32' -- or a class), a default (set on each new instance, and also put in defaults), a min and max,
+         * an enum (array of the values allowed) and whether it's required. Subclasses inherit the schema, and can
+         * add properties or change parts of the ones they inherit.
+         * <code>
+         *   var Fighter = gamecore.Base.extend('Fighter',
+         *   {
+         *       schema:
+         *       {
+         *           hp: { type:'uint16', 'default':100, max:1000 },
+         *           state: { type:'string', 'default':'idle', 'enum':['idle', 'attacking'] },
+         *           owner: { type:Player, required:true }
+         *       }
+         *   }, {...});
+         * </code>
+         * Once the class is created this is the full schema (inherited properties included), so tools can look
+         * at it. Instances are checked after init, and whenever one of the properties is set, in development mode
+         * (see setDevMode); otherwise use validate.
+         */
+        schema:null,
+
+        /**
+         * Checks a value against the schema for a property.
+         * @param {String} name Name of the property
+         * @param {*} value The value
+         * @return {String} What's wrong with the value, or null if it's fine (or the property isn't in the schema)
+         */
+        checkProperty:function (name, value)
+        {
+            return checkValue(this, name, value);
+        },
+
+        /**
+         * Checks the properties of an object against the schema of this class.
+         * @param {Object} object Object to check (usually an instance of this class)
+         * @return {Array} What's wrong with it (empty if nothing)
+         */
+        validate:function (object)
+        {
+            return schemaErrors(this, object);
+        },
+
+        /**
+         * Names of instance properties that tell listeners when they change (see observe). Subclasses inherit
+         * them, and can add more.
+         * <code>
+         *   var Fighter = gamecore.Base.extend('Fighter', { observable: ['hp', 'state'] }, { hp: 100, ... });
+         *
+         *   fighter.observe('hp', function (name, value, oldValue) { bar.setWidth(value); });
+         * </code>
+         */
+        observable:null,
+
+        /**
+         * Names of instance fields to track changes to. Changing one sets its bit in the object's dirty mask, so
+         * renderers and network code can cheaply find out what changed (see getDirtyFields and clearDirty on
+         * objects). Subclasses inherit them, and can add more (up to 32 in all).
+         * <code>
+         *   var Fighter = gamecore.Pooled.extend('Fighter', { tracked: ['x', 'y', 'hp'] }, { x: 0, y: 0, hp: 100 });
+         *
+         *   if (fighter.isDirty())
+         *   {
+         *       send(fighter, fighter.getDirtyFields());
+         *       fighter.clearDirty();
+         *   }
+         * </code>
+         * New objects, and pooled ones when they're acquired, start with all their tracked fields dirty.
+         */
+        tracked:null,
+
+        /**
+         * Names of the instance fields that make up an object's value. Objects of a class with keys get equals and
+         * hashCode methods made from them, so two objects of the same class with the same key values are equal,
+         * and are the same key in a gamecore.Hashtable. Subclasses inherit them, and can add more.
+         * <code>
+         *   var Cell = gamecore.Base.extend('Cell', { keys: ['x', 'y'] }, { x: 0, y: 0, init: function (x, y) {...} });
+         *
+         *   new Cell(1, 2).equals(new Cell(1, 2)); // true
+         *   cells.put(new Cell(1, 2), tile);
+         *   cells.get(new Cell(1, 2));             // tile
+         * </code>
+         * Key values are compared with their own equals (and hashed with their own hashCode) if they have them.
+         * A class's own equals or hashCode is kept, and so is one inherited from a class with keys. Don't change
+         * the key fields of an object while it's being used as a key.
+         */
+        keys:null,
+
+        /**
+         * Index of each tracked field (its bit in the dirty mask is 1 << index), i.e. { x: 0, y: 1, hp: 2 }.
+         * Indices of inherited fields are the same in subclasses.
+         */
+        fieldIndices:null,
+
+        /**
+         * Dirty mask with all the tracked fields of the class set.
+         */
+        dirtyMask:0,
+
+        /**
+         * Adds a listener that's called when an observable property changes, with the name of the property, its
+         * new value and its old value (and this set to the object that changed). This can be called on an object
+         * to listen to it, or on a class to listen to all its objects (including those of its subclasses).
+         * @param {String} [name] Name of the property to listen to; all of them if left out
+         * @param {Function} listener Function to call
+         * @return {Object} this
+         */
+        observe:function (name, listener)
+        {
+            if (isFunction(name))
+            {
+                listener = name;
+                name = '*';
+            }
+
+            var observers = this.hasOwnProperty('_observers') && this._observers || (this._observers = {});
+            (observers[name] || (observers[name] = gc.Callbacks())).add(listener);
+            return this;
+        },
+
+        /**
+         * Removes a listener added with observe.
+         * @param {String} [name] Name of the property it was listening to (if it was given)
+         * @param {Function} listener The listener to remove
+         * @return {Object} this
+         */
+        unobserve:function (name, listener)
+        {
+            if (isFunction(name))
+            {
+                listener = name;
+                name = '*';
+            }
+
+            var observers = this.hasOwnProperty('_observers') && this._observers;
+            if (observers && observers[name])
+                observers[name].remove(listener);
+            return this;
+        },
+
+        /**
+         * Turns batching of changes on or off. While it's on, changes to observable properties are held on to
+         * until flushChanges is called; then listeners hear about each property that changed once, with the value
+         * it had before the first change (and not at all if it's back where it started). Turning it off flushes.
+         * @param {Boolean} enabled true to batch changes
+         */
+        batchChanges:function (enabled)
+        {
+            if (!enabled)
+                clss.flushChanges();
+            batching = !!enabled;
+        },
+
+        /**
+         * Tells listeners about the changes that have been batched up (see batchChanges).
+         */
+        flushChanges:function ()
+        {
+            var objects = pending, changes, name, value;
+            pending = [];
+            for (var i = 0; i < objects.length; i++)
+            {
+                changes = objects[i]._changes;
+                objects[i]._changes = null;
+                for (name in changes)
+                {
+                    value = objects[i][name];
+                    if (value !== changes[name])
+                        fireChange(objects[i], name, value, changes[name]);
+                }
+            }
+        },
+
+        /**
+         * Turns hot reload mode on or off. In hot reload mode, extending the same class again with the name of
+         * an existing class (i.e. re-running the script that defines it) updates the existing class in place
+         * rather than making a new one, so objects that already exist, including pooled ones, pick up the
+         * changes. Static and instance methods are replaced (or removed), _super calls in subclasses go to the new
+         * versions, any advice on them is kept, and default field values are updated. Static values that already
+         * exist are left alone, as are the mixins, interfaces, schema and other options of the class. If the class
+         * extends a different class, or has different mixins, a new class is made instead.
+         * @param {Boolean} enabled true to turn hot reload mode on
+         */
+        setHotReload:function (enabled)
+        {
+            clss.hotReload = !!enabled;
+        },
+
+        /**
+         * Callbacks (see gamecore.Callbacks) fired when a class is updated in hot reload mode, with the class and
+         * a function that gives an existing object of it its own copies of any new array or object fields.
+         */
+        reloaded:gc.Callbacks(),
+
+        /**
+         * Instances of classes with sealed set (the default) are sealed in development mode, i.e. adding a property
+         * that isn't declared in the class (or set by setup or init) throws. Set sealed to false in the statics of
+         * a class (and its subclasses) that needs to add properties later on.
+         */
+        sealed:true,
+
+        /**
+         * Turns development mode on or off. In development mode new instances are sealed once they're initialized
+         * (see sealed), so a typo like this.HP = 0 (when the field is hp) throws, naming the class and property.
+         * Their properties are checked against the schema then, and again whenever they're set.
+         * Turning it off (the default) costs nothing at all when creating objects. Instances created while it was
+         * on stay sealed; native subclasses (see adopt) aren't sealed.
+         * @param {Boolean} enabled true to turn development mode on
+         */
+        setDevMode:function (enabled)
+        {
+            clss.devMode = !!enabled;
+            initInstance = enabled ? sealInstance : setupInstance;
+        },
+
+        /**
+         * Adds advice that runs before a method, with the same arguments (and this). The method can be an
+         * instance method or (with isStatic) a static one, defined on the class or one it extends. Subclasses
+         * that don't override the method get the advice too, and ones that do get it when they call this._super.
+         * <code>
+         *   var logFire = Fighter.before('fire', function (target) { console.log(this.uniqueId + ' fires'); });
+         *   ...
+         *   Fighter.removeAdvice('fire', logFire);
+         * </code>
+         * @param {String} name Name of the method
+         * @param {Function} advice Function to run
+         * @param {Boolean} [isStatic] true if the method is a static one
+         * @return {Function} The advice (so it can be given to removeAdvice)
+         */
+        before:function (name, advice, isStatic)
+        {
+            return clss.advise(this, name, 'before', advice, isStatic);
+        },
+
+        /**
+         * Adds advice that runs after a method, with the value it returned followed by its arguments. See before.
+         * @param {String} name Name of the method
+         * @param {Function} advice Function to run
+         * @param {Boolean} [isStatic] true if the method is a static one
+         * @return {Function} The advice (so it can be given to removeAdvice)
+         */
+        after:function (name, advice, isStatic)
+        {
+            return clss.advise(this, name, 'after', advice, isStatic);
+        },
+
+        /**
+         * Adds advice that runs in place of a method: call this._super to run the method (or the next around advice
+         * in), and return what it should return. See before.
+         * <code>
+         *   Fighter.around('update', function (delta)
+         *   {
+         *       var start = Date.now(), ret = this._super(delta);
+         *       updateTime += Date.now() - start;
+         *       return ret;
+         *   });
+         * </code>
+         * @param {String} name Name of the method
+         * @param {Function} advice Function to run
+         * @param {Boolean} [isStatic] true if the method is a static one
+         * @return {Function} The advice (so it can be given to removeAdvice)
+         */
+        around:function (name, advice, isStatic)
         {
-            if (!object || typeof(object) != 'object')
-                return object;
+            return clss.advise(this, name, 'around', advice, isStatic);
+        },
+
+        /**
+         * Adds advice to a method of a class; used by before, after and around.
+         * @param {Function|String} klass Class (or class name) the method is on
+         * @param {String} name Name of the method
+         * @param {String} kind 'before', 'after' or 'around'
+         * @param {Function} advice Function to run
+         * @param {Boolean} [isStatic] true if the method is a static one
+         * @return {Function} The advice
+         */
+        advise:function (klass, name, kind, advice, isStatic)
+        {
+            klass = toClass(klass);
+            var target = isStatic ? klass : klass.prototype,
+                method = peek(target, name),
+                advised;
 
-            // special case handling of array (deep copy them)
-            if (object instanceof Array)
+            if (!isFunction(method))
+                throw (klass.fullName || 'Class') + ' has no ' + (isStatic ? 'static ' : '') + 'method named ' + name;
+
+            if (method._advice && target.hasOwnProperty(name))
+                advised = method;
+            else
             {
-                var clone = [];
-                for (var c = 0; c < object.length; c++)
-                    clone[c] = cloneObject(object[c]);
-                return clone;
+                // an inherited method is looked up each call, so changes to it (or its advice) still come through
+                advised = adviseMethod(target.hasOwnProperty(name) ? method : function ()
+                {
+                    return Object.getPrototypeOf(target)[name].apply(this, arguments);
+                });
+                advised._inherited = !target.hasOwnProperty(name);
+                advised._klass = klass;
+                if (isStatic)
+                    replaceStatic(klass, name, method, advised);
+                else
+                    target[name] = advised;
+            }
+
+            advised._advice[kind].push(advice);
+            return advice;
+        },
+
+        /**
+         * Removes advice added with before, after or around. Once a method has no advice left it's put back the
+         * way it was.
+         * @param {String} name Name of the method
+         * @param {Function} advice The advice to remove
+         * @param {Boolean} [isStatic] true if the method is a static one
+         * @return {Boolean} true if the advice was found (and removed)
+         */
+        removeAdvice:function (name, advice, isStatic)
+        {
+            var advised = peek(isStatic ? this : this.prototype, name),
+                klass, target, lists, kind, i, found = false, left = 0;
+
+            if (!isFunction(advised) || !advised._advice)
+                return false;
+
+            // the advice belongs to the class it was added to (which may be one this class extends)
+            klass = advised._klass;
+            target = isStatic ? klass : klass.prototype;
+
+            lists = advised._advice;
+            for (kind in lists)
+            {
+                for (i = lists[kind].length - 1; i >= 0 && !found; i--)
+                {
+                    if (lists[kind][i] !== advice) continue;
+                    lists[kind].splice(i, 1);
+                    found = true;
+                }
+                left += lists[kind].length;
             }
-            else // otherwise, it's a normal object, clone it's properties
+
+            if (found && !left)
             {
-                var cloneObj = {};
-                for (var prop in object)
-                    cloneObj[prop] = cloneObject(object[prop]);
-                return cloneObj;
+                if (isStatic)
+                    replaceStatic(klass, name, advised, advised._inherited ?
+                        Object.getPrototypeOf(klass)[name] : advised._original);
+                else if (advised._inherited)
+                    delete target[name];
+                else
+                    target[name] = advised._original;
             }
+            return found;
         },
 
-        concatArgs = function (arr, args)
+        /**
+         * Classes work out which of their default fields need copying for each new instance (arrays and objects)
+         * the first time they're instantiated, and again when fields are added to (or removed from) their
+         * prototypes, or one that wasn't an object becomes one. Call this to have them worked out again when
+         * anything else changes (like the schema).
+         * @param {Function|String} [klass] Class (or class name) that changed; its subclasses are included
+         */
+        invalidate:function (klass)
         {
-            return arr.concat(makeArray(args));
+            clss.walkHierarchy(klass || this, function (k)
+            {
+                k._initializer = null;
+            });
         },
 
-        // tests if we can get super in .toString()
-        fnTest = /xyz/.test(function ()
+        /**
+         * Gets a class by name.
+         * @param {String} fullName Full name of the class, i.e. 'Fighter.Gunship'
+         * @return {Function} The class, or null if there's no class by that name
+         */
+        getClass:function (fullName)
         {
-            xyz;
-        }) ? /\b_super\b/ : /.*/,
+            return registry[fullName] || null;
+        },
 
-        inheritProps = function (newProps, oldProps, addTo)
+        /**
+         * @return {Array} The names of all the classes in the registry
+         */
+        getClassNames:function ()
         {
-            // overwrites an object with methods, sets up _super
-            // newProps - new properties
-            // oldProps - where the old properties might be
-            // addTo - what we are adding to
-            addTo = addTo || newProps
-            for (var name in newProps)
-            {
-                // Check if we're overwriting an existing function
-                addTo[name] = isFunction(newProps[name]) &&
-                    isFunction(oldProps[name]) &&
-                    fnTest.test(newProps[name]) ? (function (name, fn)
-                {
-                    return function ()
-                    {
-                        var tmp = this._super, ret;
+            var names = [];
+            for (var name in registry)
+                names.push(name);
+            return names;
+        },
 
-                        // Add a new ._super() method that is the same method but on the super-class
-                        this._super = oldProps[name];
+        /**
+         * Gets the class this one extends.
+         * @param {Function|String} [klass] Class (or class name) to look at; defaults to this class
+         * @return {Function} The super class, or null for gamecore.Class itself
+         */
+        getSuperclass:function (klass)
+        {
+            klass = toClass(klass || this);
+            return klass && klass._superClass || null;
+        },
 
-                        // The method only need to be bound temporarily, so we remove it when we're done executing
-                        ret = fn.apply(this, arguments);
-                        this._super = tmp;
-                        return ret;
-                    };
-                })(name, newProps[name]) : newProps[name];
-            }
+        /**
+         * Gets the classes that extend this one.
+         * @param {Function|String} [klass] Class (or class name) to look at; defaults to this class
+         * @param {Boolean} [deep] true to also include subclasses of subclasses (and so on)
+         * @return {Array} Array of classes, in the order they were defined (depth-first if deep)
+         */
+        getSubclasses:function (klass, deep)
+        {
+            var result = [];
+            clss.walkHierarchy(klass || this, function (sub, depth)
+            {
+                if (depth == 0) return true;
+                result.push(sub);
+                return !!deep;
+            });
+            return result;
         },
 
-        clss = gc.Class = function ()
+        /**
+         * Gets the chain of classes from the top of the hierarchy (gamecore.Base, typically) down to this one.
+         * @param {Function|String} [klass] Class (or class name) to look at; defaults to this class
+         * @return {Array} Array of classes, this class last
+         */
+        getHierarchy:function (klass)
         {
-            if (arguments.length)
+            var result = [];
+            klass = toClass(klass || this);
+            while (klass && klass._superClass)
             {
-                return clss.extend.apply(clss, arguments);
+                result.unshift(klass);
+                klass = klass._superClass;
             }
-        };
+            return result;
+        },
 
-    /* @Static*/
-    extend(clss, {
-        callback:function (funcs)
+        /**
+         * Removes a class (and all its subclasses) from the registry, and from its namespace object (i.e. root
+         * for 'Fighter', root.Fighter for 'Fighter.Gunship'). Handy for cleaning up classes defined in tests.
+         * @param {Function|String} klass Class (or class name) to remove
+         * @return {Boolean} true if the class was removed, false if it wasn't registered
+         */
+        unregister:function (klass)
         {
-            //args that should be curried
-            var args = makeArray(arguments),
-                self;
-
-            funcs = args.shift();
+            klass = toClass(klass);
+            if (!klass || !klass.fullName || registry[klass.fullName] !== klass)
+                return false;
 
-            if (!isArray(funcs))
+            while (klass._subclasses.length)
             {
-                funcs = [funcs];
+                if (!clss.unregister(klass._subclasses[0]))
+                    detach(klass._subclasses[0]); // an unnamed class
             }
 
-            self = this;
+            detach(klass);
+            delete registry[klass.fullName];
+            if (klass._root && clss.getObject(klass.fullName, klass._root) === klass)
+                clss.getObject(klass.fullName, klass._root, false);
+            return true;
+        },
 
-            return function class_cb()
+        /**
+         * Walks down the class hierarchy (depth first), starting with the given class.
+         * <code>
+         *   gamecore.Class.walkHierarchy(gamecore.Base, function(klass, depth)
+         *   {
+         *       console.log(new Array(depth + 1).join('  ') + klass.fullName);
+         *   });
+         * </code>
+         * @param {Function|String} klass Class (or class name) to start at
+         * @param {Function} callback Called with each class and its depth below the starting class.
+         * Return false to skip the subclasses of that class.
+         */
+        walkHierarchy:function (klass, callback)
+        {
+            var walk = function (k, depth)
             {
-                var cur = concatArgs(args, arguments),
-                    isString,
-                    length = funcs.length,
-                    f = 0,
-                    func;
-
-                for (; f < length; f++)
-                {
-                    func = funcs[f];
-                    if (!func)
-                        continue;
-
-                    isString = typeof func == "string";
-                    if (isString && self._set_called)
-                        self.called = func;
+                if (callback(k, depth) === false) return;
+                for (var i = 0; i < k._subclasses.length; i++)
+                    walk(k._subclasses[i], depth + 1);
+            };
 
-                    cur = (isString ? self[func] : func).apply(self, cur || []);
-                    if (f < length - 1)
-                        cur = !isArray(cur) || cur._use_call ? [cur] : cur
-                }
-                return cur;
-            }
+            klass = toClass(klass);
+            if (klass) walk(klass, 0);
         },
 
-        getObject:gc.String.getObject,
-
         newInstance:function ()
         {
-            var inst = this.rawInstance();
-            var args;
+            if (this._abstract)
+                throw this.fullName + ' is abstract, so it can\'t be instantiated (use a subclass)';
 
-            if (inst.setup)
-                args = inst.setup.apply(inst, arguments);
+            // native subclasses set themselves up when their constructor calls super()
+            if (this.hasOwnProperty('_adopted'))
+                return Reflect.construct(this, arguments);
 
-            // Added by martin@playcraftlabs.com -- fix for deep cloning of properties
-           for (var prop in inst.__proto__)
-               inst[prop] = cloneObject(inst[prop]);
+            // classes wrapping a native class have its constructor run as well
+            var inst = this._native ? Reflect.construct(this._native, arguments, this) : this.rawInstance();
+            return initInstance(this, inst, arguments);
+        },
+
+        /**
+         * Creates an instance that's set up (it has its ids and its own copies of the default fields) but not
+         * initialized, i.e. init isn't called. For when its fields are about to be set from saved data (see
+         * gamecore.Base.fromJSON), so init doesn't need to be given arguments it can't have.
+         * @return {Object} The instance
+         */
+        blankInstance:function ()
+        {
+            if (this._abstract)
+                throw this.fullName + ' is abstract, so it can\'t be instantiated (use a subclass)';
 
-            if (inst.init)
-                inst.init.apply(inst, isArray(args) ? args : arguments);
+            // (native classes can't be made without running their constructors)
+            if (this.hasOwnProperty('_adopted'))
+                return Reflect.construct(this, []);
 
-            return inst;
+            var inst = this._native ? Reflect.construct(this._native, [], this) : this.rawInstance();
+            return initInstance(this, inst, [], true);
         },
 
         setup:function (baseClass, fullName)
         {
             this.defaults = extend(true, {}, baseClass.defaults, this.defaults);
+
+            // the schema is merged property by property, so a subclass can change just the range (say) of one
+            var schema = {}, name;
+            for (name in baseClass.schema)
+                schema[name] = extend({}, baseClass.schema[name]);
+            for (name in this.schema)
+                schema[name] = extend(schema[name] || {}, this.schema[name]);
+            this.schema = schema;
+            for (name in schema)
+                if ('default' in schema[name])
+                    this.defaults[name] = schema[name]['default'];
+
+            // observable and tracked fields are inherited too (tracked ones keep their index, so new ones go on
+            // the end); ones that are new, or have a new default, get set up here
+            var observable = mergeNames(baseClass.observable, this.observable),
+                tracked = mergeNames(baseClass.tracked, this.tracked),
+                fields = mergeNames(observable, tracked),
+                desc, field, bit, observed;
+            if (tracked.length > 32)
+                throw (this.fullName || 'Class') + ' has ' + tracked.length + ' tracked fields (32 at most)';
+
+            this.observable = observable;
+            this.tracked = tracked;
+            this.fieldIndices = {};
+            this.dirtyMask = 0;
+            for (var f = 0; f < tracked.length; f++)
+            {
+                this.fieldIndices[tracked[f]] = f;
+                this.dirtyMask |= 1 << f;
+            }
+
+            for (f = 0; f < fields.length; f++)
+            {
+                name = fields[f];
+                desc = getDescriptor(this.prototype, name);
+                field = desc && desc.get && desc.get._field;
+                bit = this.fieldIndices.hasOwnProperty(name) ? 1 << this.fieldIndices[name] : 0;
+                observed = observable.indexOf(name) != -1;
+                if (field && field.bit == bit && field.observed == observed && !this.prototype.hasOwnProperty(name))
+                    continue;
+                if (!desc || 'value' in desc || field)
+                    defineField(this.prototype, name, field ? field.value : desc && desc.value, observed, bit);
+            }
+
+            // new objects start out with all their tracked fields dirty
+            if (tracked.length)
+                this.prototype._dirty = this.dirtyMask;
+
+            // key fields are inherited as well; classes with new ones get equals and hashCode made for them, unless
+            // they (or a keyed base class) have their own
+            var keys = mergeNames(baseClass.keys, this.keys), inherited = baseClass.keys ? baseClass.keys.length : 0;
+            this.keys = keys;
+            if (keys.length > inherited)
+            {
+                var methods = compileKeyMethods(keys);
+                for (name in methods)
+                    if (!this.prototype.hasOwnProperty(name) && (!inherited || this.prototype[name]._keys))
+                        this.prototype[name] = methods[name];
+            }
+
             if (this._types == undefined) this._types = [];
-            this._types.push(this.fullName);
             if (this._fullTypeName == undefined) this._fullTypeName = '|';
+            if (this._typeNames == undefined) this._typeNames = {};
+
+            // mixins and interfaces count as types as well, so isA('Damageable') works
+            var extra = this._mixins.concat(this._interfaces);
+            for (var m = 0; m < extra.length; m++)
+            {
+                var typeName = extra[m].fullName;
+                if (this._typeNames.hasOwnProperty(typeName)) continue;
+                this._types.push(typeName);
+                this._fullTypeName += typeName + '|';
+                this._typeNames[typeName] = true;
+            }
+
+            this._types.push(this.fullName);
             this._fullTypeName += this.fullName + '|';
+            if (this.fullName)
+                this._typeNames[this.fullName] = true;
             return arguments;
         },
         rawInstance:function ()
@@ -395,6 +1868,71 @@
             return inst;
         },
 
+        /**
+         * Sets up a native (ES) class that extends a gamecore class, so it works like one: it gets a fullName,
+         * its own statics (following staticInheritance), setup and init are run when it's constructed (from within
+         * the super() call), it's in the registry and isA works.
+         * <code>
+         *   class Gunship extends Fighter
+         *   {
+         *       init(hp) { super.init(hp); this.shields = 10; }
+         *   }
+         *   gamecore.Class.adopt(Gunship, 'Fighter.Gunship');
+         * </code>
+         * Native subclasses are adopted automatically the first time they're constructed (or used with a pool),
+         * using the class's name, so you only need this to choose the name or give options.
+         * @param {Function} Native The native class (it must extend a gamecore class)
+         * @param {String} [fullName] Name for the class; defaults to Native.name
+         * @param {Object} [options] Static options, as for extend (i.e. implements, staticInheritance or shared)
+         * @return {Function} Native
+         */
+        adopt:function (Native, fullName, options)
+        {
+            if (Native.hasOwnProperty('_superClass'))
+                return Native; // already a gamecore class
+
+            var parent = Object.getPrototypeOf(Native);
+            if (!parent || !parent.hasOwnProperty('_superClass'))
+                throw (Native.name || 'Class') + ' does not extend a gamecore class';
+
+            adopting = Native;
+            try
+            {
+                return parent.extend(fullName || Native.name, options || {}, {});
+            } finally
+            {
+                adopting = null;
+            }
+        },
+
+        /**
+         * Creates a gamecore class from a native (ES) class that isn't one, so you can extend it like any other.
+         * The new class inherits from the native class (with the members of the class wrap is called on copied
+         * in), and the native constructor is run (with the same arguments) before setup and init.
+         * <code>
+         *   class Vector { constructor(x, y) { this.x = x; this.y = y; } length() { ... } }
+         *
+         *   var Vec = gamecore.Base.wrap(Vector, 'Vec');
+         *   var Vec3 = Vec.extend('Vec3', {}, { length: function() { return this._super() + ...; } });
+         * </code>
+         * @param {Function} Native The native class
+         * @param {String} [fullName] Name for the new class; defaults to Native.name
+         * @param {Object} [klass] Static members, as for extend
+         * @param {Object} [proto] Instance members, as for extend
+         * @return {Function} The new class
+         */
+        wrap:function (Native, fullName, klass, proto)
+        {
+            wrapping = Native;
+            try
+            {
+                return this.extend(fullName || Native.name, klass || {}, proto || {});
+            } finally
+            {
+                wrapping = null;
+            }
+        },
+
         extend:function (fullName, klass, proto)
         {
             // figure out what was passed
@@ -410,67 +1948,214 @@
                 klass = null;
             }
 
+            // in hot reload mode, a class that's defined again is updated in place
+            if (clss.hotReload && fullName && registry[fullName] && registry[fullName]._superClass === this &&
+                mixinNames(registry[fullName]._mixins) == mixinNames(klass && klass.mixins ? makeArray(klass.mixins) : []))
+                return reloadClass(registry[fullName], klass || {}, proto || {});
+
+            // check for an existing class with the same name
+            if (fullName && registry[fullName] && !(klass && klass.replace))
+            {
+                var msg = 'A class named ' + fullName + ' already exists. Use the static replace option (replace:true) ' +
+                    'if you meant to redefine it.';
+                if (clss.onDuplicate == 'throw')
+                    throw msg;
+                if (clss.onDuplicate == 'warn' && typeof console != 'undefined')
+                    console.warn(msg);
+            }
+
             proto = proto || {};
             var _super_class = this,
                 _super = this.prototype,
-                name, shortName, namespace, prototype;
+                mixins = klass && klass.mixins ? makeArray(klass.mixins) : [],
+                interfaces = klass && klass['implements'] ? makeArray(klass['implements']) : [],
+                root = klass && klass.root !== undefined ? klass.root : clss.root,
+                adopted = adopting,
+                Class = adopting,
+                native = wrapping,
+                name, shortName, namespace, prototype, layer, m, missing, desc;
+            adopting = wrapping = null;
 
-            // append the isA function
-            this.isA = function (typeName)
+            if (Class)
             {
-                return this._fullTypeName.indexOf('|' + typeName + '|') != -1;
-            };
+                // a native subclass already has its prototype
+                prototype = Class.prototype;
+            }
+            else
+            {
+                if (native)
+                {
+                    // inherit from the native class, with our members copied over the top
+                    prototype = Object.create(native.prototype);
+                    for (name in _super)
+                        Object.defineProperty(prototype, name, getDescriptor(_super, name));
+                    _super = prototype;
+                    prototype = Object.create(_super);
+                }
+                else
+                {
+                    // Instantiate a base class (but only create the instance,
+                    // don't run the init constructor)
+                    initializing = true;
+                    prototype = new this();
+                    initializing = false;
+                }
 
-            // Instantiate a base class (but only create the instance,
-            // don't run the init constructor)
-            initializing = true;
-            prototype = new this();
-            initializing = false;
-            // Copy the properties over onto the new prototype
-            inheritProps(proto, _super, prototype);
+                // Each mixin gets its own layer in the prototype chain (between the parent and the new class), so
+                // _super calls chain through the mixins in the order they were listed
+                checkMixinConflicts(fullName, mixins, 'proto', proto);
+                layer = _super;
+                for (m = 0; m < mixins.length; m++)
+                {
+                    inheritProps(mixins[m].proto, layer, prototype);
+                    layer = prototype;
+                    prototype = Object.create(layer);
+                }
 
-            // The dummy class constructor
+                // Copy the properties over onto the new prototype
+                inheritProps(proto, layer, prototype);
 
-            function Class()
-            {
-                // All construction is actually done in the init method
-                if (initializing) return;
+                // The dummy class constructor
+                Class = function Class()
+                {
+                    // All construction is actually done in the init method
+                    if (initializing) return;
 
-                if (this.constructor !== Class && arguments.length)
-                { //we are being called w/o new
-                    return arguments.callee.extend.apply(arguments.callee, arguments)
-                } else
-                { //we are being called w/ new
-                    // copy objects
+                    if (!(this instanceof Class) && arguments.length)
+                    { //we are being called w/o new
+                        return Class.extend.apply(Class, arguments)
+                    } else if (this instanceof Class && this.constructor !== Class)
+                    { //we are being called by the super() of a native subclass, so set up the instance in place
+                        var Native = clss.adopt(this.constructor);
+                        if (Native._abstract)
+                            throw Native.fullName + ' is abstract, so it can\'t be instantiated (use a subclass)';
+                        if (Native._native)
+                            extend(this, Reflect.construct(Native._native, arguments, Native));
+                        setupInstance(Native, this, arguments);
+                    } else
+                    { //we are being called w/ new
+                        // copy objects
 
-                    return this.Class.newInstance.apply(this.Class, arguments)
-                }
+                        return this.Class.newInstance.apply(this.Class, arguments)
+                    }
+                };
+                Class._native = native || this._native;
             }
 
-            // Copy old stuff onto class
+            // Copy old stuff onto class: by default statics are copied, but they can also be shared with the
+            // parent, or reset to the value they were first declared with (see the staticInheritance option)
+            var seen = newSeen(),
+                staticModes = extend({}, this._staticModes, klass && klass.staticInheritance),
+                staticDefaults = extend({}, this._staticDefaults);
             for (name in this)
-                if (this.hasOwnProperty(name))
-                    Class[name] = cloneObject(this[name]);
+            {
+                if (!this.hasOwnProperty(name) || classOnly[name]) continue;
+                if (adopted && Class.hasOwnProperty(name)) continue; // a native class's own statics
+
+                desc = Object.getOwnPropertyDescriptor(this, name);
+                if (staticModes[name] == 'shared' && !(klass && klass.hasOwnProperty(name)))
+                    shareStatic(Class, this, name);
+                else if (staticModes[name] == 'reset' && staticDefaults.hasOwnProperty(name))
+                    Class[name] = cloneObject(staticDefaults[name], seen);
+                else if (!('value' in desc) && !(desc.get && desc.get._sharedStatic))
+                    Object.defineProperty(Class, name, desc); // a getter/setter
+                else
+                    Class[name] = cloneObject(this[name], seen);
+            }
 
-            // copy new props on class
-            inheritProps(klass, this, Class);
+            // mix in statics (in order), then copy new props on class
+            checkMixinConflicts(fullName, mixins, 'statics', klass);
+            for (m = 0; m < mixins.length; m++)
+                inheritProps(mixins[m].statics, snapshot(Class, mixins[m].statics), Class);
+            inheritProps(klass, mixins.length ? snapshot(Class, klass) : this, Class, classOptions);
+
+            // keep the values of new reset statics as they are now, before anything changes them
+            for (name in staticModes)
+            {
+                if (staticModes[name] != 'reset' || !(name in Class)) continue;
+                if (!staticDefaults.hasOwnProperty(name) || (klass && klass.hasOwnProperty(name)))
+                    staticDefaults[name] = cloneObject(Class[name]);
+            }
+            Class._staticModes = staticModes;
+            Class._staticDefaults = staticDefaults;
+
+            Class._mixins = mixins;
+            Class._interfaces = interfaces;
+            Class._abstract = !!(klass && klass['abstract']);
+
+            // instance fields that aren't copied for each instance (inherited)
+            Class._shared = extend({}, _super_class._shared);
+            if (klass && klass.shared)
+                for (m = 0; m < klass.shared.length; m++)
+                    Class._shared[klass.shared[m]] = true;
+            Class._superClass = _super_class;
+
+            // every class gets a type id; ones that ask for it also get a type bit, which goes into the type mask
+            // of the class and its subclasses (a replaced class keeps the bit it had)
+            Class.typeId = ++typeIds;
+            Class.typeBit = 0;
+            if (klass && klass.typeBit)
+            {
+                if (fullName && registry[fullName] && registry[fullName].typeBit)
+                    Class.typeBit = registry[fullName].typeBit;
+                else if (typeBits == 32)
+                    throw 'No type bits left for ' + (fullName || 'Class') + ' (only 32 classes can have one)';
+                else
+                    Class.typeBit = 1 << typeBits++;
+            }
+            Class.typeMask = _super_class.typeMask | Class.typeBit;
+            if (adopted)
+                Class._adopted = true;
+
+            // Abstract classes can leave things for subclasses to implement. Concrete ones must have everything,
+            // including methods of interfaces (abstract) parents said they implement, and all abstract methods.
+            if (!Class._abstract)
+            {
+                missing = [];
+                for (var k = Class; k; k = k._superClass)
+                    for (m = 0; k._interfaces && m < k._interfaces.length; m++)
+                        missing = missing.concat(k._interfaces[m].validate(Class, prototype));
+                if (missing.length)
+                    throw (fullName || 'Class') + ' does not implement ' + missing.join(', ');
+
+                missing = findAbstract(Class, prototype);
+                if (missing.statics.length || missing.proto.length)
+                    throw (fullName || 'Class') + ' must implement abstract method(s): ' +
+                        missing.statics.concat(missing.proto).join(', ') + ' (or be declared abstract)';
+            }
+
+            // hook up the hierarchy
+            Class._subclasses = [];
+            _super_class._subclasses.push(Class);
+            if (fullName)
+            {
+                if (registry[fullName])
+                {
+                    detach(registry[fullName]);
+                    clss.invalidate(registry[fullName]);
+                }
+                registry[fullName] = Class;
+            }
 
             // do namespace stuff
             if (fullName)
             {
-                var parts = fullName.split(/\./);
-                var shortName = parts.pop();
+                var parts = fullName.split(/\./),
+                    current = root;
+                shortName = parts.pop();
 
                 // Martin Wells (playcraft): bug fix. Don't add a namespace object if the class name
                 // has no namespace elements (i.e. it's just "MyClass", not "MyProject.MyClass")
-                if (parts.length > 0)
+                if (root && parts.length > 0)
                 {
-                    current = clss.getObject(parts.join('.'), window, true),
-                        namespace = current;
+                    current = clss.getObject(parts.join('.'), root, true);
+                    namespace = current;
                 }
 
-                current[shortName] = Class;
+                if (current)
+                    current[shortName] = Class;
             }
+            Class._root = root;
 
             // set things that can't be overwritten
             extend(Class, {
@@ -489,6 +2174,26 @@
             if (Class.init)
                 Class.init.apply(Class, args || []);
 
+            // run the decorators over the new class, then let the classes it extends know about it (from the top
+            // down). If one of them throws, the class is taken back out of the hierarchy.
+            var decorators = klass && klass.decorators ? makeArray(klass.decorators) : [],
+                ancestors = [];
+            for (k = _super_class; k; k = k._superClass)
+                if (k.hasOwnProperty('onExtend') && isFunction(k.onExtend))
+                    ancestors.unshift(k);
+            try
+            {
+                for (m = 0; m < decorators.length; m++)
+                    decorators[m](Class);
+                for (m = 0; m < ancestors.length; m++)
+                    ancestors[m].onExtend(Class);
+            } catch (e)
+            {
+                if (!clss.unregister(Class))
+                    detach(Class);
+                throw e;
+            }
+
             /* @Prototype*/
 
             return Class;
@@ -496,6 +2201,176 @@
     });
 
     clss.prototype.callback = clss.callback;
+    clss.prototype.isA = function (type)
+    {
+        return this.Class.isA(type);
+    };
+    clss.prototype.observe = clss.observe;
+    clss.prototype.unobserve = clss.unobserve;
+    clss.prototype._values = clss.prototype._observers = clss.prototype._changes = null;
+    clss.prototype._dirty = 0;
+
+    /* @Prototype*/
+    extend(clss.prototype, {
+        /**
+         * @param {String} [name] Name of a tracked field (see gamecore.Class.tracked)
+         * @return {Boolean} true if the field has changed since clearDirty was last called; if no name is
+         * given, true if any of them have
+         */
+        isDirty:function (name)
+        {
+            return name === undefined ? this._dirty != 0 : (this._dirty & (1 << this.Class.fieldIndices[name])) != 0;
+        },
+
+        /**
+         * @return {Array} Names of the tracked fields that have changed since clearDirty was last called
+         */
+        getDirtyFields:function ()
+        {
+            var dirty = [], tracked = this.Class.tracked;
+            for (var i = 0; this._dirty && i < tracked.length; i++)
+                if (this._dirty & (1 << i))
+                    dirty.push(tracked[i]);
+            return dirty;
+        },
+
+        /**
+         * Marks a tracked field (or all of them) as changed.
+         * @param {String} [name] Name of the field; all of them if left out
+         */
+        markDirty:function (name)
+        {
+            this._dirty |= name === undefined ? this.Class.dirtyMask : 1 << this.Class.fieldIndices[name];
+        },
+
+        /**
+         * Marks all the tracked fields as unchanged (usually once they've been rendered or sent).
+         */
+        clearDirty:function ()
+        {
+            this._dirty = 0;
+        }
+    });
+    clss._superClass = null;
+    clss._subclasses = [];
+    clss._typeNames = {};
+    clss.devMode = clss.hotReload = false;
+    clss.typeId = clss.typeBit = clss.typeMask = 0;
+
+    /**
+     * @class gamecore.Mixin
+     * A reusable set of static and instance members that can be mixed into a class, rather than inherited.
+     * <code>
+     *   var Damageable = gamecore.Mixin('Damageable',
+     *   {
+     *       // static
+     *       maxHp: 100
+     *   },
+     *   {
+     *       // instance
+     *       hp: 100,
+     *
+     *       damage: function(amount)
+     *       {
+     *           this.hp -= amount;
+     *       }
+     *   });
+     *
+     *   var Fighter = gamecore.Base.extend('Fighter', { mixins: [Damageable] }, {...});
+     *   Fighter.isA('Damageable'); // true
+     * </code>
+     * Mixin methods can call this._super() to get to the previous mixin's (or the parent class's) method.
+     * If two mixins have a method of the same name, the class must override it (and can use this._super to
+     * call through both).
+     * @param {String} fullName Name of the mixin (used for isA type checks)
+     * @param {Object} [statics] Static members
+     * @param {Object} proto Instance members
+     */
+    gc.Mixin = function (fullName, statics, proto)
+    {
+        if (!(this instanceof gc.Mixin))
+            return new gc.Mixin(fullName, statics, proto);
+
+        if (proto === undefined)
+        {
+            proto = statics;
+            statics = null;
+        }
+
+        this.fullName = fullName;
+        this.statics = statics || {};
+        this.proto = proto || {};
+    };
+
+    /**
+     * @class gamecore.Interface
+     * A set of methods a class promises to implement. Classes list the interfaces they implement using the static
+     * implements option, and extend will throw straight away if any of the methods are missing (or take fewer
+     * arguments than the interface says they should).
+     * <code>
+     *   var Poolable = gamecore.Interface('Poolable',
+     *   {
+     *       // instance methods, and the number of arguments they take
+     *       getUniqueId: 0,
+     *       hashCode: 0,
+     *       onRelease: 0
+     *   });
+     *
+     *   var Bullet = gamecore.Pooled.extend('Bullet', { 'implements': [Poolable] }, {...});
+     *   Bullet.isA('Poolable'); // true
+     * </code>
+     * Instead of an argument count you can also give a function; its declared arguments are used.
+     * @param {String} fullName Name of the interface (used for isA type checks)
+     * @param {Object} [statics] Static methods required
+     * @param {Object} proto Instance methods required
+     */
+    gc.Interface = function (fullName, statics, proto)
+    {
+        if (!(this instanceof gc.Interface))
+            return new gc.Interface(fullName, statics, proto);
+
+        if (proto === undefined)
+        {
+            proto = statics;
+            statics = null;
+        }
+
+        this.fullName = fullName;
+        this.statics = statics || {};
+        this.proto = proto || {};
+    };
+
+    gc.Interface.prototype = {
+        constructor:gc.Interface,
+
+        /**
+         * Checks a class against this interface.
+         * @param {Function} klass The class (for statics)
+         * @param {Object} prototype The class prototype (for instance methods)
+         * @return {Array} A description of each missing member; empty if the class implements everything
+         */
+        validate:function (klass, prototype)
+        {
+            return this._check(this.statics, klass, this.fullName + '.').concat(
+                this._check(this.proto, prototype, this.fullName + '#'));
+        },
+
+        _check:function (required, target, prefix)
+        {
+            var missing = [], name, arity, method;
+            for (name in required)
+            {
+                arity = isFunction(required[name]) ? required[name].length : (required[name] || 0);
+                method = peek(target, name);
+                if (!isFunction(method))
+                    missing.push(prefix + name);
+                else if ((method._method || method).length < arity)
+                    missing.push(prefix + name + ' (takes ' + (method._method || method).length +
+                        ' argument(s), expected ' + arity + ')');
+            }
+            return missing;
+        }
+    };
 
 
 })(gamecore);
@@ -6,11 +6,18 @@
 
 /**
  * @class gamecore.Device
- * Staic class with lots of device information.
+ * Staic class with lots of device information. Also works outside of a browser's main thread (in a web worker or
+ * node), in which case environment tells you where you are, and the browser specific bits are left at their
+ * defaults.
  */
 
 gamecore.Device = gamecore.Base.extend('gamecore.Device',
     {
+        /** Where we're running: 'browser', 'worker', 'node' or 'unknown' */
+        environment:'unknown',
+        isBrowser:false,
+        isWorker:false,
+        isNode:false,
         pixelRatio:0,
         isiPhone:false,
         isiPhone4:false,
@@ -31,22 +38,38 @@ gamecore.Device = gamecore.Base.extend('gamecore.Device',
 
         init:function ()
         {
-            this.pixelRatio = window.devicePixelRatio || 1;
-            this.isiPhone = navigator.userAgent.toLowerCase().indexOf('iphone') != -1;
-            this.isiPod = navigator.userAgent.toLowerCase().indexOf('ipod') != -1;
+            var global = gamecore.global,
+                userAgent = (typeof navigator != 'undefined' && navigator.userAgent || '').toLowerCase();
+
+            // work out where we are
+            if (typeof document != 'undefined')
+                this.environment = 'browser';
+            else if (typeof importScripts == 'function')
+                this.environment = 'worker';
+            else if (typeof process != 'undefined' && process.versions && process.versions.node)
+                this.environment = 'node';
+            this.isBrowser = this.environment == 'browser';
+            this.isWorker = this.environment == 'worker';
+            this.isNode = this.environment == 'node';
+
+            this.pixelRatio = global.devicePixelRatio || 1;
+            this.isiPhone = userAgent.indexOf('iphone') != -1;
+            this.isiPod = userAgent.indexOf('ipod') != -1;
             this.isiPhone4 = (this.pixelRatio == 2 && this.isiPhone);
-            this.isiPad = navigator.userAgent.toLowerCase().indexOf('ipad') != -1;
-            this.isAndroid = navigator.userAgent.toLowerCase().indexOf('android') != -1;
-            this.isFirefox = navigator.userAgent.toLowerCase().indexOf('firefox') != -1;
-            this.isChrome = navigator.userAgent.toLowerCase().indexOf('chrome') != -1;
-            this.isOpera = navigator.userAgent.toLowerCase().indexOf('opera') != -1;
-            this.isTouch = window.ontouchstart !== 'undefined';
+            this.isiPad = userAgent.indexOf('ipad') != -1;
+            this.isAndroid = userAgent.indexOf('android') != -1;
+            this.isFirefox = userAgent.indexOf('firefox') != -1;
+            this.isChrome = userAgent.indexOf('chrome') != -1;
+            this.isOpera = userAgent.indexOf('opera') != -1;
+            this.isTouch = this.isBrowser && 'ontouchstart' in global;
             this.isiOS = (this.isiPhone || this.iPad || this.isiPod);
 
-            if (window.performance != undefined)
-                this.hasMemoryProfiling = (window.performance.memory);
+            if (global.performance != undefined && global.performance.memory)
+                this.hasMemoryProfiling = true;
+            else if (this.isNode && process.memoryUsage)
+                this.hasMemoryProfiling = true;
 
-            if (/MSIE (\d+\.\d+);/.test(navigator.userAgent))
+            if (/msie (\d+\.\d+);/.test(userAgent))
             {
                 this.ieVersion = new Number(RegExp.$1);
                 this.isIE = true;
@@ -62,21 +85,31 @@ gamecore.Device = gamecore.Base.extend('gamecore.Device',
 
             this.requestAnimFrame = (function ()
             {
-                var request =
-                    window.requestAnimationFrame ||
-                        window.webkitRequestAnimationFrame ||
-                        window.mozRequestAnimationFrame ||
-                        window.oRequestAnimationFrame ||
-                        window.msRequestAnimationFrame ||
+                var lastFrame = 0,
+                    request =
+                    global.requestAnimationFrame ||
+                        global.webkitRequestAnimationFrame ||
+                        global.mozRequestAnimationFrame ||
+                        global.oRequestAnimationFrame ||
+                        global.msRequestAnimationFrame ||
                         function (callback, element)
                         {
-                            window.setTimeout(callback, 16, Date.now());
+                            // no display to sync to (i.e. node or a worker), so aim for 60fps; if we're already
+                            // behind, go again as soon as possible
+                            var now = Date.now(),
+                                delay = Math.max(0, 16 - (now - lastFrame));
+                            lastFrame = now + delay;
+
+                            if (delay == 0 && global.setImmediate)
+                                global.setImmediate(function () { callback(Date.now()); });
+                            else
+                                global.setTimeout(function () { callback(Date.now()); }, delay);
                         };
 
-                // apply to our window global to avoid illegal invocations (it's a native)
+                // apply to our global to avoid illegal invocations (it's a native)
                 return function (callback, element)
                 {
-                    request.apply(window, [callback, element]);
+                    request.apply(global, [callback, element]);
                 };
             })();
 
@@ -97,12 +130,14 @@ gamecore.Device = gamecore.Base.extend('gamecore.Device',
 
         getUsedHeap:function ()
         {
-            return this.hasMemoryProfiling ? window.performance.memory.usedJSHeapSize : 0;
+            if (!this.hasMemoryProfiling) return 0;
+            return this.isNode ? process.memoryUsage().heapUsed : gamecore.global.performance.memory.usedJSHeapSize;
         },
 
         getTotalHeap:function ()
         {
-            return this.hasMemoryProfiling ? window.performance.memory.totalJSHeapSize : 0;
+            if (!this.hasMemoryProfiling) return 0;
+            return this.isNode ? process.memoryUsage().heapTotal : gamecore.global.performance.memory.totalJSHeapSize;
         }
 
 
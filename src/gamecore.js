@@ -2,7 +2,7 @@
  * gamecore.js - Copyright 2012 Playcraft Labs, Inc. (see licence.txt)
  */
 
-window.gamecore =
+var gamecore =
 {
     hasOwn:Object.prototype.hasOwnProperty,
 
@@ -106,20 +106,20 @@ window.gamecore =
                     }
 
                     // Recurse if we're merging plain objects or arrays
-                    if (deep && copy && ( this.isPlainObject(copy) || (copyIsArray = this.isArray(copy)) ))
+                    if (deep && copy && ( gamecore.isPlainObject(copy) || (copyIsArray = gamecore.isArray(copy)) ))
                     {
                         if (copyIsArray)
                         {
                             copyIsArray = false;
-                            clone = src && this.isArray(src) ? src : [];
+                            clone = src && gamecore.isArray(src) ? src : [];
 
                         } else
                         {
-                            clone = src && this.isPlainObject(src) ? src : {};
+                            clone = src && gamecore.isPlainObject(src) ? src : {};
                         }
 
                         // Never move original objects, clone them
-                        target[ name ] = this.extend(deep, clone, copy);
+                        target[ name ] = gamecore.extend(deep, clone, copy);
 
                         // Don't bring in undefined values
                     } else if (copy !== undefined)
@@ -136,6 +136,18 @@ window.gamecore =
 
 };
 
+/**
+ * The global object: window in a browser, self in a web worker and global in node.
+ */
+gamecore.global = typeof globalThis != 'undefined' ? globalThis :
+    typeof self != 'undefined' ? self :
+    typeof window != 'undefined' ? window :
+    typeof global != 'undefined' ? global : this;
+
+// when loaded as a module (see intro.js) gamecore is kept out of the global scope
+if (typeof noGlobal == 'undefined' || !noGlobal)
+    gamecore.global.gamecore = gamecore;
+
 
 gamecore.push = Array.prototype.push;
 
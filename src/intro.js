@@ -0,0 +1,26 @@
+/**
+ * gamecore.js - Copyright 2012 Playcraft Labs, Inc. (see licence.txt)
+ * intro.js
+ * Start of the module wrapper used by the packed build (see outro.js). Loaded using AMD (define) or CommonJS
+ * (require, including bundlers and ES module imports of CommonJS) gamecore is returned as the module, and
+ * nothing is added to the global scope; otherwise it's available as a global (window.gamecore in a browser,
+ * self.gamecore in a web worker).
+ */
+
+(function (root, factory)
+{
+    if (typeof define == 'function' && define.amd)
+        define([], function ()
+        {
+            return factory(root, true);
+        });
+    else if (typeof module == 'object' && module.exports)
+        module.exports = factory(root, true);
+    else
+        factory(root, false);
+
+})(typeof globalThis != 'undefined' ? globalThis :
+    typeof self != 'undefined' ? self :
+    typeof window != 'undefined' ? window :
+    typeof global != 'undefined' ? global : this, function (window, noGlobal)
+{
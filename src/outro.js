@@ -0,0 +1,9 @@
+
+/**
+ * gamecore.js - Copyright 2012 Playcraft Labs, Inc. (see licence.txt)
+ * outro.js
+ * End of the module wrapper (see intro.js)
+ */
+
+    return gamecore;
+});
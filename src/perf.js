@@ -36,7 +36,7 @@ gamecore.PerformanceMeasure = gamecore.Base.extend('gamecore.PerformanceMeasure'
 {
     timeStart: 0,
     timeEnd: 0,
-    timeDelat: 0,
+    timeDelta: 0,
     memStart: 0,
     memEnd: 0,
     memDelta: 0,
@@ -55,6 +55,9 @@
 gamecore.Pool = gamecore.Base.extend('gamecore.Pool',
     /** @lends gamecore.Pool */
     {
+        /** Pool classes each manage their own pools, but the totals are for all of them */
+        staticInheritance:{ pools:'reset', totalPooled:'shared', totalUsed:'shared' },
+
         /** Initial size of all object pools */
         INITIAL_POOL_SIZE:1,
 
@@ -73,6 +76,8 @@ gamecore.Pool = gamecore.Base.extend('gamecore.Pool',
          */
         acquire:function (classType)
         {
+            // native subclasses get their own name (and so their own pool) when they're adopted
+            gamecore.Class.adopt(classType);
             var pool = this.getPool(classType);
             if (pool == undefined || pool == null)
             {
@@ -134,6 +139,8 @@ gamecore.Pool = gamecore.Base.extend('gamecore.Pool',
         freeList:null,
         /** Current number of items to expand by: will increase with every expansion */
         expansion: 1,
+        /** Is tracing on (see startTracing) */
+        tracing: false,
         /** Array of traces currently active. Tracing must be on. */
         traces: null,
 
@@ -227,7 +234,10 @@ gamecore.Pool = gamecore.Base.extend('gamecore.Pool',
                     count.value++;
             }
 
-            return this.freeList.pop();
+            var obj = this.freeList.pop();
+            obj.destroyed = false;
+            obj.markDirty(); // it's as good as a new object (see gamecore.Class.tracked)
+            return obj;
         },
 
         /**
@@ -239,6 +249,17 @@ gamecore.Pool = gamecore.Base.extend('gamecore.Pool',
             this.freeList.push(obj);
         },
 
+        /**
+         * Calls a function with each of the objects in the pool (the free ones; this pool doesn't keep track of
+         * the ones in use)
+         * @param {Function} callback Function to call with each object
+         */
+        each:function (callback)
+        {
+            for (var i = 0; i < this.freeList.length; i++)
+                callback(this.freeList[i]);
+        },
+
         /**
          * Gets stats about the pool
          * @return {String} Stats
@@ -350,6 +371,8 @@ gamecore.DualPool = gamecore.Pool.extend('gamecore.DualPool',
          */
         acquire:function (classType)
         {
+            // native subclasses get their own name (and so their own pool) when they're adopted
+            gamecore.Class.adopt(classType);
             var pool = this.getPool(classType);
             if (pool == undefined || pool == null)
             {
@@ -431,6 +454,7 @@ gamecore.DualPool = gamecore.Pool.extend('gamecore.DualPool',
             this.returnObj = this.freeList.first.obj;
             this.freeList.remove(this.returnObj);
             this.returnObj.destroyed = false;
+            this.returnObj.markDirty(); // it's as good as a new object (see gamecore.Class.tracked)
             this.usedList.add(this.returnObj);
 
             if (this.tracing)
@@ -459,6 +483,19 @@ gamecore.DualPool = gamecore.Pool.extend('gamecore.DualPool',
             this.usedList.remove(obj);
         },
 
+        /**
+         * Calls a function with each of the objects of the pool, free and in use
+         * @param {Function} callback Function to call with each object
+         */
+        each:function (callback)
+        {
+            var node;
+            for (node = this.freeList.first; node; node = node.nextLinked)
+                callback(node.obj);
+            for (node = this.usedList.first; node; node = node.nextLinked)
+                callback(node.obj);
+        },
+
         /**
          * Dumps stats about usage to the debug info (generally console)
          * @param {String} msg Message to display before the dump
@@ -538,6 +575,7 @@ gamecore.Pooled = gamecore.Base('gamecore.Pooled',
         release:function ()
         {
             this.onRelease();
+            this.destroyed = true;
             gamecore.Pool.release(this);
         },
 
@@ -598,6 +636,7 @@ gamecore.DualPooled = gamecore.Base('gamecore.DualPooled',
         release:function ()
         {
             this.onRelease();
+            this.destroyed = true;
             gamecore.DualPool.release(this);
         },
 
@@ -609,3 +648,15 @@ gamecore.DualPooled = gamecore.Base('gamecore.DualPooled',
         }
 
     });
+
+// when a class is reloaded (see gamecore.Class.setHotReload), objects already in pools get their own copies of any
+// new array or object fields
+gamecore.Class.reloaded.add(function (klass, initFields)
+{
+    gamecore.Class.walkHierarchy(klass, function (k)
+    {
+        var pool = gamecore.Pool.getPool(k) || gamecore.DualPool.getPool(k);
+        if (pool)
+            pool.each(initFields);
+    });
+});
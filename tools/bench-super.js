@@ -0,0 +1,62 @@
+/**
+ * gamecore.js - Copyright 2012 Playcraft Labs, Inc. (see licence.txt)
+ * bench-super.js
+ * Compares the cost of calling overridden methods through a deep class hierarchy using this._super() and
+ * gamecore.Class.withSuper. Run it against the packed build using node:
+ *
+ *   node bench-super.js [depth] [calls]
+ */
+
+var gamecore = require('../gamecore.js');
+
+var DEPTH = parseInt(process.argv[2], 10) || 8;
+var CALLS = parseInt(process.argv[3], 10) || 1000000;
+
+// builds a chain of DEPTH classes, each with an update that calls the one it overrides
+function buildHierarchy(name, makeUpdate)
+{
+    var klass = gamecore.Base.extend(name + '0', {}, { ticks:0, update:function (delta) { this.ticks += delta; } });
+    for (var i = 1; i < DEPTH; i++)
+        klass = klass.extend(name + i, {}, { update:makeUpdate() });
+    return klass;
+}
+
+var Classic = buildHierarchy('Classic', function ()
+{
+    return function (delta)
+    {
+        this._super(delta);
+    };
+});
+
+var Fast = buildHierarchy('Fast', function ()
+{
+    return gamecore.Class.withSuper(function (_super)
+    {
+        return function (delta)
+        {
+            _super.call(this, delta);
+        };
+    });
+});
+
+function run(description, klass)
+{
+    var obj = new klass();
+    var measure = new gamecore.PerformanceMeasure(description + ' (' + CALLS + ' calls, depth ' + DEPTH + ')');
+    for (var i = 0; i < CALLS; i++)
+        obj.update(1);
+    measure.end();
+    console.log(measure.toString());
+    if (obj.ticks != CALLS)
+        throw 'Broken benchmark: ' + description + ' made ' + obj.ticks + ' calls';
+    return measure.timeDelta;
+}
+
+// warm up, then measure
+run('warm up this._super()', Classic);
+run('warm up withSuper', Fast);
+
+var classic = run('this._super()', Classic);
+var fast = run('withSuper', Fast);
+console.log('withSuper is ' + (classic / Math.max(fast, 1)).toFixed(1) + 'x faster');
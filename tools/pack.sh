@@ -6,6 +6,7 @@ OUT_MIN_FILE=../gamecore.min.js
 # empty it out
 > ${OUT_FILE}
 
+cat $PLAYCRAFT_LIB/intro.js >> ${OUT_FILE}
 cat $PLAYCRAFT_LIB/gamecore.js >> ${OUT_FILE}
 cat $PLAYCRAFT_LIB/class.js >> ${OUT_FILE}
 cat $PLAYCRAFT_LIB/base.js >> ${OUT_FILE}
@@ -15,7 +16,9 @@ cat $PLAYCRAFT_LIB/jhashtable.js >> ${OUT_FILE}
 cat $PLAYCRAFT_LIB/linkedlist.js >> ${OUT_FILE}
 cat $PLAYCRAFT_LIB/perf.js >> ${OUT_FILE}
 cat $PLAYCRAFT_LIB/pooled.js >> ${OUT_FILE}
+cat $PLAYCRAFT_LIB/binary.js >> ${OUT_FILE}
 cat $PLAYCRAFT_LIB/stacktrace.js >> ${OUT_FILE}
+cat $PLAYCRAFT_LIB/outro.js >> ${OUT_FILE}
 
 > ${OUT_MIN_FILE}
 java -jar yuicompressor-2.4.7.jar ${OUT_FILE} -v -o ${OUT_MIN_FILE}